@@ -0,0 +1,479 @@
+// Type definitions for superrest
+
+export = SuperRest;
+
+declare class SuperRest {
+  constructor(app: SuperRest.Application | string, options?: SuperRest.Options);
+
+  afterResponse: SuperRest.AfterResponseHook[];
+  agent?: any;
+  app: SuperRest.Application | string;
+  authProfiles: { [name: string]: SuperRest.AuthProfile };
+  beforeRequest: SuperRest.BeforeRequestHook[];
+  bodyType?: SuperRest.BodyType;
+  coverage?: SuperRest.ApiCoverage;
+  defaultAuth?: string;
+  expectedContentType?: SuperRest.ExpectedContentType;
+  expectedHeaders: SuperRest.ExpectedHeaders;
+  headers: SuperRest.Headers;
+  links?: boolean | SuperRest.LinkOptions;
+  maxDuration?: number | boolean;
+  openApi?: SuperRest.OpenApiDocument;
+  options: SuperRest.Options;
+  pagination: SuperRest.PaginationOptions;
+  parsers: SuperRest.Parsers;
+  pathPrefix: string;
+  polling: SuperRest.PollingOptions;
+  recorder?: SuperRest.HarRecorder;
+  snapshots: SuperRest.SnapshotOptions;
+  updateMethod: string;
+
+  test(method: string | undefined, path: string, body?: any, options?: SuperRest.TestOptions): SuperRest.Test;
+  getFullPath(path: string, options?: { pathPrefix?: boolean | string }): string;
+  login(profile: SuperRest.AuthProfile): Promise<SuperRest.Headers>;
+  clearAuth(name?: string): void;
+  expect(res: SuperRest.Response, options?: SuperRest.ExpectOptions, req?: SuperRest.Request): void;
+  matchSnapshot(res: SuperRest.Response, name: string, options?: SuperRest.SnapshotOptions, req?: SuperRest.Request): object;
+  getSchemaValidator(schema: string | object): (data: any) => boolean;
+
+  assertions(): SuperRest.Assertions;
+  chaiPlugin(): (chai: any, utils: any) => void;
+  jestMatchers(): SuperRest.JestMatchers;
+
+  create(path: string, body?: any, options?: SuperRest.CreateOptions): SuperRest.Test;
+  read(path: string, options?: SuperRest.TestOptions): SuperRest.Test;
+  retrieve(path: string, options?: SuperRest.TestOptions): SuperRest.Test;
+  paginate<T = any>(path: string, options?: SuperRest.PaginateOptions): Promise<T[]>;
+  update(path: string, body?: any, options?: SuperRest.UpdateOptions): SuperRest.Test;
+  patch(path: string, body?: any, options?: SuperRest.TestOptions): SuperRest.Test;
+  delete(path: string, body?: any, options?: SuperRest.TestOptions): SuperRest.Test;
+  destroy(path: string, body?: any, options?: SuperRest.TestOptions): SuperRest.Test;
+
+  expectError(method: string, path: string, body?: any, options?: SuperRest.ExpectErrorOptions): SuperRest.Test;
+  followLocation(res: SuperRest.Response, options?: SuperRest.TestOptions): SuperRest.Test;
+  followJob(res: SuperRest.Response, options?: SuperRest.FollowJobOptions): Promise<SuperRest.Response>;
+  follow(res: SuperRest.Response, rel: string, options?: SuperRest.FollowOptions): SuperRest.Test;
+
+  captureValidators(res: SuperRest.Response, req: SuperRest.Request): void;
+  getValidators(path: string, options?: { pathPrefix?: boolean | string }): SuperRest.Validators;
+  getConditionalHeaders(method: string, fullPath: string): SuperRest.Headers;
+  expectNotModified(path: string, options?: SuperRest.TestOptions): Promise<SuperRest.Response[]>;
+  expectOptimisticLocking(path: string, body: any, options?: SuperRest.TestOptions): Promise<SuperRest.OptimisticLockingResponses>;
+
+  session(options?: SuperRest.Options): this;
+  resetSession(): void;
+  getCookies(): { [name: string]: string };
+
+  expectAuthRequired(method: string, path: string, options?: SuperRest.ExpectAuthRequiredOptions): Promise<SuperRest.Response[]>;
+  expectNegotiation(path: string, variants: { [accept: string]: SuperRest.ExpectedContentType } | SuperRest.NegotiationVariant[], options?: SuperRest.ExpectNegotiationOptions): Promise<SuperRest.Response[]>;
+  bench(method: string, path: string, options?: SuperRest.BenchOptions): Promise<SuperRest.BenchReport>;
+
+  resource(path: string, options?: SuperRest.ResourceOptions): SuperRest.Resource;
+  registerCleanup(res: SuperRest.Response, path: string, options?: SuperRest.TestOptions): void;
+  cleanup(): Promise<SuperRest.Response[]>;
+  registerCleanupHook(options?: { afterEach?: (fn: () => Promise<void>) => void }): void;
+  loadFixtures(definitions: { [name: string]: SuperRest.FixtureDefinition }, options?: { cleanup?: boolean }): Promise<{ [name: string]: SuperRest.Fixture }>;
+  runScenario(scenario: SuperRest.ScenarioStep[] | SuperRest.Scenario | string, options?: { variables?: { [name: string]: any } }): Promise<SuperRest.ScenarioResult>;
+  replay(har: string | object, options?: SuperRest.ReplayOptions): Promise<SuperRest.Response[]>;
+
+  static constructorOptions: SuperRest.OptionTypes;
+  static testOptions: SuperRest.OptionTypes;
+}
+
+declare namespace SuperRest {
+
+  // An application that can be given to SuperTest (e.g. an Express application or an HTTP server).
+  type Application = any;
+
+  type BodyType = 'json' | 'form' | 'multipart' | 'text' | 'xml' | 'raw';
+
+  type Headers = { [name: string]: string | string[] };
+
+  type ExpectedContentType = string | RegExp | Array<string | RegExp> | boolean | null;
+
+  type ExpectedHeader = string | RegExp | Array<string | RegExp> | ((value: string | undefined, res: Response) => boolean) | boolean | null;
+
+  type ExpectedHeaders = { [name: string]: ExpectedHeader };
+
+  type ExpectedStatus = number | number[] | string | RegExp | ((status: number, res: Response) => boolean) | boolean;
+
+  type OptionType = 'any' | 'array' | 'boolean' | 'function' | 'number' | 'object' | 'regexp' | 'string' | string | Function
+    | { oneOf: any[] } | { properties: OptionTypes } | { values: OptionType | OptionType[] };
+
+  type OptionTypes = { [name: string]: OptionType | OptionType[] };
+
+  type Parsers = { [mediaType: string]: (text: string, res: Response) => any };
+
+  type BeforeRequestHook = (test: Test, req: Request, options: TestOptions) => Test | void;
+
+  type AfterResponseHook = (res: Response, req: Request, options: TestOptions) => void;
+
+  interface Response {
+    body: any;
+    duration?: number;
+    headers: { [name: string]: string };
+    status: number;
+    text: string;
+    type: string;
+    get(name: string): string;
+    [property: string]: any;
+  }
+
+  interface Test extends PromiseLike<Response> {
+    expect(checker: (res: Response) => any): this;
+    expect(status: number, body?: any): this;
+    expect(field: string, value: string | RegExp): this;
+    set(field: string | object, value?: string): this;
+    query(value: object | string): this;
+    send(data?: any): this;
+    catch<T = never>(reject?: ((reason: any) => T | PromiseLike<T>) | null): Promise<Response | T>;
+    [property: string]: any;
+  }
+
+  interface Request {
+    method: string;
+    path: string;
+    query?: object | string;
+    headers: Headers;
+    body?: any;
+  }
+
+  interface AuthProfile {
+    apiKey?: string;
+    basic?: { username: string; password: string };
+    bearer?: string;
+    header?: string;
+    headers?: Headers;
+    login?: (api: SuperRest) => string | { cookie?: string | string[]; headers?: Headers; token?: string } | PromiseLike<string | { cookie?: string | string[]; headers?: Headers; token?: string }>;
+  }
+
+  interface ErrorFormat {
+    code?: string;
+    contentType?: string | RegExp | null;
+    fieldName?: string;
+    invalidFields?: string;
+    type?: string;
+  }
+
+  interface PaginationOptions {
+    cursorParam?: string;
+    idProperty?: string;
+    items?: string | ((res: Response) => any[]);
+    limitParam?: string;
+    maxPages?: number;
+    nextCursor?: string | ((res: Response) => any);
+    offsetParam?: string;
+    pageSize?: number;
+    strategy?: 'link' | 'offset' | 'cursor';
+    totalCountHeader?: string;
+  }
+
+  interface PollingOptions {
+    backoff?: number;
+    initialDelay?: number;
+    interval?: number;
+    maxAttempts?: number;
+    timeout?: number;
+  }
+
+  interface SnapshotOptions {
+    dir?: string;
+    headers?: string[];
+    redact?: { [path: string]: boolean | string | RegExp | ((value: any) => boolean) };
+    update?: boolean;
+  }
+
+  interface HarRecorderOptions {
+    file: string;
+    redactBody?: string[];
+    redactHeaders?: string[];
+  }
+
+  interface Options {
+    afterResponse?: AfterResponseHook[];
+    authProfiles?: { [name: string]: AuthProfile };
+    beforeRequest?: BeforeRequestHook[];
+    bodyType?: BodyType;
+    cleanup?: boolean;
+    coverage?: boolean | ApiCoverage;
+    defaultAuth?: string;
+    errorFormat?: 'problem' | ErrorFormat;
+    expectedContentType?: ExpectedContentType;
+    expectedHeaders?: ExpectedHeaders;
+    headers?: Headers;
+    links?: boolean | LinkOptions;
+    maxDuration?: number | boolean;
+    openApi?: object | string | OpenApiDocument;
+    pagination?: PaginationOptions;
+    parsers?: Parsers;
+    pathPrefix?: string;
+    polling?: PollingOptions;
+    record?: HarRecorderOptions | HarRecorder;
+    schemas?: { [name: string]: object };
+    snapshots?: SnapshotOptions;
+    updateMethod?: string;
+  }
+
+  interface ExpectOptions {
+    expectedContentType?: ExpectedContentType;
+    expectedError?: { code?: any; errorFormat?: 'problem' | ErrorFormat; invalidFields?: string[]; type?: string | RegExp };
+    expectedHeaders?: ExpectedHeaders;
+    expectedLocation?: boolean | string | RegExp | ((value: string | undefined, res: Response) => boolean);
+    expectedStatus?: ExpectedStatus;
+    idProperty?: string;
+    maxDuration?: number | boolean;
+    openApi?: boolean;
+    schema?: string | object;
+  }
+
+  interface TestOptions extends ExpectOptions {
+    as?: string;
+    auth?: boolean | AuthProfile;
+    bodyType?: BodyType;
+    captureValidators?: boolean;
+    conditional?: boolean;
+    eventually?: boolean | PollingOptions;
+    headers?: { [name: string]: string | string[] | boolean | null | undefined };
+    links?: boolean | LinkOptions;
+    pathPrefix?: boolean | string;
+    query?: object | string;
+    record?: boolean;
+    snapshot?: string | (SnapshotOptions & { name: string });
+  }
+
+  interface CreateOptions extends TestOptions {
+    cleanup?: boolean;
+  }
+
+  interface UpdateOptions extends TestOptions {
+    method?: string;
+  }
+
+  interface PaginateOptions extends TestOptions, PaginationOptions {
+    idProperty?: string;
+  }
+
+  interface ExpectErrorOptions extends TestOptions {
+    code?: any;
+    errorFormat?: 'problem' | ErrorFormat;
+    invalidFields?: string[];
+    type?: string | RegExp;
+  }
+
+  interface LinkOptions {
+    expectedStatus?: ExpectedStatus;
+    method?: 'GET' | 'HEAD' | false;
+    rels?: string[];
+    required?: string[];
+  }
+
+  interface FollowOptions extends TestOptions {
+    body?: any;
+    method?: string;
+    params?: { [name: string]: any };
+  }
+
+  interface FollowJobOptions extends TestOptions {
+    until?: (res: Response) => boolean;
+  }
+
+  interface ExpectAuthRequiredOptions extends TestOptions {
+    body?: any;
+    forbidden?: string[];
+  }
+
+  interface NegotiationVariant extends TestOptions {
+    accept?: string;
+    acceptEncoding?: string;
+    acceptLanguage?: string;
+    contentEncoding?: ExpectedHeader;
+    contentLanguage?: ExpectedHeader;
+    contentType?: ExpectedContentType;
+  }
+
+  interface ExpectNegotiationOptions extends TestOptions {
+    body?: any;
+    method?: string;
+    notAcceptable?: string | string[];
+  }
+
+  interface BenchOptions extends TestOptions {
+    body?: any;
+    concurrency?: number;
+    requests?: number;
+  }
+
+  interface BenchReport {
+    requests: number;
+    concurrency: number;
+    duration: number;
+    throughput: number;
+    failed: number;
+    errorRate: number;
+    errors: Array<{ count: number; message: string }>;
+    latency: { min: number; max: number; mean: number; p50: number; p95: number; p99: number };
+  }
+
+  type ResponseSubject = Response | PromiseLike<Response>;
+
+  // Each assertion returns a promise of the response if it is given a test that has not been
+  // awaited yet.
+  interface Assertions {
+    contentType(res: ResponseSubject, expected: ExpectedContentType): any;
+    header(res: ResponseSubject, name: string, expected?: ExpectedHeader): any;
+    matchResource(res: ResponseSubject, expected: any): any;
+    matchSchema(res: ResponseSubject, schema: string | object): any;
+    respondWithin(res: ResponseSubject, maxDuration: number): any;
+    status(res: ResponseSubject, expected: ExpectedStatus): any;
+  }
+
+  interface JestMatcherResult {
+    actual: any;
+    expected: any;
+    message: () => string;
+    pass: boolean;
+  }
+
+  type JestMatcher = (this: { isNot: boolean }, received: ResponseSubject, ...args: any[]) => JestMatcherResult | Promise<JestMatcherResult>;
+
+  interface JestMatchers {
+    toHaveContentType: JestMatcher;
+    toHaveHeader: JestMatcher;
+    toHaveStatus: JestMatcher;
+    toMatchResource: JestMatcher;
+    toMatchSchema: JestMatcher;
+    toRespondWithin: JestMatcher;
+  }
+
+  interface ReplayOptions extends TestOptions {
+    filter?: (entry: any) => boolean;
+    ignore?: string[];
+    partial?: boolean;
+  }
+
+  interface ResourceOptions {
+    idProperty?: string;
+  }
+
+  interface Validators {
+    etag?: string;
+    lastModified?: string;
+  }
+
+  interface OptimisticLockingResponses {
+    read: Response;
+    updated: Response;
+    verified: Response;
+    rejected: Response;
+  }
+
+  interface FixtureDefinition {
+    path: string;
+    body?: any | ((fixtures: { [name: string]: Fixture }) => any);
+    dependsOn?: string[];
+    idProperty?: string;
+    options?: CreateOptions;
+  }
+
+  interface Fixture {
+    body: any;
+    id: any;
+    path: string;
+    res: Response;
+  }
+
+  interface ScenarioStep {
+    as?: string;
+    body?: any;
+    capture?: { [name: string]: string };
+    expect?: {
+      body?: any;
+      contentType?: ExpectedContentType;
+      headers?: ExpectedHeaders;
+      location?: boolean | string | RegExp;
+      schema?: string | object;
+      status?: ExpectedStatus;
+    };
+    headers?: Headers;
+    method?: string;
+    name?: string;
+    options?: TestOptions;
+    path: string;
+    query?: object | string;
+  }
+
+  interface Scenario {
+    name?: string;
+    steps: ScenarioStep[];
+    variables?: { [name: string]: any };
+  }
+
+  interface ScenarioResult {
+    responses: Response[];
+    variables: { [name: string]: any };
+  }
+
+  interface CoverageReport {
+    operations: Array<{ method: string; path: string; statuses: number[]; tested: boolean }>;
+    untested: string[];
+    undocumentedStatuses: string[];
+    unmatched: string[];
+    tested: number;
+    total: number;
+  }
+
+  class ApiCoverage {
+    constructor(options?: { openApi?: object | string | OpenApiDocument; routes?: Array<string | object> });
+    record(req: Request, res: Response): void;
+    reset(): void;
+    report(): CoverageReport;
+    format(report?: CoverageReport): string;
+    check(options?: { minCoverage?: number; undocumentedStatuses?: boolean; unmatched?: boolean }): void;
+    registerMochaHook(options?: { after?: (fn: () => void) => void; check?: boolean; log?: (text: string) => void; minCoverage?: number; undocumentedStatuses?: boolean; unmatched?: boolean }): void;
+  }
+
+  class HarRecorder {
+    constructor(options: HarRecorderOptions);
+    entries: object[];
+    file: string;
+    record(req: Request, res: Response, startedAt?: Date): void;
+    toJSON(): object;
+    save(): void;
+    registerMochaHook(options?: { after?: (fn: () => void) => void }): void;
+    static replay(api: SuperRest, har: string | object, options?: ReplayOptions): Promise<Response[]>;
+  }
+
+  class OpenApiDocument {
+    constructor(document: object | string);
+    document: object;
+    getOperations(): object[];
+    findOperation(method: string, requestPath: string): object | undefined;
+    verify(req: Request, res: Response): void;
+  }
+
+  class Resource {
+    constructor(api: SuperRest, path: string, options?: ResourceOptions);
+    api: SuperRest;
+    idProperty: string;
+    path: string;
+    list(options?: TestOptions): Test;
+    paginate<T = any>(options?: PaginateOptions): Promise<T[]>;
+    create(body?: any, options?: CreateOptions): Test;
+    read(ref: any, options?: TestOptions): Test;
+    update(ref: any, body?: any, options?: UpdateOptions): Test;
+    patch(ref: any, body?: any, options?: TestOptions): Test;
+    destroy(ref: any, options?: TestOptions): Test;
+    memberPath(ref: any): string;
+    lifecycle(sample: object, changes: object, options?: { patch?: boolean }): Promise<{ [step: string]: Response }>;
+  }
+
+  class SuperRestAssertionError extends Error {
+    constructor(failures: Array<{ actual?: any; check: string; expected?: any; message: string }>, req?: Request, res?: Response);
+    actual?: any;
+    expected?: any;
+    failures: Array<{ actual?: any; check: string; expected?: any; message: string }>;
+    request?: Request;
+    response?: { body: any; headers: { [name: string]: string }; status: number };
+    showDiff: boolean;
+  }
+}
@@ -1,5 +1,32 @@
+const { CookieAccessInfo } = require('cookiejar');
 const _ = require('lodash');
 const supertest = require('supertest');
+const url = require('url');
+
+const { createAssertions } = require('./lib/assertions');
+const { deferHeaders, getLoginHeaders, getStaticHeaders } = require('./lib/auth');
+const { bench } = require('./lib/bench');
+const { getBodySender, parseBody } = require('./lib/body');
+const { createChaiPlugin } = require('./lib/chai');
+const { checkDuration, checkHeader, checkLocation, checkSchema, checkStatus, toComparable } = require('./lib/checks');
+const ApiCoverage = require('./lib/coverage');
+const OpenApiDocument = require('./lib/open-api');
+const SuperRestAssertionError = require('./lib/errors');
+const { loadFixtures } = require('./lib/fixtures');
+const HarRecorder = require('./lib/har');
+const { createJestMatchers } = require('./lib/jest');
+const { deferLinkValidation, getLinkOptions, getLinkPath } = require('./lib/links');
+const { CONSTRUCTOR_OPTIONS, METHOD_OPTIONS, OTHER_OPTIONS, TEST_OPTIONS, validateOptions } = require('./lib/options');
+const { paginate } = require('./lib/pagination');
+const { followJob, getPollingOptions, poll } = require('./lib/poll');
+const { checkError, getErrorFormat } = require('./lib/problem');
+const { getSnapshotOptions, matchSnapshot } = require('./lib/snapshot');
+const Resource = require('./lib/resource');
+const { runScenario } = require('./lib/scenario');
+const { createAjv } = require('./lib/schema');
+
+// Properties of content negotiation variants that are not test options.
+const NEGOTIATION_PROPERTIES = [ 'accept', 'acceptEncoding', 'acceptLanguage', 'contentEncoding', 'contentLanguage', 'contentType' ];
 
 /**
  * [SuperTest](https://github.com/visionmedia/supertest#readme) helpers to test REST APIs.
@@ -14,26 +41,163 @@ class SuperRest {
    *
    * @constructs
    *
-   * @param {Application} app - The application to test.
+   * @param {Application|string} app - The application to test, or the base URL of a running
+   *   API (e.g. `https://staging.example.com`) to test a deployed environment. The base URL must
+   *   not have a path: use the `pathPrefix` option instead, since paths found in responses (e.g.
+   *   in a Location header) are requested as is.
    *
    * @param {object} [options] - SuperREST configuration that applies to your entire API.
    *
-   * @param {string|RegExp} [options.expectedContentType] - The default Content-Type header that the server is expected to use in responses.
-   *   An exact match is required if it's a string.
+   * @param {function[]} [options.afterResponse] - Functions called with each SuperTest response,
+   *   the request (see the `req` argument of {@link SuperRest#expect}) and the test options, before
+   *   the default assertions are made. They must be synchronous and may throw an error to fail the test.
+   *
+   * @param {object} [options.authProfiles] - Named authentication profiles (e.g. `admin`, `user`)
+   *   that can be selected with the `as` option of {@link SuperRest#test}. Each profile is an object
+   *   with one of the following properties:
+   *
+   *   * `bearer` - A token sent in a `Bearer` Authorization header.
+   *   * `basic` - An object with `username` and `password` properties sent as HTTP Basic credentials.
+   *   * `apiKey` - A key sent in the `X-API-Key` header (or the header named by the `header` property).
+   *   * `headers` - Arbitrary headers to send.
+   *   * `login` - A function called with this SuperREST instance the first time the profile is used.
+   *     It must return (a promise for) a bearer token, or an object with either a `token`, a `cookie`
+   *     (e.g. the Set-Cookie headers of a login response) or a `headers` property. The result is
+   *     cached until {@link SuperRest#clearAuth} is called. Requests made by the login function
+   *     itself should use the `auth: false` option if a `defaultAuth` profile is configured.
+   *
+   * @param {function[]} [options.beforeRequest] - Functions called in order with the SuperTest
+   *   chain of each request, the request (see the `req` argument of {@link SuperRest#expect}) and
+   *   the test options, before the chain is returned by {@link SuperRest#test}. Each function may
+   *   return a new chain to replace it (e.g. `test => test.set('X-Trace-Id', uuid())`).
+   *
+   * @param {string} [options.bodyType] - The default format of request bodies (see the `bodyType`
+   *   option of {@link SuperRest#test}).
+   *
+   * @param {boolean} [options.cleanup=false] - Whether to register every resource created with
+   *   {@link SuperRest#create} so that it is deleted by {@link SuperRest#cleanup} (this can be
+   *   overridden with the `cleanup` option of each call).
+   *
+   * @param {boolean|ApiCoverage} [options.coverage] - An {@link ApiCoverage} instance in which to
+   *   record every request made through {@link SuperRest#test} (paths are recorded relative to the
+   *   `pathPrefix` option). If true, a new one is created that compares the recorded requests with
+   *   the `openApi` document. The tracker is available as the `coverage` property.
+   *
+   * @param {string} [options.defaultAuth] - The name of the authentication profile to use when
+   *   the `as` option is not given to {@link SuperRest#test}. Requests are anonymous by default.
+   *
+   * @param {string|object} [options.errorFormat="problem"] - The format of error responses checked
+   *   by {@link SuperRest#expectError}: either `"problem"` for [RFC 7807](https://tools.ietf.org/html/rfc7807)
+   *   problem details, or an object describing a custom error envelope with the following properties
+   *   (which default to those of problem details):
+   *
+   *   * `contentType` - The Content-Type of error responses (a string or RegExp, or null to not check it).
+   *     Defaults to `/^application\/problem\+json/`.
+   *   * `code` - The property path of the error code in the body. Defaults to `"code"`.
+   *   * `type` - The property path of the error type in the body. Defaults to `"type"`.
+   *   * `invalidFields` - The property path of the list of invalid fields in the body. Defaults to
+   *     `"invalid-params"`.
+   *   * `fieldName` - The property of each item of that list that contains the field's name, if
+   *     items are objects. Defaults to `"name"`.
+   *
+   * @param {string|RegExp|Array|boolean} [options.expectedContentType] - The default Content-Type
+   *   header that the server is expected to use in responses. It can be:
+   *
+   *   * A string: an exact match is required.
+   *   * A RegExp: the header must match it.
+   *   * An array of strings and RegExps: the header must match one of them.
+   *   * `false` or `null`: the Content-Type is not checked by default (the same as not giving it).
+   *
+   * @param {object} [options.expectedHeaders] - Headers that the server is expected to include in
+   *   all responses (see {@link SuperRest#expect} for the accepted values).
+   *
+   * @param {object} [options.headers] - Headers to send with every request (e.g. `Accept` or
+   *   `X-Tenant`).
+   *
+   * @param {boolean|object} [options.links] - Whether to validate the hypermedia links of every
+   *   response, or default link validation options (see the `links` option of {@link SuperRest#test}).
+   *
+   * @param {number} [options.maxDuration] - The maximum time in milliseconds the server may take
+   *   to respond to each request (see the `maxDuration` option of {@link SuperRest#expect}).
+   *
+   * @param {object|string|OpenApiDocument} [options.openApi] - An OpenAPI 3 document (or the
+   *   path to a JSON or YAML file containing it) describing your API. If given, every request made
+   *   through {@link SuperRest#test} is matched to a documented operation by method and path
+   *   (relative to the `pathPrefix` option), and its request body, response status code,
+   *   Content-Type and response body are verified against the document. Request bodies are
+   *   checked against the schema of the media type they were sent as, without requiring read-only
+   *   properties; response bodies are checked without requiring write-only properties.
+   *
+   * @param {object} [options.pagination] - Default pagination options for
+   *   {@link SuperRest#paginate} (e.g. `{ strategy: 'offset', pageSize: 50 }`).
+   *
+   * @param {object} [options.parsers] - Functions that parse response bodies by media type, for
+   *   formats that SuperAgent does not parse (e.g. `{ 'application/xml': text => parseXml(text) }`).
+   *   Media types may contain `*` wildcards (e.g. `application/*+xml`). Each function is called with
+   *   the response text and the response, and its return value replaces the `body` property of the
+   *   response before any assertion is made (so that it can be validated with the `schema` option).
    *
    * @param {string} [options.pathPrefix] - A prefix common to all your API routes.
    *   If given at construction, you won't have to repeat it for each test.
    *
+   * @param {object} [options.polling] - Default polling options for the `eventually` option of
+   *   {@link SuperRest#test} (e.g. `{ interval: 500, timeout: 30000 }`).
+   *
+   * @param {object|HarRecorder} [options.record] - A {@link HarRecorder} in which to record every
+   *   request made through {@link SuperRest#test} and its response, or the options to create one
+   *   (e.g. `{ file: 'session.har', redactBody: [ 'password' ] }`). The recorder is available as
+   *   the `recorder` property, whose file is written by {@link HarRecorder#save} (e.g. call
+   *   `recorder.registerMochaHook()` to write it once all tests have run). Recorded files can be
+   *   replayed with {@link SuperRest#replay}.
+   *
+   * @param {object} [options.schemas] - Named JSON schemas describing your API resources
+   *   (e.g. `{ user: { type: 'object', ... } }`). They can be referenced by name with the
+   *   `schema` option of {@link SuperRest#test}, or by `$ref` from other schemas.
+   *
+   * @param {object} [options.snapshots] - Default snapshot options for the `snapshot` option of
+   *   {@link SuperRest#test} and {@link SuperRest#matchSnapshot} (e.g. `{ dir: path.join(__dirname,
+   *   '__snapshots__'), redact: { 'body.id': true } }`). Snapshots require a `dir` option.
+   *
    * @param {string} [options.updateMethod="PUT"] - The HTTP method used when calling the `update` method.
    *   You might want to use `PATCH` if your API uses only that, or use the `patch` method instead.
    */
   constructor(app, options) {
+    validateOptions(options, this.constructor.constructorOptions, `the ${this.constructor.name} constructor`);
     options = options || {};
 
-    this.app = app;
+    this.afterResponse = options.afterResponse || [];
+    this.app = _.isString(app) ? toBaseUrl(app) : app;
+    this.authCache = {};
+    this.authProfiles = options.authProfiles || {};
+    this.beforeRequest = options.beforeRequest || [];
+    this.bodyType = options.bodyType;
+    this.createdResources = [];
+    this.defaultAuth = options.defaultAuth;
+    this.errorFormat = getErrorFormat(options.errorFormat);
     this.expectedContentType = options.expectedContentType;
+    this.expectedHeaders = options.expectedHeaders || {};
+    this.headers = options.headers || {};
+    this.links = options.links;
+    this.maxDuration = options.maxDuration;
+    this.options = options;
+    this.pagination = options.pagination || {};
+    this.parsers = options.parsers || {};
     this.pathPrefix = options.pathPrefix || '';
+    this.polling = options.polling || {};
+    this.recorder = options.record ? toHarRecorder(options.record) : undefined;
+    this.snapshots = options.snapshots || {};
     this.updateMethod = options.updateMethod || 'PUT';
+    this.validators = {};
+
+    this.ajv = createAjv();
+    this.openApi = options.openApi ? toOpenApiDocument(options.openApi) : undefined;
+
+    if (options.coverage === true) {
+      this.coverage = new ApiCoverage({ openApi: this.openApi });
+    } else if (options.coverage) {
+      this.coverage = options.coverage;
+    }
+    _.each(options.schemas, (schema, name) => this.ajv.addSchema(schema, name));
   }
 
   /**
@@ -47,49 +211,322 @@ class SuperRest {
    *   If a non-false `pathPrefix` option is given to the constructor or to this method,
    *   it will be prepended to the path to form the full test path.
    *
-   * @param {*} [body] - The request body to send to the server, if any.
+   * @param {*} [body] - The request body to send to the server, if any. Falsy values such as
+   *   `0`, `false` or `""` are sent; `undefined` and `null` mean no body.
    *
    * @param {object} [options] - Test options.
    *
-   * @param {string|RegExp} [options.expectedContentType] - The Content-Type header expected
-   *   to be found in the response. An exact match is required if it's a string. Overrides the
-   *   `expectedContentType` option given to the constructor.
+   * @param {string} [options.as] - The name of the authentication profile to use (see the
+   *   `authProfiles` option of the constructor). Overrides the `defaultAuth` option given to
+   *   the constructor.
+   *
+   * @param {boolean|object} [options.auth] - Set to false to make an anonymous request even if a
+   *   `defaultAuth` profile is configured, or provide an inline authentication profile.
+   *
+   * @param {object} [options.headers] - Headers to send with this request, in addition to the
+   *   `headers` option given to the constructor. Set a header to false to not send a default header.
+   *
+   * @param {boolean} [options.conditional] - Whether to make a conditional request with the
+   *   validators captured for the resource with the `captureValidators` option: `If-None-Match`
+   *   and `If-Modified-Since` headers are sent with GET and HEAD requests, `If-Match` and
+   *   `If-Unmodified-Since` headers with other requests.
+   *
+   * @param {string} [options.bodyType] - The format of the request body. Overrides the `bodyType`
+   *   option given to the constructor. By default, objects and arrays are sent as JSON, strings as
+   *   form data (SuperAgent's behavior), buffers as raw binary data and other values as JSON.
    *
-   * @param {number} [options.expectedStatusCode=200] - The expected HTTP status code of the
-   *   response.
+   *   * `"json"` - The body is serialized as JSON.
+   *   * `"form"` - An object is sent as `application/x-www-form-urlencoded` data (arrays as
+   *     repeated fields).
+   *   * `"multipart"` - An object is sent as `multipart/form-data`. Buffers are attached as files;
+   *     objects with a `file` (path) or `buffer` property are attached as files with optional
+   *     `filename` and `contentType` properties; other values are sent as fields.
+   *   * `"text"` - A string is sent as `text/plain`.
+   *   * `"xml"` - A string is sent as `application/xml`.
+   *   * `"raw"` - A buffer or string is sent as `application/octet-stream`.
+   *
+   *   The Content-Type header is not overridden if it is given with the `headers` option
+   *   (e.g. to send `application/merge-patch+json` or `application/atom+xml`).
+   *
+   * @param {object|string} [options.query] - Query parameters to add to the path. Objects are
+   *   serialized by SuperAgent (arrays are sent as repeated parameters, e.g. `tag=a&tag=b`).
+   *
+   * @param {string|RegExp|Array|boolean} [options.expectedContentType] - The Content-Type header
+   *   expected to be found in the response (see {@link SuperRest#expect} for the accepted values).
+   *   Overrides the `expectedContentType` option given to the constructor.
+   *
+   * @param {number|number[]|string|RegExp|function|boolean} [options.expectedStatus=200] - The
+   *   expected HTTP status code of the response (see {@link SuperRest#expect} for the accepted forms).
+   *
+   * @param {object} [options.expectedHeaders] - Headers expected to be found in the response, in
+   *   addition to the `expectedHeaders` option given to the constructor (see {@link SuperRest#expect}).
+   *
+   * @param {boolean|string|RegExp|function} [options.expectedLocation] - The Location header
+   *   expected to be found in the response (see {@link SuperRest#expect}).
+   *
+   * @param {object} [options.expectedError] - The structured error expected to be found in the
+   *   response body (see {@link SuperRest#expect}).
+   *
+   * @param {number|boolean} [options.maxDuration] - The maximum time in milliseconds the server
+   *   may take to respond (see {@link SuperRest#expect}). Overrides the `maxDuration` option given
+   *   to the constructor.
+   *
+   * @param {boolean} [options.captureValidators] - Whether to store the ETag and Last-Modified
+   *   headers of the response, which must have at least one of them, so that they can be retrieved
+   *   later with {@link SuperRest#getValidators}.
+   *
+   * @param {string|object} [options.schema] - A JSON schema the response body is expected to
+   *   match, or the name of one of the `schemas` given to the constructor.
+   *
+   * @param {boolean} [options.openApi] - Set to false to skip verification against the `openApi`
+   *   document given to the constructor for this specific test.
+   *
+   * @param {boolean} [options.record] - Set to false to keep this specific test out of the
+   *   `coverage` tracker and HAR `recorder` given to the constructor.
+   *
+   * @param {string|object} [options.snapshot] - The name of a snapshot the response is expected
+   *   to match, or an object with a `name` property and snapshot options (see
+   *   {@link SuperRest#matchSnapshot}).
    *
    * @param {boolean|string} [options.pathPrefix] - A path prefix to use for this specific test.
    *   Overrides the `pathPrefix` option given to the constructor. If false and a `pathPrefix`
    *   option was given to the constructor, it is not used (the `path` argument is used as is).
+   *
+   * @param {boolean|object} [options.eventually] - Whether to make the request again until all
+   *   assertions pass (e.g. to wait for an eventually consistent read model to be updated), instead
+   *   of failing on the first response. If the last attempt fails, its error is thrown. When a
+   *   response has a Retry-After header, it is used as the delay before the next attempt. An object
+   *   can be given to override the `polling` options given to the constructor:
+   *
+   *   * `timeout` - The maximum time in milliseconds to keep trying. Defaults to 5000.
+   *   * `interval` - The delay in milliseconds before the second attempt. Defaults to 100.
+   *   * `backoff` - The factor by which the delay is multiplied after each attempt. Defaults to 1.
+   *   * `maxAttempts` - The maximum number of attempts. Unlimited by default.
+   *   * `initialDelay` - The delay in milliseconds before the first attempt. Defaults to 0.
+   *
+   *   With this option, a promise-like chain is returned instead of a SuperTest chain. Its `expect`
+   *   method accepts the same arguments as SuperTest's and adds an assertion to every attempt.
+   *
+   * @param {boolean|object} [options.links] - Whether to validate the hypermedia links advertised
+   *   by the response in its `Link` header, in the `_links` property of a HAL body or in the `links`
+   *   property of a JSON:API body: each link is requested through this method and must respond with
+   *   the expected status code (links are not verified against the `openApi` document, nor recorded
+   *   in the `coverage` tracker or HAR `recorder`). Templated links and links to other hosts are
+   *   not requested. An object can be given to override the `links` option given to the
+   *   constructor:
+   *
+   *   * `method` - The method used to request the links: `"GET"` (the default) or `"HEAD"`, or false
+   *     to only check that links are advertised and have an href.
+   *   * `expectedStatus` - The expected status code of the links (see the `expectedStatus` option).
+   *     Defaults to `"2xx"`.
+   *   * `rels` - The relation types of the links to validate (e.g. `[ "self", "next" ]`). All links
+   *     are validated by default.
+   *   * `required` - The relation types of the links that the response must advertise.
+   *
+   *   Failures are reported together once all links have been requested.
    */
   test(method, path, body, options) {
+    checkOptions(this, 'test', options);
     options = options || {};
+    body = body === null ? undefined : body;
+
+    if (options.eventually) {
+      return poll(this, method, path, body, _.omit(options, 'eventually'), getPollingOptions(this.polling, options.eventually));
+    }
 
-    let test = supertest(this.app);
+    let test = this.agent || supertest(this.app);
 
     const testMethod = (method || 'GET').toLowerCase();
     if (typeof(test[testMethod]) != 'function') {
       throw new Error(`supertest has no "${testMethod}" function`);
     }
 
-    let testPath = path;
+    const testPath = this.getFullPath(path, options);
+    const auth = this.resolveAuth(options);
+    const conditionalHeaders = options.conditional ? this.getConditionalHeaders(testMethod, testPath) : {};
+    const headers = _.omitBy(_.extend({}, this.headers, conditionalHeaders, options.headers), value => value === false || value === undefined || value === null);
+    const sendBody = body !== undefined ? getBodySender(body, options.bodyType || this.bodyType, headers) : undefined;
+    const linkOptions = getLinkOptions(this.links, options.links);
+
+    test = test[testMethod](testPath);
+
+    if (auth && auth.headers) {
+      test = test.set(auth.headers);
+    } else if (auth) {
+      test = deferHeaders(test, auth.login);
+    }
+
+    if (!_.isEmpty(headers)) {
+      test = test.set(headers);
+    }
+
+    if (options.query) {
+      test = test.query(options.query);
+    }
+
+    if (sendBody) {
+      test = sendBody(test);
+    }
+
+    if (!_.isEmpty(this.parsers)) {
+      // SuperAgent does not buffer the text of unknown media types (e.g. XML) by default.
+      test = test.buffer(true);
+    }
+
+    const req = {
+      method: testMethod.toUpperCase(),
+      path: testPath,
+      query: options.query,
+      headers: headers,
+      body: body
+    };
+
+    if (options.bodyType || this.bodyType) {
+      req.bodyType = options.bodyType || this.bodyType;
+    }
+
+    let expectOptions = options;
+
+    let startedAt;
+    test.on('request', () => {
+      startedAt = new Date();
+    });
+
+    test = this.beforeRequest.reduce((memo, hook) => hook(memo, req, options) || memo, test);
+
+    test = test.expect(res => {
+      res.duration = startedAt ? Date.now() - startedAt.getTime() : undefined;
+      parseBody(res, this.parsers);
+
+      if (this.recorder && options.record !== false) {
+        this.recorder.record(req, res, startedAt);
+      }
+
+      if (this.coverage && options.record !== false) {
+        this.coverage.record(_.defaults({ path: removePathPrefix(req.path, this.pathPrefix) }, req), res);
+      }
+
+      this.afterResponse.forEach(hook => hook(res, req, options));
+
+      this.expect(res, expectOptions, req);
+
+      if (options.captureValidators) {
+        this.captureValidators(res, req);
+      }
+
+      if (_.isPlainObject(options.snapshot)) {
+        this.matchSnapshot(res, options.snapshot.name, _.omit(options.snapshot, 'name'), req);
+      } else if (options.snapshot) {
+        this.matchSnapshot(res, options.snapshot, undefined, req);
+      }
+    });
+
+    // Assertion adapters (see SuperRest#chaiPlugin) check the status and Content-Type of the
+    // tests they are given themselves, instead of the default expectations of this method.
+    test.withoutDefaultExpectations = () => {
+      expectOptions = _.defaults({}, options, { expectedContentType: false, expectedStatus: false });
+      return test;
+    };
+
+    return linkOptions ? deferLinkValidation(this, test, options, linkOptions) : test;
+  }
+
+  /**
+   * Returns the full path of an API resource, including the path prefix.
+   *
+   * @method
+   *
+   * @param {string} path - The path of the API resource.
+   *
+   * @param {object} [options] - Test options.
+   *
+   * @param {boolean|string} [options.pathPrefix] - A path prefix overriding the `pathPrefix`
+   *   option given to the constructor (see {@link SuperRest#test}).
+   *
+   * @returns {string} The full path.
+   */
+  getFullPath(path, options) {
+    options = options || {};
+
     if (options.pathPrefix) {
-      testPath = `${options.pathPrefix}${testPath}`;
+      return `${options.pathPrefix}${path}`;
     } else if (this.pathPrefix && (options.pathPrefix === undefined || options.pathPrefix === true)) {
-      testPath = `${this.pathPrefix}${testPath}`;
+      return `${this.pathPrefix}${path}`;
     }
 
-    test = test[testMethod](testPath);
+    return path;
+  }
+
+  /**
+   * Resolves the credentials of the authentication profile selected by the `as` or `auth` options
+   * (or the `defaultAuth` profile given to the constructor).
+   *
+   * @method
+   *
+   * @param {object} [options] - Test options (see {@link SuperRest#test}).
+   *
+   * @returns {object|undefined} Undefined for an anonymous request, or an object with either the
+   *   `headers` to send, or a `login` function returning a promise for them if the profile has a
+   *   login function.
+   */
+  resolveAuth(options) {
+    options = options || {};
 
-    if (body) {
-      test = test.send(body);
+    if (options.auth === false) {
+      return;
+    } else if (_.isPlainObject(options.auth)) {
+      return resolveAuthProfile(options.auth, () => this.login(options.auth));
     }
 
-    test = test.expect(res => {
-      this.expect(res, options);
+    const name = options.as || this.defaultAuth;
+    if (!name) {
+      return;
+    }
+
+    const profile = this.authProfiles[name];
+    if (!profile) {
+      throw new Error(`Unknown authentication profile "${name}"`);
+    }
+
+    return resolveAuthProfile(profile, () => {
+      if (!this.authCache[name]) {
+        this.authCache[name] = this.login(profile).catch(err => {
+          delete this.authCache[name];
+          throw err;
+        });
+      }
+
+      return this.authCache[name];
     });
+  }
+
+  /**
+   * Calls the login function of an authentication profile.
+   *
+   * @method
+   *
+   * @param {object} profile - An authentication profile with a `login` function.
+   *
+   * @returns {Promise<object>} A promise for the headers to send.
+   */
+  login(profile) {
+    return Promise.resolve().then(() => profile.login(this)).then(getLoginHeaders);
+  }
 
-    return test;
+  /**
+   * Forgets the cached credentials of authentication profiles with a login function, so that
+   * it is called again the next time the profile is used.
+   *
+   * @method
+   *
+   * @param {string} [name] - The name of the profile to forget (all profiles by default).
+   */
+  clearAuth(name) {
+    if (name) {
+      delete this.authCache[name];
+    } else {
+      this.authCache = {};
+    }
   }
 
   /**
@@ -98,34 +535,270 @@ class SuperRest {
    * This method is used by {@link SuperRest#test} (and all CRUD aliases).
    * You may override it to perform additional assertions.
    *
+   * All checks are made even if some fail, and the failures are reported together in a
+   * {@link SuperRestAssertionError} which also describes the request and the response.
+   *
    * @method
    *
    * @param {Response} res - A SuperTest response.
    *
    * @param {object} [options] - Assertion options.
    *
-   * @param {string|RegExp} [options.expectedContentType] - The Content-Type header expected
-   *   to be found in the response. An exact match is required if it's a string. Overrides the
-   *   `expectedContentType` option given to the constructor.
+   * @param {string|RegExp|Array|boolean} [options.expectedContentType] - The Content-Type header
+   *   expected to be found in the response. An exact match is required if it's a string. If it's an
+   *   array of strings and RegExps, the header must match one of them. Overrides the
+   *   `expectedContentType` option given to the constructor; set it to `false` or `null` to not
+   *   check the Content-Type.
+   *
+   * @param {number|number[]|string|RegExp|function|boolean} [options.expectedStatus=200] - The
+   *   expected HTTP status code of the response. It can be:
+   *
+   *   * A number: an exact match is required.
+   *   * An array of numbers: the status code must be one of them (e.g. `[ 200, 204 ]`).
+   *   * A status class string such as `"2xx"` or `"4xx"`.
+   *   * A RegExp: the status code (as a string) must match it.
+   *   * A function: it is called with the status code and the response, and must return true.
+   *   * `false`: the status code is not checked.
+   *
+   * @param {object} [options.expectedHeaders] - Headers expected to be found in the response, in
+   *   addition to (or overriding) the `expectedHeaders` option given to the constructor. Each value
+   *   can be:
+   *
+   *   * A string: an exact match is required.
+   *   * A RegExp: the header must be present and match it.
+   *   * An array of strings and RegExps: the header must match one of them.
+   *   * A function: it is called with the header's value (undefined if missing) and the response,
+   *     and must return true.
+   *   * `true`: the header must be present.
+   *   * `false`: the header must be absent.
+   *   * `null`: the header is not checked (e.g. to ignore a header expected at construction).
+   *
+   * @param {boolean|string|RegExp|function} [options.expectedLocation] - The Location header
+   *   expected to be found in the response. It accepts the same values as `expectedHeaders`,
+   *   except that `true` also requires the Location to end with the identifier of the resource in
+   *   the response body, if it has one.
+   *
+   * @param {string} [options.idProperty="id"] - The property of the response body that contains
+   *   the identifier of a resource (used by the `expectedLocation` option).
+   *
+   * @param {object} [options.expectedError] - The structured error expected to be found in the
+   *   response body, with the `code`, `type`, `invalidFields` and `errorFormat` options of
+   *   {@link SuperRest#expectError} (which sets this option).
+   *
+   * @param {number|boolean} [options.maxDuration] - The maximum time in milliseconds the server
+   *   may take to respond, measured on the client side from when the request is sent until the
+   *   response is received (available as the `duration` property of responses returned by
+   *   {@link SuperRest#test}). Overrides the `maxDuration` option given to the constructor; set
+   *   it to false to not check the duration.
+   *
+   * @param {string|object} [options.schema] - A JSON schema the response body is expected to
+   *   match, or the name of one of the `schemas` given to the constructor. All violations are
+   *   reported at once with the JSON pointer of the invalid value.
+   *
+   * @param {boolean} [options.openApi] - Set to false to skip verification against the `openApi`
+   *   document given to the constructor.
+   *
+   * @param {object} [req] - The request that was made (provided by {@link SuperRest#test}).
+   *
+   * @param {string} req.method - The HTTP method of the request.
+   *
+   * @param {string} req.path - The full path of the request (including any path prefix).
+   *
+   * @param {object|string} [req.query] - The query parameters added to the path, if any.
+   *
+   * @param {object} req.headers - The headers sent with the request (not including
+   *   authentication profile credentials).
    *
-   * @param {number} [options.expectedStatusCode=200] - The expected HTTP status code of the
-   *   response.
+   * @param {*} [req.body] - The request body, if any.
+   *
+   * @param {string} [req.bodyType] - The format of the request body, if it was given with the
+   *   `bodyType` option.
    */
-  expect(res, options) {
+  expect(res, options, req) {
+    options = options || {};
+
+    const failures = [];
 
     const expectedStatus = options.expectedStatus !== undefined ? options.expectedStatus : 200;
-    if (res.status !== expectedStatus) {
-      throw new Error(`Expected HTTP status code ${res.status} to equal ${expectedStatus}`);
-    }
+    collectFailure(failures, 'status', res.status, expectedStatus, () => checkStatus(res, expectedStatus));
 
     const expectedContentType = options.expectedContentType !== undefined ? options.expectedContentType : this.expectedContentType;
-    if (_.isString(expectedContentType) && res.get('Content-Type') !== expectedContentType) {
-      throw new Error(`Expected HTTP Content-Type header "${res.get('Content-Type')}" to equal "${expectedContentType}"`);
-    } else if (_.isRegExp(expectedContentType) && !res.get('Content-Type')) {
-      throw new Error(`Expected missing HTTP Content-Type header to match ${expectedContentType}`);
-    } else if (_.isRegExp(expectedContentType) && !res.get('Content-Type').match(expectedContentType)) {
-      throw new Error(`Expected HTTP Content-Type header "${res.get('Content-Type')}" to match ${expectedContentType}`);
+    if (_.isString(expectedContentType) || _.isRegExp(expectedContentType) || _.isArray(expectedContentType)) {
+      collectFailure(failures, 'Content-Type', res.get('Content-Type'), expectedContentType, () => checkHeader(res, 'Content-Type', expectedContentType));
+    }
+
+    const expectedHeaders = _.extend({}, this.expectedHeaders, options.expectedHeaders);
+    _.each(expectedHeaders, (expected, name) => collectFailure(failures, name, res.get(name), expected, () => checkHeader(res, name, expected)));
+
+    if (options.expectedLocation === true) {
+      collectFailure(failures, 'Location', res.get('Location'), undefined, () => checkLocation(res, options.idProperty || 'id'));
+    } else if (options.expectedLocation !== undefined) {
+      collectFailure(failures, 'Location', res.get('Location'), options.expectedLocation, () => checkHeader(res, 'Location', options.expectedLocation));
+    }
+
+    if (options.schema) {
+      const validate = this.getSchemaValidator(options.schema);
+      collectFailure(failures, 'body', res.body, undefined, () => checkSchema(res, validate));
+    }
+
+    if (options.expectedError) {
+      const format = options.expectedError.errorFormat !== undefined ? getErrorFormat(options.expectedError.errorFormat) : this.errorFormat;
+      failures.push(...checkError(res, format, options.expectedError));
+    }
+
+    const maxDuration = options.maxDuration !== undefined ? options.maxDuration : this.maxDuration;
+    if (maxDuration !== undefined && maxDuration !== false && res.duration !== undefined) {
+      collectFailure(failures, 'duration', res.duration, maxDuration, () => checkDuration(res, maxDuration));
+    }
+
+    if (this.openApi && req && options.openApi !== false) {
+      collectFailure(failures, 'openApi', undefined, undefined, () => this.openApi.verify(_.defaults({ path: removePathPrefix(req.path, this.pathPrefix) }, req), res));
+    }
+
+    if (failures.length) {
+      throw new SuperRestAssertionError(failures, req, res);
+    }
+  }
+
+  /**
+   * Asserts that a response matches the named snapshot. Only the status code, the selected
+   * headers and the body of the response are compared, after redacting volatile values.
+   *
+   * The snapshot is stored as a JSON file the first time, and compared with on subsequent runs.
+   * Set the `SUPERREST_UPDATE_SNAPSHOTS` environment variable to overwrite existing snapshots
+   * with the current responses. When the `CI` environment variable is set, missing snapshots are
+   * not created (the assertion fails) unless in update mode.
+   *
+   * @method
+   *
+   * @param {Response} res - A SuperTest response.
+   *
+   * @param {string} name - The name of the snapshot, unique in the snapshot directory.
+   *
+   * @param {object} [options] - Snapshot options, which default to the `snapshots` option given
+   *   to the constructor.
+   *
+   * @param {string} [options.dir] - The directory where snapshots are stored (relative to the
+   *   working directory), usually next to your specs (e.g. `path.join(__dirname, '__snapshots__')`).
+   *   It is required, either here or in the `snapshots` option given to the constructor.
+   *
+   * @param {string[]} [options.headers=["Content-Type"]] - The response headers to include.
+   *
+   * @param {object} [options.redact] - Volatile values to redact, in addition to those of the
+   *   `snapshots` option given to the constructor. Keys are property paths in the normalized
+   *   response (e.g. `"body.id"` or `"headers.etag"`), where `*` matches any property or array
+   *   index (e.g. `"body.*.createdAt"`). Values can be:
+   *
+   *   * `true`: the value is replaced with `"[redacted]"`.
+   *   * A string: the value is replaced with it.
+   *   * A RegExp: the value must match it, and is replaced with a description of the RegExp.
+   *   * A function: it is called with the value and must return true, and the value is replaced
+   *     with a description of the function.
+   *
+   * @param {boolean} [options.update] - Whether to overwrite the snapshot with the response
+   *   (the `SUPERREST_UPDATE_SNAPSHOTS` environment variable by default).
+   *
+   * @param {object} [req] - The request, to describe it if the assertion fails (provided by
+   *   {@link SuperRest#test}).
+   *
+   * @returns {object} The normalized response.
+   */
+  matchSnapshot(res, name, options, req) {
+    checkOptions(this, 'matchSnapshot', options);
+    return matchSnapshot(res, name, getSnapshotOptions(this.snapshots, options), req);
+  }
+
+  /**
+   * Returns a compiled validation function for the specified JSON schema.
+   *
+   * @method
+   *
+   * @param {string|object} schema - A JSON schema, or the name of one of the `schemas`
+   *   given to the constructor.
+   *
+   * @returns {function} An [Ajv](https://github.com/epoberezkin/ajv) validation function.
+   */
+  getSchemaValidator(schema) {
+    if (!_.isString(schema)) {
+      return this.ajv.compile(schema);
     }
+
+    const validate = this.ajv.getSchema(schema);
+    if (!validate) {
+      throw new Error(`Unknown JSON schema "${schema}"`);
+    }
+
+    return validate;
+  }
+
+  /**
+   * Returns functions that make assertions on SuperTest responses with Node.js's `assert`
+   * module: `status`, `header`, `contentType`, `matchSchema`, `matchResource` and
+   * `respondWithin`. Each takes a response (or a test that has not been awaited yet, in which
+   * case it returns a promise of the response) followed by the arguments of the assertion, and
+   * throws an `AssertionError` if it fails.
+   *
+   * The default expectations of {@link SuperRest#test} (an HTTP 200 status code and the
+   * `expectedContentType` given to the constructor) are not applied to a test given to an
+   * assertion, so that e.g. `assert.status(api.read('/missing'), 404)` passes. Options given to
+   * the test itself are still checked.
+   *
+   * For example:
+   *
+   *     const assert = api.assertions();
+   *     const res = await assert.status(api.read('/users/1'), 200);
+   *     assert.matchSchema(res, 'user');
+   *
+   * @method
+   *
+   * @returns {object} The assertion functions, by name.
+   */
+  assertions() {
+    return createAssertions(this);
+  }
+
+  /**
+   * Returns a [Chai](http://chaijs.com) plugin adding assertions on SuperTest responses, with
+   * the same names as the functions returned by {@link SuperRest#assertions}. JSON schemas may
+   * be referred to by the name they were given to this instance. As with those functions, the
+   * default status code and Content-Type expectations are not applied to a test that has not been
+   * awaited yet.
+   *
+   * For example:
+   *
+   *     chai.use(api.chaiPlugin());
+   *
+   *     await api.read('/users/1').should.have.status(200);
+   *     expect(res).to.have.header('Location', /^\/users\/\d+$/);
+   *
+   * @method
+   *
+   * @returns {function} A Chai plugin.
+   */
+  chaiPlugin() {
+    return createChaiPlugin(this);
+  }
+
+  /**
+   * Returns [Jest](https://jestjs.io) matchers for SuperTest responses: `toHaveStatus`,
+   * `toHaveHeader`, `toHaveContentType`, `toMatchSchema`, `toMatchResource` and
+   * `toRespondWithin`. JSON schemas may be referred to by the name they were given to this
+   * instance. As with {@link SuperRest#assertions}, the default status code and Content-Type
+   * expectations are not applied to a test that has not been awaited yet.
+   *
+   * For example:
+   *
+   *     expect.extend(api.jestMatchers());
+   *
+   *     await expect(api.read('/users/1')).toHaveStatus(200);
+   *     expect(res).not.toHaveHeader('Set-Cookie');
+   *
+   * @method
+   *
+   * @returns {object} Matchers to give to `expect.extend`.
+   */
+  jestMatchers() {
+    return createJestMatchers(this);
   }
 
   /**
@@ -142,13 +815,32 @@ class SuperRest {
    *
    * @param {object} [options] - Assertion options (see {@link SuperRest#test} for all options).
    *
-   * @param {number} [options.expectedStatusCode=201] - The expected HTTP status code of the
-   *   response.
+   * @param {number|number[]|string|RegExp|function|boolean} [options.expectedStatus=201] - The
+   *   expected HTTP status code of the response (see {@link SuperRest#expect} for the accepted forms).
+   *
+   * @param {boolean|string|RegExp|function} [options.expectedLocation] - The Location header expected
+   *   to be found in the response. If true, it must point to the created resource (see
+   *   {@link SuperRest#expect}). Use {@link SuperRest#followLocation} to read the created resource.
+   *
+   * @param {boolean} [options.cleanup] - Whether to register the created resource so that it is
+   *   deleted by {@link SuperRest#cleanup}. Overrides the `cleanup` option given to the constructor.
+   *   Only responses with a 2xx status code and a Location header or an identifier in their body
+   *   are registered, so that failed creations can also be tested.
    */
   create(path, body, options) {
-    return this.test('POST', path, body, _.defaults({}, options, {
+    checkOptions(this, 'create', options);
+    options = _.defaults({}, options, {
       expectedStatus: 201
-    }));
+    });
+
+    const test = this.test('POST', path, body, _.omit(options, 'cleanup'));
+
+    const cleanup = options.cleanup !== undefined ? options.cleanup : this.options.cleanup;
+    return cleanup ? test.expect(res => {
+      if (isCreatedResource(res, options.idProperty || 'id')) {
+        this.registerCleanup(res, path, options);
+      }
+    }) : test;
   }
 
   /**
@@ -161,8 +853,13 @@ class SuperRest {
    *   it will be prepended to the path to form the full test path.
    *
    * @param {object} [options] - Assertion options (see {@link SuperRest#test} for all options).
+   *
+   * @param {boolean} [options.captureValidators] - Whether to store the ETag and Last-Modified
+   *   headers of the response, which must have at least one of them, so that they can be retrieved
+   *   later with {@link SuperRest#getValidators}.
    */
   read(path, options) {
+    checkOptions(this, 'read', options);
     return this.test('GET', path, undefined, options);
   }
 
@@ -181,6 +878,63 @@ class SuperRest {
     return this.read(...args);
   }
 
+  /**
+   * Makes GET requests to walk all the pages of a collection, asserting that:
+   *
+   * * No item appears twice (items are compared by identifier, or by value if they have none).
+   * * No page has more items than the page size, and only the last page has fewer.
+   * * The total number of items matches the `X-Total-Count` header, if present (and that header
+   *   has the same value on all pages).
+   *
+   * Each page is requested through {@link SuperRest#read}, so all default assertions apply.
+   *
+   * @method
+   *
+   * @param {string} path - The path of the collection.
+   *   If a non-false `pathPrefix` option is given to the constructor or to this method,
+   *   it will be prepended to the path to form the full test path.
+   *
+   * @param {object} [options] - Pagination options, which default to the `pagination` option given
+   *   to the constructor. Other options are assertion options (see {@link SuperRest#test}).
+   *
+   * @param {string} [options.strategy="link"] - How to find the next page:
+   *
+   *   * `link` - Follow the `next` relation of the RFC 5988 Link header until there is none.
+   *   * `offset` - Increment an offset query parameter by the number of items of each page until
+   *     a page has fewer items than the page size (or none).
+   *   * `cursor` - Send the cursor found in each page in a query parameter until there is none.
+   *
+   * @param {number} [options.pageSize] - The expected number of items per page. If given, it is
+   *   sent as the limit query parameter of the first page (and of each page with the `offset` and
+   *   `cursor` strategies).
+   *
+   * @param {string|function} [options.items] - The property path of the items in the response
+   *   body (e.g. `"data"`), or a function returning them from a response. The whole body by default.
+   *
+   * @param {string|function} [options.nextCursor="nextCursor"] - The property path of the next
+   *   cursor in the response body, or a function returning it from a response (`cursor` strategy).
+   *
+   * @param {string} [options.cursorParam="cursor"] - The cursor query parameter (`cursor` strategy).
+   *
+   * @param {string} [options.limitParam="limit"] - The page size query parameter.
+   *
+   * @param {string} [options.offsetParam="offset"] - The offset query parameter (`offset` strategy).
+   *
+   * @param {string} [options.idProperty="id"] - The property of an item that contains its identifier.
+   *
+   * @param {string} [options.totalCountHeader="X-Total-Count"] - The header containing the total
+   *   number of items.
+   *
+   * @param {number} [options.maxPages=100] - The maximum number of pages to walk, to avoid
+   *   infinite loops.
+   *
+   * @returns {Promise<Array>} All the items of the collection.
+   */
+  async paginate(path, options) {
+    checkOptions(this, 'paginate', options);
+    return paginate(this, path, options);
+  }
+
   /**
    * Makes a PUT request to update a resource with the specified body.
    *
@@ -195,8 +949,9 @@ class SuperRest {
    * @param {object} [options] - Assertion options (see {@link SuperRest#test} for all options).
    */
   update(path, body, options) {
+    checkOptions(this, 'update', options);
     options = options || {};
-    return this.test(options.method || this.updateMethod, path, body, options);
+    return this.test(options.method || this.updateMethod, path, body, _.omit(options, 'method'));
   }
 
   /**
@@ -213,6 +968,7 @@ class SuperRest {
    * @param {object} [options] - Assertion options (see {@link SuperRest#test} for all options).
    */
   patch(path, body, options) {
+    checkOptions(this, 'patch', options);
     return this.test('PATCH', path, body, options);
   }
 
@@ -230,6 +986,7 @@ class SuperRest {
    * @param {object} [options] - Assertion options (see {@link SuperRest#test} for all options).
    */
   delete(path, body, options) {
+    checkOptions(this, 'delete', options);
     return this.test('DELETE', path, body, options);
   }
 
@@ -249,6 +1006,846 @@ class SuperRest {
   destroy(...args) {
     return this.delete(...args);
   }
-}
+
+  /**
+   * Makes a request that is expected to fail with a structured error response (see the
+   * `errorFormat` option of the constructor). The response is expected to have the status code
+   * HTTP 422 Unprocessable Entity and the Content-Type of the error format by default.
+   *
+   * @method
+   *
+   * @param {string} method - The HTTP method.
+   *
+   * @param {string} path - The path of the API resource.
+   *   If a non-false `pathPrefix` option is given to the constructor or to this method,
+   *   it will be prepended to the path to form the full test path.
+   *
+   * @param {*} [body] - The request body to send to the server, if any.
+   *
+   * @param {object} [options] - Assertion options (see {@link SuperRest#test} for all options).
+   *
+   * @param {number|number[]|string|RegExp|function} [options.expectedStatus=422] - The
+   *   expected HTTP status code of the response (see {@link SuperRest#expect} for the accepted forms).
+   *
+   * @param {*} [options.code] - The expected error code (a RegExp is matched against it).
+   *
+   * @param {string|RegExp} [options.type] - The expected error type (e.g. the `type` URI of
+   *   problem details).
+   *
+   * @param {string[]} [options.invalidFields] - The names of the request fields that the error is
+   *   expected to report as invalid (in any order, and no others).
+   *
+   * @param {string|object} [options.errorFormat] - The format of the error for this specific test.
+   *   Overrides the `errorFormat` option given to the constructor.
+   */
+  expectError(method, path, body, options) {
+    checkOptions(this, 'expectError', options);
+    options = options || {};
+
+    const format = options.errorFormat !== undefined ? getErrorFormat(options.errorFormat) : this.errorFormat;
+    const testOptions = _.defaults(_.omit(options, 'code', 'errorFormat', 'invalidFields', 'type'), {
+      expectedContentType: format.contentType,
+      expectedError: _.pick(options, 'code', 'errorFormat', 'invalidFields', 'type'),
+      expectedStatus: 422
+    });
+
+    return this.test(method, path, body, testOptions);
+  }
+
+  /**
+   * Makes a GET request to the path of the Location header of a response (e.g. to read the
+   * resource returned by {@link SuperRest#create}). The `pathPrefix` option is not applied as the
+   * Location is expected to be complete.
+   *
+   * @method
+   *
+   * @param {Response} res - A SuperTest response with a Location header.
+   *
+   * @param {object} [options] - Assertion options (see {@link SuperRest#test} for all options).
+   */
+  followLocation(res, options) {
+    checkOptions(this, 'followLocation', options);
+
+    const location = res.get('Location');
+    if (!location) {
+      throw new Error(`Cannot follow the missing HTTP Location header of a response with status code ${res.status}`);
+    }
+
+    return this.read(url.parse(location).path, _.defaults({ pathPrefix: false }, options));
+  }
+
+  /**
+   * Makes a request to a hypermedia link of a response, found by its relation type in the `Link`
+   * header, in the `_links` property of a HAL body or in the `links` property of a JSON:API body.
+   * The `pathPrefix` option is not applied as links are expected to be complete.
+   *
+   * For example:
+   *
+   *     const page = await api.read('/orders');
+   *     const nextPage = await api.follow(page, 'next');
+   *     const order = await api.follow(nextPage, 'find', { params: { id: 42 } });
+   *
+   * @method
+   *
+   * @param {Response} res - A SuperTest response.
+   *
+   * @param {string} rel - The relation type of the link (e.g. `"next"`). If there are several links
+   *   with that relation type, the first one is followed.
+   *
+   * @param {object} [options] - Assertion options (see {@link SuperRest#test} for all options).
+   *
+   * @param {string} [options.method="GET"] - The HTTP method.
+   *
+   * @param {*} [options.body] - The request body to send to the server, if any.
+   *
+   * @param {object} [options.params] - The values of the variables of a templated link (simple
+   *   `{id}` and form-style query `{?page,size}` expressions are supported).
+   */
+  follow(res, rel, options) {
+    checkOptions(this, 'follow', options);
+    options = options || {};
+
+    const path = getLinkPath(res, rel, options.params);
+    return this.test(options.method || 'GET', path, options.body, _.defaults({ pathPrefix: false }, _.omit(options, 'body', 'method', 'params')));
+  }
+
+  /**
+   * Follows an asynchronous job started by a request that was answered with HTTP 202 Accepted: the
+   * status monitor in the Location header of the response is read until the job completes, waiting
+   * between requests as indicated by the Retry-After header (or the polling options).
+   *
+   * The job is considered complete when the status monitor no longer responds with HTTP 202
+   * Accepted (and satisfies the `until` function, if given). If it then responds with HTTP 303 See
+   * Other, its Location is followed with {@link SuperRest#followLocation}. The final response must
+   * satisfy the assertion options.
+   *
+   * For example:
+   *
+   *     const res = await api.create('/exports', { format: 'csv' }, { expectedStatus: 202 });
+   *     const exported = await api.followJob(res, { expectedContentType: /^text\/csv/ });
+   *
+   * @method
+   *
+   * @param {Response} res - A SuperTest response with status code 202 and a Location header.
+   *
+   * @param {object} [options] - Assertion options for the final response (see
+   *   {@link SuperRest#test} for all options).
+   *
+   * @param {boolean|object} [options.eventually] - Polling options overriding the `polling` options
+   *   given to the constructor (see {@link SuperRest#test}).
+   *
+   * @param {function} [options.until] - A function called with each response of the status monitor
+   *   that must return true when the job is complete (e.g. `res => res.body.status === 'done'`).
+   *
+   * @returns {Promise<Response>} The final response.
+   */
+  async followJob(res, options) {
+    checkOptions(this, 'followJob', options);
+    return followJob(this, res, options);
+  }
+
+  /**
+   * Stores the ETag and Last-Modified headers of a response, which must have at least one of them.
+   *
+   * This method is called by {@link SuperRest#test} when the `captureValidators` option is given.
+   *
+   * @method
+   *
+   * @param {Response} res - A SuperTest response.
+   *
+   * @param {object} req - The request that was made (see {@link SuperRest#expect}).
+   */
+  captureValidators(res, req) {
+
+    const validators = _.omitBy({
+      etag: res.get('ETag'),
+      lastModified: res.get('Last-Modified')
+    }, _.isUndefined);
+
+    if (_.isEmpty(validators)) {
+      throw new Error(`Expected HTTP ETag or Last-Modified header to be present in the response to ${req.method} ${req.path}`);
+    }
+
+    this.validators[req.path] = validators;
+  }
+
+  /**
+   * Returns the ETag and Last-Modified headers captured for an API resource with the
+   * `captureValidators` option.
+   *
+   * @method
+   *
+   * @param {string} path - The path of the API resource.
+   *   If a non-false `pathPrefix` option is given to the constructor or to this method,
+   *   it will be prepended to the path to form the full path.
+   *
+   * @param {object} [options] - Path options (see {@link SuperRest#getFullPath}).
+   *
+   * @returns {object|undefined} An object with `etag` and/or `lastModified` properties, or
+   *   undefined if none were captured for this resource.
+   */
+  getValidators(path, options) {
+    return this.validators[this.getFullPath(path, options)];
+  }
+
+  /**
+   * Returns the conditional request headers to send for a resource based on the validators
+   * captured with the `captureValidators` option.
+   *
+   * @method
+   *
+   * @param {string} method - The HTTP method of the request.
+   *
+   * @param {string} fullPath - The full path of the resource (including any path prefix).
+   *
+   * @returns {object} The conditional request headers.
+   */
+  getConditionalHeaders(method, fullPath) {
+
+    const validators = this.validators[fullPath];
+    if (!validators) {
+      throw new Error(`No ETag or Last-Modified header was captured for ${fullPath}; use the "captureValidators" option to capture them`);
+    }
+
+    const safe = _.includes([ 'get', 'head' ], method.toLowerCase());
+    return _.omitBy({
+      [safe ? 'If-None-Match' : 'If-Match']: validators.etag,
+      [safe ? 'If-Modified-Since' : 'If-Unmodified-Since']: validators.lastModified
+    }, _.isUndefined);
+  }
+
+  /**
+   * Asserts that a resource supports conditional GET requests: it is read once to capture its
+   * ETag and Last-Modified headers, then read again with an `If-None-Match` header (if it has an
+   * ETag) and with an `If-Modified-Since` header (if it has a Last-Modified date), each time
+   * expecting HTTP 304 Not Modified.
+   *
+   * @method
+   *
+   * @param {string} path - The path of the API resource.
+   *   If a non-false `pathPrefix` option is given to the constructor or to this method,
+   *   it will be prepended to the path to form the full test path.
+   *
+   * @param {object} [options] - Assertion options (see {@link SuperRest#test} for all options).
+   *
+   * @returns {Promise<Response[]>} The responses to the initial request and to each conditional request.
+   */
+  async expectNotModified(path, options) {
+    checkOptions(this, 'expectNotModified', options);
+    options = options || {};
+
+    const responses = [ await this.read(path, _.extend({}, options, { captureValidators: true })) ];
+
+    const validators = this.getValidators(path, options);
+    const notModifiedOptions = _.extend({}, options, { expectedContentType: false, expectedStatus: 304 });
+
+    if (validators.etag) {
+      responses.push(await this.read(path, _.merge({}, notModifiedOptions, { headers: { 'If-None-Match': validators.etag } })));
+    }
+
+    if (validators.lastModified) {
+      responses.push(await this.read(path, _.merge({}, notModifiedOptions, { headers: { 'If-Modified-Since': validators.lastModified } })));
+    }
+
+    return responses;
+  }
+
+  /**
+   * Asserts that a resource is protected by optimistic locking:
+   *
+   * 1. The resource is read to capture its ETag.
+   * 2. It is updated with an `If-Match` header containing that ETag (expecting a 2xx status code).
+   * 3. It is read again, expecting its ETag to have changed.
+   * 4. It is updated again with the now stale ETag, expecting HTTP 412 Precondition Failed.
+   *
+   * @method
+   *
+   * @param {string} path - The path of the API resource.
+   *   If a non-false `pathPrefix` option is given to the constructor or to this method,
+   *   it will be prepended to the path to form the full test path.
+   *
+   * @param {*} body - The request body to send to the server when updating the resource.
+   *
+   * @param {object} [options] - Assertion options (see {@link SuperRest#update} for all options).
+   *
+   * @returns {Promise<object>} An object with the `read`, `updated`, `verified` and `rejected` responses.
+   */
+  async expectOptimisticLocking(path, body, options) {
+    checkOptions(this, 'expectOptimisticLocking', options);
+    options = options || {};
+
+    const responses = {};
+
+    responses.read = await this.read(path, _.extend({}, options, { captureValidators: true }));
+    const etag = this.getValidators(path, options).etag;
+    if (!etag) {
+      throw new Error(`Expected HTTP ETag header to be present in the response to GET ${this.getFullPath(path, options)}`);
+    }
+
+    responses.updated = await this.update(path, body, _.merge({}, options, { expectedStatus: '2xx', headers: { 'If-Match': etag } }));
+
+    responses.verified = await this.read(path, _.extend({}, options, { captureValidators: true }));
+    if (this.getValidators(path, options).etag === etag) {
+      throw new Error(`Expected HTTP ETag header ${etag} to change after updating ${this.getFullPath(path, options)}`);
+    }
+
+    responses.rejected = await this.update(path, body, _.merge({}, options, { expectedStatus: 412, headers: { 'If-Match': etag } }));
+
+    return responses;
+  }
+
+  /**
+   * Returns a new SuperREST instance with the same configuration, bound to a
+   * [SuperTest agent](https://github.com/visionmedia/supertest#example) that persists cookies
+   * across requests (e.g. to test cookie-based sessions and CSRF protection).
+   *
+   * The `openApi` document, `coverage` tracker and HAR `recorder` of this instance are shared
+   * with the session, as are the resources registered for {@link SuperRest#cleanup}: cleaning up
+   * either instance deletes the resources created by both (each with the instance that created it,
+   * so that the cookies of the session are used).
+   *
+   * @method
+   *
+   * @param {object} [options] - Configuration overriding that of this instance (see the
+   *   constructor for all options).
+   *
+   * @returns {SuperRest} A session.
+   */
+  session(options) {
+
+    const session = new this.constructor(this.app, _.extend({}, this.options, {
+      coverage: this.coverage,
+      openApi: this.openApi,
+      record: this.recorder
+    }, options));
+
+    session.agent = supertest.agent(this.app);
+    session.createdResources = this.createdResources;
+
+    return session;
+  }
+
+  /**
+   * Discards all cookies stored by a session created with {@link SuperRest#session}.
+   *
+   * @method
+   */
+  resetSession() {
+    if (!this.agent) {
+      throw new Error('Only sessions created with the "session" method can be reset');
+    }
+
+    this.agent = supertest.agent(this.app);
+  }
+
+  /**
+   * Returns the cookies stored by a session created with {@link SuperRest#session}.
+   *
+   * The underlying [cookie jar](https://github.com/bmeck/node-cookiejar) is available as
+   * `agent.jar` if you need more information (e.g. domains or expiration dates).
+   *
+   * @method
+   *
+   * @returns {object} An object with the name of each cookie as key and its value as value.
+   */
+  getCookies() {
+    if (!this.agent) {
+      throw new Error('Only sessions created with the "session" method store cookies');
+    }
+
+    return this.agent.jar.getCookies(CookieAccessInfo.All).reduce((memo, cookie) => {
+      memo[cookie.name] = cookie.value;
+      return memo;
+    }, {});
+  }
+
+  /**
+   * Asserts that a route requires authentication: an anonymous request is expected to be
+   * rejected with HTTP 401 Unauthorized, and requests made with each of the specified forbidden
+   * authentication profiles are expected to be rejected with HTTP 403 Forbidden.
+   *
+   * @method
+   *
+   * @param {string} method - The HTTP method.
+   *
+   * @param {string} path - The path of the API resource.
+   *   If a non-false `pathPrefix` option is given to the constructor or to this method,
+   *   it will be prepended to the path to form the full test path.
+   *
+   * @param {object} [options] - Assertion options (see {@link SuperRest#test} for all options).
+   *
+   * @param {*} [options.body] - The request body to send to the server, if any.
+   *
+   * @param {string[]} [options.forbidden] - The names of the authentication profiles that must
+   *   not be allowed to make the request.
+   *
+   * @returns {Promise<Response[]>} The responses to the anonymous request and to the requests made
+   *   with each forbidden profile.
+   */
+  async expectAuthRequired(method, path, options) {
+    checkOptions(this, 'expectAuthRequired', options);
+    options = options || {};
+
+    const testOptions = _.omit(options, 'as', 'auth', 'body', 'forbidden');
+    const responses = [
+      await this.test(method, path, options.body, _.extend({}, testOptions, { auth: false, expectedStatus: 401 }))
+    ];
+
+    for (const name of options.forbidden || []) {
+      responses.push(await this.test(method, path, options.body, _.extend({}, testOptions, { as: name, expectedStatus: 403 })));
+    }
+
+    return responses;
+  }
+
+  /**
+   * Asserts that a route supports content negotiation: the same request is made once for each
+   * variant with the corresponding `Accept` (and optionally `Accept-Language` and
+   * `Accept-Encoding`) headers, and the Content-Type (and Content-Language and Content-Encoding)
+   * of each response is checked. Requests for unsupported media types can also be expected to be
+   * rejected with HTTP 406 Not Acceptable.
+   *
+   * All variants are requested even if some fail, and the failures are reported together.
+   *
+   * For example:
+   *
+   *     await api.expectNegotiation('/reports', {
+   *       'application/json': /^application\/json/,
+   *       'application/hal+json': /^application\/hal\+json/,
+   *       'text/csv': 'text/csv; charset=utf-8'
+   *     }, { notAcceptable: [ 'application/xml' ] });
+   *
+   * @method
+   *
+   * @param {string} path - The path of the API resource.
+   *   If a non-false `pathPrefix` option is given to the constructor or to this method,
+   *   it will be prepended to the path to form the full test path.
+   *
+   * @param {object|object[]} variants - An object mapping `Accept` header values to the expected
+   *   Content-Type of the response (see the `expectedContentType` option of {@link SuperRest#expect}
+   *   for the accepted values), or an array of variants with the following properties:
+   *
+   *   * `accept` - The `Accept` header to send.
+   *   * `acceptLanguage` - The `Accept-Language` header to send.
+   *   * `acceptEncoding` - The `Accept-Encoding` header to send.
+   *   * `contentType` - The expected Content-Type of the response.
+   *   * `contentLanguage` - The expected Content-Language of the response (see the
+   *     `expectedHeaders` option of {@link SuperRest#expect} for the accepted values).
+   *   * `contentEncoding` - The expected Content-Encoding of the response.
+   *
+   *   Any other property is a test option for that variant (e.g. `expectedStatus` or `schema`).
+   *
+   * @param {object} [options] - Assertion options (see {@link SuperRest#test} for all options).
+   *
+   * @param {string} [options.method="GET"] - The HTTP method.
+   *
+   * @param {*} [options.body] - The request body to send to the server, if any.
+   *
+   * @param {string|string[]} [options.notAcceptable] - `Accept` header values for which the server
+   *   is expected to respond with HTTP 406 Not Acceptable (the Content-Type of those responses is
+   *   not checked).
+   *
+   * @returns {Promise<Response[]>} The responses to each variant, followed by the responses to
+   *   each unsupported media type.
+   */
+  async expectNegotiation(path, variants, options) {
+    checkOptions(this, 'expectNegotiation', options);
+    options = options || {};
+
+    if (!_.isPlainObject(variants) && !_.isArray(variants)) {
+      throw new Error(`Negotiation variants must be an object or an array, got ${JSON.stringify(variants)}`);
+    }
+
+    const testOptions = _.omit(options, 'body', 'method', 'notAcceptable');
+    const notAcceptable = _.castArray(options.notAcceptable || []).map(accept => ({ accept, contentType: false, expectedStatus: 406 }));
+    const allVariants = (_.isArray(variants) ? variants : _.map(variants, (contentType, accept) => ({ accept, contentType }))).concat(notAcceptable);
+
+    const failures = [];
+    const responses = [];
+
+    for (const variant of allVariants) {
+
+      const headers = _.omitBy({
+        Accept: variant.accept,
+        'Accept-Encoding': variant.acceptEncoding,
+        'Accept-Language': variant.acceptLanguage
+      }, _.isUndefined);
+
+      const expectedHeaders = _.omitBy({
+        'Content-Encoding': variant.contentEncoding,
+        'Content-Language': variant.contentLanguage
+      }, _.isUndefined);
+
+      // Options given to a variant replace those of the method (e.g. an `expectedStatus` array),
+      // except for headers which are combined.
+      const variantTestOptions = _.omit(variant, NEGOTIATION_PROPERTIES);
+      const variantOptions = _.assign({}, testOptions, variantTestOptions, {
+        headers: _.assign({}, testOptions.headers, variantTestOptions.headers, headers),
+        expectedHeaders: _.assign({}, testOptions.expectedHeaders, variantTestOptions.expectedHeaders, expectedHeaders)
+      });
+
+      if (variant.contentType !== undefined) {
+        variantOptions.expectedContentType = variant.contentType;
+      }
+
+      const description = _.isEmpty(headers) ? 'no Accept header' : _.map(headers, (value, name) => `${name}: ${value}`).join(', ');
+
+      try {
+        responses.push(await this.test(options.method || 'GET', path, options.body, variantOptions));
+      } catch (err) {
+        if (!(err instanceof SuperRestAssertionError)) {
+          throw err;
+        }
+
+        err.failures.forEach(failure => failures.push(_.extend({}, failure, {
+          check: `${description} (${failure.check})`,
+          message: `${failure.message} with ${description}`
+        })));
+      }
+    }
+
+    if (failures.length) {
+      throw new SuperRestAssertionError(failures);
+    }
+
+    return responses;
+  }
+
+  /**
+   * Makes the same request repeatedly through {@link SuperRest#test} (with all its assertions) and
+   * reports its latency and error rate. This is a lightweight load run to catch performance
+   * regressions, not a substitute for a load testing tool.
+   *
+   * Latencies are measured on the client side, from when each request is started until its
+   * response has been checked. Failed requests (including failed assertions) are counted as
+   * errors instead of failing the benchmark.
+   *
+   * For example:
+   *
+   *     const report = await api.bench('GET', '/users', { requests: 200, concurrency: 10 });
+   *     expect(report.latency.p95).to.be.lte(100);
+   *     expect(report.errorRate).to.equal(0);
+   *
+   * @method
+   *
+   * @param {string} method - The HTTP method.
+   *
+   * @param {string} path - The path of the API resource.
+   *   If a non-false `pathPrefix` option is given to the constructor or to this method,
+   *   it will be prepended to the path to form the full test path.
+   *
+   * @param {object} [options] - Benchmark options (see {@link SuperRest#test} for all options).
+   *
+   * @param {*} [options.body] - The request body to send to the server, if any.
+   *
+   * @param {number} [options.concurrency=1] - The number of requests in progress at the same time.
+   *
+   * @param {number} [options.requests=10] - The total number of requests to make.
+   *
+   * @returns {Promise<object>} A report with the following properties:
+   *
+   *   * `requests` and `concurrency` - The options of the run.
+   *   * `duration` - The total duration of the run in milliseconds.
+   *   * `throughput` - The number of requests per second.
+   *   * `failed` - The number of failed requests.
+   *   * `errorRate` - The proportion of failed requests (between 0 and 1).
+   *   * `errors` - The distinct errors, each with a `message` (the first line of the error
+   *     message) and a `count`.
+   *   * `latency` - The `min`, `max`, `mean`, `p50`, `p95` and `p99` latencies in milliseconds.
+   */
+  async bench(method, path, options) {
+    checkOptions(this, 'bench', options);
+    return bench(this, method, path, options);
+  }
+
+  /**
+   * Returns CRUD helpers bound to a collection, which build member paths from an identifier,
+   * a resource's body or the Location header of a creation response.
+   *
+   * @method
+   *
+   * @param {string} path - The path of the collection (e.g. `/users`).
+   *   If a non-false `pathPrefix` option is given to the constructor, it will be prepended
+   *   to the path to form the full test path.
+   *
+   * @param {object} [options] - Resource options (see {@link Resource} for all options).
+   *
+   * @returns {Resource} Helpers for the collection.
+   */
+  resource(path, options) {
+    checkOptions(this, 'resource', options);
+    return new Resource(this, path, options);
+  }
+
+  /**
+   * Registers a created resource so that it is deleted by {@link SuperRest#cleanup}. This is
+   * done automatically by {@link SuperRest#create} with the `cleanup` option.
+   *
+   * @method
+   *
+   * @param {Response} res - The response to the request that created the resource. The path of
+   *   the resource is taken from its Location header, or built from the identifier in its body.
+   *
+   * @param {string} path - The path of the collection the resource was created in.
+   *
+   * @param {object} [options] - The options of the creation request. The `as`, `auth`, `headers`
+   *   and `pathPrefix` options are reused to delete the resource, and the `idProperty` option is
+   *   used to find its identifier.
+   */
+  registerCleanup(res, path, options) {
+    options = options || {};
+
+    const resource = this.resource(path, { idProperty: options.idProperty });
+    this.createdResources.push({
+      api: this,
+      path: resource.memberPath(res),
+      options: resource.memberOptions(res, _.pick(options, 'as', 'auth', 'headers', 'pathPrefix'))
+    });
+  }
+
+  /**
+   * Deletes all the resources registered with {@link SuperRest#registerCleanup} (or created with
+   * the `cleanup` option), in the reverse order of their creation, and forgets them. Responses
+   * with the status code HTTP 404 Not Found are accepted in case a test deleted a resource itself.
+   *
+   * All deletions are attempted even if some fail; the failures are then reported together.
+   *
+   * @method
+   *
+   * @returns {Promise<Response[]>} The responses to the successful DELETE requests.
+   */
+  async cleanup() {
+
+    // The registry is emptied in place since it is shared with sessions.
+    const resources = this.createdResources.splice(0).reverse();
+
+    const responses = [];
+    const failures = [];
+    for (const resource of resources) {
+      try {
+        responses.push(await resource.api.delete(resource.path, undefined, _.extend({}, resource.options, { expectedStatus: [ 200, 202, 204, 404 ] })));
+      } catch (err) {
+        failures.push(`* ${resource.path}: ${err.message.split('\n')[0]}`);
+      }
+    }
+
+    if (failures.length) {
+      throw new Error(`Could not clean up ${failures.length} of ${resources.length} created resources:\n${failures.join('\n')}`);
+    }
+
+    return responses;
+  }
+
+  /**
+   * Registers an `afterEach` hook that deletes the resources created during each test with
+   * {@link SuperRest#cleanup}. Both mocha and Jest provide a global `afterEach` function.
+   *
+   * @method
+   *
+   * @param {object} [options] - Hook options.
+   *
+   * @param {function} [options.afterEach=afterEach] - The function used to register the hook
+   *   (the global `afterEach` of mocha or Jest by default).
+   */
+  registerCleanupHook(options) {
+    checkOptions(this, 'registerCleanupHook', options);
+    options = options || {};
+
+    const register = options.afterEach || global.afterEach;
+    register(() => this.cleanup());
+  }
+
+  /**
+   * Creates named seed resources with {@link SuperRest#create}, in dependency order. Fixtures are
+   * registered for cleanup by default (see {@link SuperRest#cleanup}).
+   *
+   * For example, to create a user in a new organization:
+   *
+   *     const fixtures = await api.loadFixtures({
+   *       org: { path: '/orgs', body: { name: 'Acme' } },
+   *       user: { path: '/users', dependsOn: [ 'org' ], body: fixtures => ({ orgId: fixtures.org.id }) }
+   *     });
+   *
+   * @method
+   *
+   * @param {object} definitions - Fixture definitions by name. Each definition is an object with
+   *   the following properties:
+   *
+   *   * `path` - The path of the collection to create the resource in.
+   *   * `body` - The request body, or a function called with the fixtures created so far that
+   *     returns it.
+   *   * `dependsOn` - The names of the fixtures that must be created first.
+   *   * `idProperty` - The property of the response body that contains the identifier (`id` by default).
+   *   * `options` - Additional options for {@link SuperRest#create}.
+   *
+   * @param {object} [options] - Loading options.
+   *
+   * @param {boolean} [options.cleanup=true] - Whether to register the fixtures for cleanup.
+   *
+   * @returns {Promise<object>} The created fixtures by name, each with the `id`, `body`, `path`
+   *   (of the resource) and `res` (the creation response) properties.
+   */
+  async loadFixtures(definitions, options) {
+    checkOptions(this, 'loadFixtures', options);
+    return loadFixtures(this, definitions, options);
+  }
+
+  /**
+   * Runs a multi-step API flow described as data. Each step is made through
+   * {@link SuperRest#test} (or one of its aliases), so all the defaults given to the constructor
+   * apply, and values captured from its response can be used by the following steps.
+   *
+   * Strings in the path, body, query, headers and expectations of a step can reference variables
+   * with `{{name}}` templates (or `{{name.property}}`). A string that is only a template is
+   * replaced with the variable's value as is (e.g. a number), otherwise the value is inserted
+   * into the string.
+   *
+   * For example, in YAML:
+   *
+   *     steps:
+   *       - name: create a user
+   *         method: create
+   *         path: /users
+   *         body: { name: John Doe }
+   *         capture: { userId: body.id }
+   *       - name: read the user
+   *         method: read
+   *         path: /users/{{userId}}
+   *         expect:
+   *           body: { id: "{{userId}}", name: John Doe }
+   *
+   * @method
+   *
+   * @param {object[]|object|string} scenario - An array of steps, an object with a `steps` array
+   *   and optional initial `variables`, or the path to a JSON or YAML file containing either.
+   *   Each step is an object with the following properties:
+   *
+   *   * `name` - A description of the step, used in error messages.
+   *   * `method` - An HTTP method (`GET` by default) or the name of an alias (`create`, `read`,
+   *     `retrieve`, `update`, `patch`, `delete` or `destroy`).
+   *   * `path` - The path of the API resource.
+   *   * `body` - The request body, if any.
+   *   * `query`, `headers` and `as` - The corresponding options of {@link SuperRest#test}.
+   *   * `expect` - Expectations: `status`, `contentType`, `headers`, `location` and `schema`
+   *     (the `expectedStatus`, `expectedContentType`, `expectedHeaders`, `expectedLocation` and
+   *     `schema` options of {@link SuperRest#test}), and `body`, which the response body must
+   *     include (or equal if it is not an object).
+   *   * `capture` - Variables to capture from the response, by name. Each value is either
+   *     `status`, `headers.<name>` (e.g. `headers.Location`), `body` or `body.<path>` (e.g.
+   *     `body.items.0.id`).
+   *   * `options` - Additional options for {@link SuperRest#test}.
+   *
+   * @param {object} [options] - Scenario options.
+   *
+   * @param {object} [options.variables] - Initial variables, overriding those of the scenario.
+   *
+   * @returns {Promise<object>} The final `variables` and the `responses` of all steps.
+   */
+  async runScenario(scenario, options) {
+    checkOptions(this, 'runScenario', options);
+    return runScenario(this, scenario, options);
+  }
+
+  /**
+   * Re-issues the requests recorded in a HAR file (e.g. with the `record` option) through
+   * {@link SuperRest#test}, and asserts that the status code and body of each response still
+   * match the recorded response. All requests are made even if some responses do not match;
+   * the mismatches are then reported together.
+   *
+   * Recorded paths are used as is (the `pathPrefix` option is not applied), and recorded headers
+   * whose value was redacted are not sent: use the `as` or `headers` options to authenticate.
+   * Redacted properties of recorded response bodies are ignored.
+   *
+   * @method
+   *
+   * @param {string|object} har - The path of a HAR file, or a HAR document.
+   *
+   * @param {object} [options] - Replay options. Other options are passed to {@link SuperRest#test}
+   *   for each request (the status code is not checked by default).
+   *
+   * @param {string[]} [options.ignore] - Property paths of response bodies that are expected to
+   *   change (e.g. `"id"` or `"*.createdAt"`, where `*` matches any property or array index).
+   *
+   * @param {boolean} [options.partial=false] - Whether responses may have additional properties
+   *   (the recorded body must be included in the new one).
+   *
+   * @param {function} [options.filter] - A function called with each HAR entry that returns
+   *   whether to replay it.
+   *
+   * @returns {Promise<Response[]>} The responses to the replayed requests.
+   */
+  async replay(har, options) {
+    checkOptions(this, 'replay', options);
+    return HarRecorder.replay(this, har, options);
+  }
+}
+
+function checkOptions(api, method, options) {
+  const types = _.has(OTHER_OPTIONS, method) ? OTHER_OPTIONS[method] : _.extend({}, api.constructor.testOptions, METHOD_OPTIONS[method]);
+  validateOptions(options, types, `${api.constructor.name}#${method}`);
+}
+
+function resolveAuthProfile(profile, login) {
+  const headers = getStaticHeaders(profile);
+  return headers ? { headers } : { login };
+}
+
+function isCreatedResource(res, idProperty) {
+  if (res.status < 200 || res.status >= 300) {
+    return false;
+  }
+
+  const id = _.isPlainObject(res.body) ? res.body[idProperty] : undefined;
+  return !!res.get('Location') || (id !== undefined && id !== null && id !== '');
+}
+
+function removePathPrefix(path, pathPrefix) {
+  return pathPrefix && path.indexOf(pathPrefix) === 0 ? path.slice(pathPrefix.length) : path;
+}
+
+function toBaseUrl(baseUrl) {
+  if (!baseUrl.match(/^https?:\/\/[^/]/i)) {
+    throw new Error(`Base URL ${JSON.stringify(baseUrl)} must be an absolute HTTP or HTTPS URL`);
+  }
+
+  const parsed = url.parse(baseUrl);
+  if (parsed.path !== '/' || parsed.hash) {
+    throw new Error(`Base URL ${JSON.stringify(baseUrl)} must not have a path; use the "pathPrefix" option instead (e.g. new SuperRest(${JSON.stringify(`${parsed.protocol}//${parsed.host}`)}, { pathPrefix: ${JSON.stringify(parsed.pathname.replace(/\/+$/, ''))} }))`);
+  }
+
+  return baseUrl.replace(/\/+$/, '');
+}
+
+function toHarRecorder(recorder) {
+  return recorder instanceof HarRecorder ? recorder : new HarRecorder(recorder);
+}
+
+function toOpenApiDocument(document) {
+  return document instanceof OpenApiDocument ? document : new OpenApiDocument(document);
+}
+
+function collectFailure(failures, check, actual, expected, assertion) {
+  try {
+    assertion();
+  } catch (err) {
+    failures.push({
+      actual,
+      check,
+      expected: toComparable(expected),
+      message: err.message
+    });
+  }
+}
+
+// The types of the options accepted by the constructor and by the `test` method. A subclass may
+// declare additional options (e.g. for an overridden `expect` method) by extending them.
+SuperRest.constructorOptions = CONSTRUCTOR_OPTIONS;
+SuperRest.testOptions = TEST_OPTIONS;
+
+SuperRest.ApiCoverage = ApiCoverage;
+SuperRest.HarRecorder = HarRecorder;
+SuperRest.OpenApiDocument = OpenApiDocument;
+SuperRest.Resource = Resource;
+SuperRest.SuperRestAssertionError = SuperRestAssertionError;
 
 module.exports = SuperRest;
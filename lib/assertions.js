@@ -0,0 +1,186 @@
+const assert = require('assert');
+const _ = require('lodash');
+
+const { checkBody, checkDuration, checkHeader, checkSchema, checkStatus, toComparable } = require('./checks');
+const { getResponseBody } = require('./response');
+const { createAjv } = require('./schema');
+
+/**
+ * The assertions that can be made on SuperTest responses through a test framework, by name. Each
+ * assertion has the name of its Jest matcher, the actual value it checks, the check itself, and a
+ * message for when a negated assertion fails.
+ */
+const ASSERTIONS = {
+  contentType: {
+    matcher: 'toHaveContentType',
+    actual: res => res.get('Content-Type'),
+    check: (api, res, expected) => checkHeader(res, 'Content-Type', expected),
+    negated: (res, expected) => negateHeader(res, 'Content-Type', expected)
+  },
+  header: {
+    matcher: 'toHaveHeader',
+    actual: (res, name) => res.get(name),
+    expected: (name, expected = true) => expected,
+    check: (api, res, name, expected = true) => checkHeader(res, name, expected),
+    negated: (res, name, expected = true) => negateHeader(res, name, expected)
+  },
+  matchResource: {
+    matcher: 'toMatchResource',
+    actual: res => getResponseBody(res),
+    check: (api, res, expected) => checkBody(res, expected),
+    negated: (res, expected) => `Expected HTTP response body ${JSON.stringify(getResponseBody(res))} not to include ${JSON.stringify(expected)}`
+  },
+  matchSchema: {
+    matcher: 'toMatchSchema',
+    actual: res => res.body,
+    expected: () => undefined,
+    check: (api, res, schema) => checkSchema(res, api ? api.getSchemaValidator(schema) : createAjv().compile(schema)),
+    negated: () => 'Expected HTTP response body not to match the JSON schema'
+  },
+  respondWithin: {
+    matcher: 'toRespondWithin',
+    actual: res => res.duration,
+    check: (api, res, maxDuration) => checkDuration(res, maxDuration),
+    negated: (res, maxDuration) => `Expected response time ${res.duration}ms to be more than ${maxDuration}ms`
+  },
+  status: {
+    matcher: 'toHaveStatus',
+    actual: res => res.status,
+    check: (api, res, expected) => checkStatus(res, expected),
+    negated: (res, expected) => `Expected HTTP status code ${res.status} not to match ${describeExpected(expected)}`
+  }
+};
+
+/**
+ * Makes an assertion on a SuperTest response, and returns its result rather than throwing an
+ * error, so that test frameworks may report it (and negate it) in their own way.
+ *
+ * @param {SuperRest} [api] - The SuperREST instance whose named JSON schemas may be used.
+ *
+ * @param {string} name - The name of the assertion (e.g. `"status"`).
+ *
+ * @param {Response} res - A SuperTest response.
+ *
+ * @param {Array} args - The arguments of the assertion (e.g. the expected status).
+ *
+ * @returns {object} An object with a `pass` boolean, a `message` describing the failure of the
+ *   assertion, a `negatedMessage` describing the failure of its negation, and the `actual` and
+ *   `expected` values if they can be compared.
+ */
+exports.runAssertion = function(api, name, res, args) {
+  if (!_.isObject(res) || !_.isNumber(res.status) || !_.isFunction(res.get)) {
+    throw new Error(`Expected a SuperTest response, got ${_.isObject(res) ? 'an object without a status code' : JSON.stringify(res)}`);
+  } else if (name === 'respondWithin' && !_.isNumber(res.duration)) {
+    throw new Error('Cannot check the response time of a response that was not received through SuperREST');
+  }
+
+  const assertion = ASSERTIONS[name];
+
+  let message;
+  try {
+    assertion.check(api, res, ...args);
+  } catch (err) {
+    message = err.message;
+  }
+
+  return {
+    actual: assertion.actual(res, ...args),
+    expected: toComparable(assertion.expected ? assertion.expected(...args) : args[0]),
+    message,
+    negatedMessage: assertion.negated(res, ...args),
+    pass: message === undefined
+  };
+};
+
+/**
+ * Returns the names of the available assertions, mapped to the names of their Jest matchers.
+ *
+ * @returns {object} A map of Jest matcher names by assertion name.
+ */
+exports.getMatcherNames = function() {
+  return _.mapValues(ASSERTIONS, 'matcher');
+};
+
+/**
+ * Returns functions that make assertions on SuperTest responses with Node.js's `assert` module:
+ * each function takes a response (or a promise of one, such as a SuperREST test, see
+ * {@link resolveSubject}) followed by the arguments of the assertion, and throws an
+ * `AssertionError` if it fails.
+ *
+ * @param {SuperRest} [api] - The SuperREST instance whose named JSON schemas may be used.
+ *
+ * @returns {object} The assertion functions, by name.
+ */
+exports.createAssertions = function(api) {
+  return _.mapValues(ASSERTIONS, (assertion, name) => function(res, ...args) {
+    return exports.isThenable(res) ? exports.resolveSubject(res).then(resolved => assertResponse(api, name, resolved, args)) : assertResponse(api, name, res, args);
+  });
+};
+
+/**
+ * Indicates whether a value is a promise or a SuperREST test that has not been awaited yet.
+ *
+ * @param {*} value - Any value.
+ *
+ * @returns {boolean} True if the value is a thenable.
+ */
+exports.isThenable = function(value) {
+  return _.isObject(value) && _.isFunction(value.then);
+};
+
+/**
+ * Waits for the response of a test that has not been awaited yet. The default expectations of
+ * {@link SuperRest#test} (an HTTP 200 status code and the `expectedContentType` given to the
+ * constructor) are not applied to it, so that an assertion can be made on any response (e.g. an
+ * HTTP 404 Not Found); the options given to the test are still checked.
+ *
+ * @param {Test|Promise} subject - A SuperREST test or a promise of a response.
+ *
+ * @returns {Promise<Response>} A promise of the response.
+ */
+exports.resolveSubject = function(subject) {
+  if (_.isFunction(subject.withoutDefaultExpectations)) {
+    subject.withoutDefaultExpectations();
+  }
+
+  return Promise.resolve(subject);
+};
+
+function assertResponse(api, name, res, args) {
+
+  const result = exports.runAssertion(api, name, res, args);
+  if (!result.pass) {
+    throw new assert.AssertionError({
+      actual: result.actual,
+      expected: result.expected,
+      message: result.message,
+      operator: name
+    });
+  }
+
+  return res;
+}
+
+function negateHeader(res, name, expected) {
+
+  const value = res.get(name);
+  if (expected === true) {
+    return `Expected HTTP ${name} header "${value}" to be absent`;
+  } else if (expected === false) {
+    return `Expected HTTP ${name} header to be present`;
+  }
+
+  return `Expected HTTP ${name} header ${value !== undefined ? `"${value}"` : '(missing)'} not to match ${describeExpected(expected)}`;
+}
+
+function describeExpected(expected) {
+  if (_.isArray(expected)) {
+    return `any of ${expected.map(describeExpected).join(', ')}`;
+  } else if (_.isRegExp(expected)) {
+    return String(expected);
+  } else if (_.isFunction(expected)) {
+    return 'the expected function';
+  }
+
+  return JSON.stringify(expected);
+}
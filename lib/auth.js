@@ -0,0 +1,82 @@
+const _ = require('lodash');
+
+/**
+ * Returns the headers to send for an authentication profile whose credentials are known in
+ * advance, or undefined if the profile requires a login.
+ *
+ * @param {object} profile - An authentication profile (see the `authProfiles` option of the
+ *   {@link SuperRest} constructor).
+ *
+ * @returns {object|undefined} The headers to send.
+ */
+exports.getStaticHeaders = function(profile) {
+  if (profile.login) {
+    return;
+  } else if (profile.bearer !== undefined) {
+    return { Authorization: `Bearer ${profile.bearer}` };
+  } else if (profile.basic) {
+    return { Authorization: `Basic ${Buffer.from(`${profile.basic.username}:${profile.basic.password}`).toString('base64')}` };
+  } else if (profile.apiKey !== undefined) {
+    return { [profile.header || 'X-API-Key']: profile.apiKey };
+  } else if (profile.headers) {
+    return profile.headers;
+  }
+
+  throw new Error(`Authentication profile ${JSON.stringify(profile)} must have a "bearer", "basic", "apiKey", "headers" or "login" property`);
+};
+
+/**
+ * Converts the value returned by the login function of an authentication profile into the
+ * headers to send.
+ *
+ * @param {string|object} credentials - A bearer token, or an object with either a `token`
+ *   (bearer token), a `cookie` (a cookie string or the array of Set-Cookie headers of a login
+ *   response) or a `headers` property.
+ *
+ * @returns {object} The headers to send.
+ */
+exports.getLoginHeaders = function(credentials) {
+  if (_.isString(credentials)) {
+    return { Authorization: `Bearer ${credentials}` };
+  } else if (credentials && credentials.token !== undefined) {
+    return { Authorization: `Bearer ${credentials.token}` };
+  } else if (credentials && credentials.cookie) {
+    return { Cookie: _.castArray(credentials.cookie).map(cookie => cookie.split(';')[0].trim()).join('; ') };
+  } else if (credentials && credentials.headers) {
+    return credentials.headers;
+  }
+
+  throw new Error(`Authentication login function must return a token, or an object with a "token", "cookie" or "headers" property (got ${JSON.stringify(credentials)})`);
+};
+
+/**
+ * Defers the sending of a SuperTest request until the specified headers are available,
+ * then sets them.
+ *
+ * @param {Test} test - A SuperTest chain.
+ *
+ * @param {function} getHeaders - A function returning a promise for the headers to set.
+ *
+ * @returns {Test} The same SuperTest chain.
+ */
+exports.deferHeaders = function(test, getHeaders) {
+
+  const end = test.end;
+  test.end = function(callback) {
+    Promise.resolve().then(getHeaders).then(headers => {
+      test.set(headers);
+      end.call(test, callback);
+    }, err => {
+      // SuperTest starts listening when the request is created and only stops once it ends.
+      if (test._server) {
+        test._server.close();
+      }
+
+      callback(err);
+    });
+
+    return test;
+  };
+
+  return test;
+};
@@ -0,0 +1,76 @@
+const _ = require('lodash');
+
+const BENCH_OPTIONS = [ 'body', 'concurrency', 'requests' ];
+
+/**
+ * Makes the same request repeatedly and reports latency percentiles and the error rate.
+ *
+ * @param {SuperRest} api - The SuperREST instance used to make the requests.
+ *
+ * @param {string} method - The HTTP method.
+ *
+ * @param {string} path - The path of the API resource.
+ *
+ * @param {object} [options] - Benchmark options (see {@link SuperRest#bench}).
+ *
+ * @returns {Promise<object>} The report.
+ */
+exports.bench = async function(api, method, path, options) {
+  options = options || {};
+
+  const requests = options.requests !== undefined ? options.requests : 10;
+  const concurrency = Math.min(options.concurrency !== undefined ? options.concurrency : 1, requests);
+  if (!_.isInteger(requests) || requests < 1) {
+    throw new Error(`Benchmark "requests" option must be a positive integer, got ${JSON.stringify(options.requests)}`);
+  } else if (!_.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Benchmark "concurrency" option must be a positive integer, got ${JSON.stringify(options.concurrency)}`);
+  }
+
+  const testOptions = _.omit(options, BENCH_OPTIONS);
+  const durations = [];
+  const errors = [];
+
+  let started = 0;
+  const run = async () => {
+    while (started < requests) {
+      started++;
+
+      const start = Date.now();
+      try {
+        await api.test(method, path, options.body, testOptions);
+      } catch (err) {
+        errors.push(err);
+      }
+
+      durations.push(Date.now() - start);
+    }
+  };
+
+  const start = Date.now();
+  await Promise.all(_.times(concurrency, run));
+  const duration = Date.now() - start;
+
+  const sorted = _.sortBy(durations);
+
+  return {
+    requests,
+    concurrency,
+    duration,
+    throughput: duration ? requests * 1000 / duration : requests * 1000,
+    failed: errors.length,
+    errorRate: errors.length / requests,
+    errors: _.map(_.countBy(errors, err => err.message.split('\n')[0]), (count, message) => ({ count, message })),
+    latency: {
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+      mean: _.mean(sorted),
+      p50: percentile(sorted, 50),
+      p95: percentile(sorted, 95),
+      p99: percentile(sorted, 99)
+    }
+  };
+};
+
+function percentile(sorted, p) {
+  return sorted[Math.max(Math.ceil(p / 100 * sorted.length) - 1, 0)];
+}
@@ -0,0 +1,131 @@
+const _ = require('lodash');
+
+const BODY_TYPES = [ 'json', 'form', 'multipart', 'text', 'xml', 'raw' ];
+
+exports.BODY_TYPES = BODY_TYPES;
+
+/**
+ * Returns a function that adds a request body to a SuperTest chain in the specified format.
+ *
+ * The body is validated immediately, so that an invalid body fails before a request is started.
+ *
+ * @param {*} body - The request body (see {@link SuperRest#test}).
+ *
+ * @param {string} [bodyType] - The format of the body (see the `bodyType` option of
+ *   {@link SuperRest#test}).
+ *
+ * @param {object} [headers] - The headers sent with the request. The Content-Type of the body
+ *   is not set if one of them is a Content-Type header.
+ *
+ * @returns {function} A function that takes a SuperTest chain and returns it with the body.
+ */
+exports.getBodySender = function(body, bodyType, headers) {
+  if (bodyType !== undefined && !_.includes(BODY_TYPES, bodyType)) {
+    throw new Error(`Unsupported body type ${JSON.stringify(bodyType)}; it must be one of ${BODY_TYPES.map(type => `"${type}"`).join(', ')}`);
+  }
+
+  const hasContentType = _.some(_.keys(headers), name => name.toLowerCase() === 'content-type');
+  const send = (type, data) => test => (hasContentType ? test : test.type(type)).send(data);
+
+  if (bodyType === undefined) {
+    if (Buffer.isBuffer(body)) {
+      bodyType = 'raw';
+    } else if (_.isObject(body) || _.isString(body)) {
+      // Let SuperAgent choose (JSON for objects and arrays, form data for strings).
+      return test => test.send(body);
+    } else {
+      bodyType = 'json';
+    }
+  }
+
+  if (bodyType === 'json') {
+    return send('json', _.isPlainObject(body) || _.isArray(body) ? body : JSON.stringify(body));
+  } else if (bodyType === 'form') {
+    return send('form', _.isString(body) ? body : serializeForm(body));
+  } else if (bodyType === 'multipart') {
+    if (!_.isPlainObject(body)) {
+      throw new Error(`Multipart request body must be an object, got ${JSON.stringify(body)}`);
+    }
+
+    return test => sendMultipart(test, body);
+  } else if (bodyType === 'raw') {
+    if (!Buffer.isBuffer(body) && !_.isString(body)) {
+      throw new Error(`Raw request body must be a Buffer or a string, got ${JSON.stringify(body)}`);
+    }
+
+    return send('application/octet-stream', body);
+  } else if (!_.isString(body)) {
+    throw new Error(`${bodyType === 'xml' ? 'XML' : 'Text'} request body must be a string, got ${JSON.stringify(body)}`);
+  }
+
+  return send(bodyType === 'xml' ? 'application/xml' : 'text/plain', body);
+};
+
+/**
+ * Returns the fields of a form request body, arrays being sent as repeated fields and objects
+ * as JSON.
+ *
+ * @param {object} body - A form request body.
+ *
+ * @returns {object[]} The fields, each with a `name` and a string `value`.
+ */
+exports.getFormParams = function(body) {
+  return _.flatMap(body, (value, name) => _.castArray(value).map(value => ({ name, value: _.isObject(value) ? JSON.stringify(value) : String(value) })));
+};
+
+/**
+ * Serializes form fields as `application/x-www-form-urlencoded` data.
+ *
+ * @param {object[]} params - The fields, each with a `name` and a `value`.
+ *
+ * @returns {string} The serialized fields.
+ */
+exports.serializeFormParams = function(params) {
+  return params.map(param => `${encodeURIComponent(param.name)}=${encodeURIComponent(param.value)}`).join('&');
+};
+
+/**
+ * Parses the body of a response with the first parser matching its Content-Type, if any.
+ *
+ * @param {Response} res - A SuperTest response, whose `body` property is replaced.
+ *
+ * @param {object} parsers - Parser functions by media type (see the `parsers` option of the
+ *   SuperREST constructor).
+ */
+exports.parseBody = function(res, parsers) {
+  const mediaType = (res.get('Content-Type') || '').replace(/;.*$/, '').trim().toLowerCase();
+  if (!mediaType) {
+    return;
+  }
+
+  const key = _.find(_.keys(parsers), key => new RegExp(`^${key.toLowerCase().split('*').map(_.escapeRegExp).join('[^/]*')}$`).test(mediaType));
+  if (!key) {
+    return;
+  }
+
+  try {
+    res.body = parsers[key](res.text, res);
+  } catch (err) {
+    throw new Error(`Could not parse the ${mediaType} response body: ${err.message}`);
+  }
+};
+
+function serializeForm(body) {
+  return exports.serializeFormParams(exports.getFormParams(body));
+}
+
+function sendMultipart(test, body) {
+  _.each(body, (value, name) => {
+    _.castArray(value).forEach(value => {
+      if (Buffer.isBuffer(value)) {
+        test = test.attach(name, value, name);
+      } else if (_.isPlainObject(value) && (value.file || value.buffer)) {
+        test = test.attach(name, value.file || value.buffer, _.omitBy({ contentType: value.contentType, filename: value.filename || (value.file ? undefined : name) }, _.isUndefined));
+      } else {
+        test = test.field(name, _.isObject(value) ? JSON.stringify(value) : String(value));
+      }
+    });
+  });
+
+  return test;
+}
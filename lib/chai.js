@@ -0,0 +1,43 @@
+const _ = require('lodash');
+
+const { getMatcherNames, isThenable, resolveSubject, runAssertion } = require('./assertions');
+
+/**
+ * Creates a [Chai](http://chaijs.com) plugin adding assertions on SuperTest responses: `status`,
+ * `header`, `contentType`, `matchSchema`, `matchResource` and `respondWithin`. They may be
+ * negated with `not`, and may be made on a SuperREST test that has not been awaited yet, in
+ * which case they return a promise of the response (and the default HTTP 200 status code and
+ * Content-Type expectations of the test are not applied, see {@link resolveSubject}).
+ *
+ * For example:
+ *
+ *     chai.use(api.chaiPlugin());
+ *
+ *     const res = await api.read('/users/1').should.have.status(200);
+ *     expect(res).to.have.header('ETag');
+ *
+ * @param {SuperRest} [api] - The SuperREST instance whose named JSON schemas may be used.
+ *
+ * @returns {function} A Chai plugin.
+ */
+exports.createChaiPlugin = function(api) {
+  return function(chai, utils) {
+    _.each(_.keys(getMatcherNames()), name => {
+      chai.Assertion.addMethod(name, function(...args) {
+
+        const subject = utils.flag(this, 'object');
+        if (isThenable(subject)) {
+          return resolveSubject(subject).then(res => {
+            const assertion = new chai.Assertion(res);
+            utils.transferFlags(this, assertion, false);
+            assertion[name](...args);
+            return res;
+          });
+        }
+
+        const result = runAssertion(api, name, subject, args);
+        this.assert(result.pass, result.message, result.negatedMessage, result.expected, result.actual, result.expected !== undefined);
+      });
+    });
+  };
+};
@@ -0,0 +1,166 @@
+const _ = require('lodash');
+const url = require('url');
+
+const { getResponseBody } = require('./response');
+const { formatSchemaErrors } = require('./schema');
+
+/**
+ * Asserts that the body of a response includes the expected properties, or equals the expected
+ * value if it is not an object.
+ *
+ * @param {Response} res - A SuperTest response.
+ *
+ * @param {*} expected - The expected body.
+ */
+exports.checkBody = function(res, expected) {
+
+  const actual = getResponseBody(res);
+  if (!(_.isObject(expected) ? _.isMatch(actual, expected) : _.isEqual(actual, expected))) {
+    throw new Error(`Expected HTTP response body ${JSON.stringify(actual)} to include ${JSON.stringify(expected)}`);
+  }
+};
+
+/**
+ * Asserts that a response was received within a maximum duration.
+ *
+ * @param {Response} res - A SuperTest response with a `duration` property in milliseconds.
+ *
+ * @param {number} maxDuration - The maximum duration in milliseconds.
+ */
+exports.checkDuration = function(res, maxDuration) {
+  if (!_.isNumber(maxDuration) || maxDuration < 0) {
+    throw new Error(`Unsupported maximum duration ${JSON.stringify(maxDuration)}; it must be a positive number of milliseconds or false`);
+  } else if (res.duration > maxDuration) {
+    throw new Error(`Expected response time ${res.duration}ms to be at most ${maxDuration}ms`);
+  }
+};
+
+/**
+ * Asserts that a header of a response matches an expected value.
+ *
+ * @param {Response} res - A SuperTest response.
+ *
+ * @param {string} name - The name of the header.
+ *
+ * @param {string|RegExp|Array|function|boolean} [expected] - The expected value (see the
+ *   `expectedHeaders` option of {@link SuperRest#test}): true if the header must be present,
+ *   false if it must be absent, or null or undefined to skip the check.
+ */
+exports.checkHeader = function(res, name, expected) {
+
+  const value = res.get(name);
+  if (expected === null || expected === undefined) {
+    return;
+  } else if (expected === false) {
+    if (value !== undefined) {
+      throw new Error(`Expected HTTP ${name} header "${value}" to be absent`);
+    }
+  } else if (expected === true) {
+    if (value === undefined) {
+      throw new Error(`Expected HTTP ${name} header to be present`);
+    }
+  } else if (_.isString(expected)) {
+    if (value !== expected) {
+      throw new Error(`Expected HTTP ${name} header "${value}" to equal "${expected}"`);
+    }
+  } else if (_.isRegExp(expected)) {
+    if (value === undefined) {
+      throw new Error(`Expected missing HTTP ${name} header to match ${expected}`);
+    } else if (!value.match(expected)) {
+      throw new Error(`Expected HTTP ${name} header "${value}" to match ${expected}`);
+    }
+  } else if (_.isArray(expected)) {
+    if (!_.some(expected, candidate => _.isRegExp(candidate) ? value !== undefined && !!value.match(candidate) : value === candidate)) {
+      throw new Error(`Expected HTTP ${name} header ${value !== undefined ? `"${value}"` : '(missing)'} to match one of ${expected.map(candidate => _.isRegExp(candidate) ? String(candidate) : `"${candidate}"`).join(', ')}`);
+    }
+  } else if (_.isFunction(expected)) {
+    if (!expected(value, res)) {
+      throw new Error(`Expected HTTP ${name} header ${value !== undefined ? `"${value}"` : '(missing)'} to satisfy the expected header function`);
+    }
+  } else {
+    throw new Error(`Unsupported expected HTTP ${name} header ${JSON.stringify(expected)}; it must be a string, a RegExp, an array, a function, a boolean or null`);
+  }
+};
+
+/**
+ * Asserts that a response has a Location header which points to the resource in its body.
+ *
+ * @param {Response} res - A SuperTest response.
+ *
+ * @param {string} idProperty - The property identifying the resource in the response body.
+ */
+exports.checkLocation = function(res, idProperty) {
+
+  exports.checkHeader(res, 'Location', true);
+
+  const id = _.isObject(res.body) ? res.body[idProperty] : undefined;
+  if (id !== undefined && id !== null && !url.parse(res.get('Location')).pathname.match(new RegExp(`/${_.escapeRegExp(encodeURIComponent(id))}/?$`))) {
+    throw new Error(`Expected HTTP Location header "${res.get('Location')}" to point to the resource with ${idProperty} ${JSON.stringify(id)}`);
+  }
+};
+
+/**
+ * Asserts that the body of a response is valid against a JSON schema.
+ *
+ * @param {Response} res - A SuperTest response.
+ *
+ * @param {function} validate - An Ajv validation function.
+ */
+exports.checkSchema = function(res, validate) {
+  if (!validate(res.body)) {
+    throw new Error(`Expected HTTP response body to match the JSON schema:\n${formatSchemaErrors(validate.errors)}`);
+  }
+};
+
+/**
+ * Asserts that the status code of a response matches an expected status.
+ *
+ * @param {Response} res - A SuperTest response.
+ *
+ * @param {number|number[]|string|RegExp|function|boolean} expectedStatus - The expected status
+ *   (see the `expectedStatus` option of {@link SuperRest#test}), or false to skip the check.
+ */
+exports.checkStatus = function(res, expectedStatus) {
+  if (expectedStatus === false) {
+    return;
+  } else if (_.isNumber(expectedStatus)) {
+    if (res.status !== expectedStatus) {
+      throw new Error(`Expected HTTP status code ${res.status} to equal ${expectedStatus}`);
+    }
+  } else if (_.isArray(expectedStatus)) {
+    if (!_.includes(expectedStatus, res.status)) {
+      throw new Error(`Expected HTTP status code ${res.status} to be one of ${expectedStatus.join(', ')}`);
+    }
+  } else if (_.isString(expectedStatus) && expectedStatus.match(/^[1-5]xx$/i)) {
+    if (Math.floor(res.status / 100) !== parseInt(expectedStatus[0], 10)) {
+      throw new Error(`Expected HTTP status code ${res.status} to be in the ${expectedStatus.toLowerCase()} class`);
+    }
+  } else if (_.isRegExp(expectedStatus)) {
+    if (!String(res.status).match(expectedStatus)) {
+      throw new Error(`Expected HTTP status code ${res.status} to match ${expectedStatus}`);
+    }
+  } else if (_.isFunction(expectedStatus)) {
+    if (!expectedStatus(res.status, res)) {
+      throw new Error(`Expected HTTP status code ${res.status} to satisfy the expected status function`);
+    }
+  } else {
+    throw new Error(`Unsupported expected HTTP status ${JSON.stringify(expectedStatus)}; it must be a number, an array of numbers, a status class like "2xx", a RegExp, a function or false`);
+  }
+};
+
+/**
+ * Converts an expected value into one that can be compared with the actual value in the diff
+ * display of test runners: regular expressions are converted to strings, and functions are
+ * removed.
+ *
+ * @param {*} expected - An expected value.
+ *
+ * @returns {*} The comparable value.
+ */
+exports.toComparable = function(expected) {
+  if (_.isArray(expected)) {
+    return expected.map(exports.toComparable);
+  }
+
+  return _.isRegExp(expected) ? String(expected) : (_.isFunction(expected) ? undefined : expected);
+};
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const _ = require('lodash');
+const path = require('path');
+
+const SuperRest = require('../index');
+const { loadDataFile } = require('./load');
+
+const REPORTERS = {
+  junit: formatJUnit,
+  tap: formatTap
+};
+
+const USAGE = `Usage: superrest [options] [scenario...]
+
+Runs SuperREST scenario files (JSON or YAML) against a live API.
+
+Options:
+  -c, --config <file>    Configuration file (JSON, YAML or JavaScript) with the base URL and
+                         SuperREST options (e.g. "pathPrefix", "authProfiles", "headers")
+  -u, --base-url <url>   The base URL of the API (overrides the configuration file)
+  -r, --reporter <name>  The output format: "tap" (default) or "junit"
+  -o, --output <file>    Write the results to a file instead of the standard output
+  -h, --help             Print this help`;
+
+/**
+ * Runs the `superrest` command-line interface.
+ *
+ * @param {string[]} args - The command-line arguments (without the node executable and script).
+ *
+ * @param {object} [options] - Runtime options.
+ *
+ * @param {string} [options.cwd=process.cwd()] - The directory relative paths are resolved from.
+ *
+ * @param {function} [options.stdout] - The function used to print results (to the standard
+ *   output by default).
+ *
+ * @param {function} [options.stderr] - The function used to print errors (to the standard
+ *   error by default).
+ *
+ * @returns {Promise<number>} The exit code: 0 if all scenarios passed, 1 if some failed, or 2
+ *   if the arguments or configuration are invalid.
+ */
+exports.run = async function(args, options) {
+  options = options || {};
+
+  const cwd = options.cwd || process.cwd();
+  const stdout = options.stdout || (text => process.stdout.write(`${text}\n`));
+  const stderr = options.stderr || (text => process.stderr.write(`${text}\n`));
+
+  let parsed;
+  let api;
+  try {
+    parsed = parseArgs(args);
+    if (parsed.help) {
+      stdout(USAGE);
+      return 0;
+    }
+
+    parsed.config = parsed.config ? loadConfig(path.resolve(cwd, parsed.config)) : {};
+    parsed.scenarios = parsed.scenarios.length ? parsed.scenarios.map(file => path.resolve(cwd, file)) : parsed.config.scenarios;
+
+    api = createApi(parsed);
+    if (!_.isArray(parsed.scenarios) || !parsed.scenarios.length) {
+      throw new Error('No scenario files were given');
+    }
+  } catch (err) {
+    stderr(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const results = [];
+  for (const file of parsed.scenarios) {
+
+    const start = Date.now();
+    const result = { file: path.relative(cwd, file) || file };
+
+    try {
+      const scenario = loadDataFile(file);
+      result.name = scenario.name || result.file;
+      await api.runScenario(scenario);
+    } catch (err) {
+      result.name = result.name || result.file;
+      result.error = err;
+    }
+
+    result.duration = Date.now() - start;
+    results.push(result);
+  }
+
+  const output = REPORTERS[parsed.reporter](results);
+  if (parsed.output) {
+    fs.writeFileSync(path.resolve(cwd, parsed.output), `${output}\n`, 'utf8');
+  } else {
+    stdout(output);
+  }
+
+  return _.some(results, 'error') ? 1 : 0;
+};
+
+function parseArgs(args) {
+
+  const parsed = { reporter: 'tap', scenarios: [] };
+  const optionNames = {
+    '-c': 'config', '--config': 'config',
+    '-o': 'output', '--output': 'output',
+    '-r': 'reporter', '--reporter': 'reporter',
+    '-u': 'baseUrl', '--base-url': 'baseUrl'
+  };
+
+  for (let i = 0; i < args.length; i++) {
+
+    const [ arg, inlineValue ] = args[i].match(/^--[^=]+=/) ? [ args[i].slice(0, args[i].indexOf('=')), args[i].slice(args[i].indexOf('=') + 1) ] : [ args[i] ];
+    if (arg === '-h' || arg === '--help') {
+      parsed.help = true;
+    } else if (_.has(optionNames, arg)) {
+      const value = inlineValue !== undefined ? inlineValue : args[++i];
+      if (value === undefined || value === '') {
+        throw new Error(`Option ${arg} requires a value`);
+      }
+
+      parsed[optionNames[arg]] = value;
+    } else if (arg.match(/^-/)) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      parsed.scenarios.push(arg);
+    }
+  }
+
+  if (!_.has(REPORTERS, parsed.reporter)) {
+    throw new Error(`Unknown reporter "${parsed.reporter}"; it must be "tap" or "junit"`);
+  }
+
+  return parsed;
+}
+
+function loadConfig(file) {
+
+  const config = file.match(/\.js$/) ? require(file) : loadDataFile(file);
+  if (!_.isPlainObject(config)) {
+    throw new Error(`Configuration file ${file} must contain an object`);
+  }
+
+  const resolved = _.clone(config);
+  if (_.isString(resolved.expectedContentType) && resolved.expectedContentType.match(/^\/.+\/[a-z]*$/)) {
+    const [ , source, flags ] = resolved.expectedContentType.match(/^\/(.+)\/([a-z]*)$/);
+    resolved.expectedContentType = new RegExp(source, flags);
+  }
+
+  if (resolved.scenarios !== undefined) {
+    resolved.scenarios = _.castArray(resolved.scenarios).map(scenario => path.resolve(path.dirname(file), scenario));
+  }
+
+  return resolved;
+}
+
+function createApi(parsed) {
+
+  const baseUrl = parsed.baseUrl || parsed.config.baseUrl;
+  if (!baseUrl) {
+    throw new Error('A base URL must be given with the --base-url option or the "baseUrl" property of the configuration file');
+  }
+
+  return new SuperRest(baseUrl, _.omit(parsed.config, 'baseUrl', 'scenarios'));
+}
+
+function formatTap(results) {
+
+  const lines = [ 'TAP version 13', `1..${results.length}` ];
+  results.forEach((result, i) => {
+    if (!result.error) {
+      lines.push(`ok ${i + 1} - ${result.name}`);
+      return;
+    }
+
+    lines.push(`not ok ${i + 1} - ${result.name}`);
+    lines.push('  ---');
+    lines.push(`  file: ${JSON.stringify(result.file)}`);
+    lines.push('  message: |');
+    result.error.message.split('\n').forEach(line => lines.push(`    ${line}`));
+    lines.push('  ...');
+  });
+
+  const failures = _.filter(results, 'error').length;
+  lines.push(`# pass ${results.length - failures}`);
+  lines.push(`# fail ${failures}`);
+
+  return lines.join('\n');
+}
+
+function formatJUnit(results) {
+
+  const failures = _.filter(results, 'error').length;
+  const time = seconds(_.sumBy(results, 'duration'));
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuite name="superrest" tests="${results.length}" failures="${failures}" errors="0" time="${time}">`
+  ];
+
+  results.forEach(result => {
+    const attributes = `classname="${escapeXml(result.file)}" name="${escapeXml(result.name)}" time="${seconds(result.duration)}"`;
+    if (!result.error) {
+      lines.push(`  <testcase ${attributes}/>`);
+      return;
+    }
+
+    lines.push(`  <testcase ${attributes}>`);
+    lines.push(`    <failure message="${escapeXml(result.error.message.split('\n')[0])}" type="${escapeXml(result.error.name)}"><![CDATA[${result.error.message.replace(/]]>/g, ']]]]><![CDATA[>')}]]></failure>`);
+    lines.push('  </testcase>');
+  });
+
+  lines.push('</testsuite>');
+
+  return lines.join('\n');
+}
+
+function seconds(milliseconds) {
+  return (milliseconds / 1000).toFixed(3);
+}
+
+function escapeXml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
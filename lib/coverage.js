@@ -0,0 +1,274 @@
+const _ = require('lodash');
+
+const OpenApiDocument = require('./open-api');
+
+/**
+ * Records the API operations exercised by a test suite and reports which documented operations
+ * were not tested.
+ *
+ * @class
+ */
+class ApiCoverage {
+
+  /**
+   * Returns an API coverage tracker.
+   *
+   * @constructs
+   *
+   * @param {object} [options] - Coverage options.
+   *
+   * @param {object|string|OpenApiDocument} [options.openApi] - An OpenAPI 3 document (or the path
+   *   to a JSON or YAML file containing it) listing the operations that should be tested.
+   *
+   * @param {Array<string|object>} [options.routes] - The routes that should be tested, if you do
+   *   not have an OpenAPI document. Each route is either a string like `"GET /users/{id}"` (or
+   *   `"GET /users/:id"`), or an object with `method`, `path` and optional `statuses` properties,
+   *   the latter being the array of documented status codes.
+   */
+  constructor(options) {
+    options = options || {};
+
+    this.requests = [];
+
+    if (options.openApi) {
+      this.openApi = options.openApi instanceof OpenApiDocument ? options.openApi : new OpenApiDocument(options.openApi);
+    } else if (options.routes) {
+      this.openApi = new OpenApiDocument(buildRoutesDocument(options.routes));
+    }
+  }
+
+  /**
+   * Records a request and the status code of its response.
+   *
+   * This method is called by {@link SuperRest#test} for every response if the SuperREST
+   * instance was constructed with the `coverage` option.
+   *
+   * @method
+   *
+   * @param {object} req - The request that was made.
+   *
+   * @param {string} req.method - The HTTP method of the request.
+   *
+   * @param {string} req.path - The request path (relative to the API's base path).
+   *
+   * @param {Response} res - A SuperTest response.
+   */
+  record(req, res) {
+    this.requests.push({
+      method: req.method.toUpperCase(),
+      path: req.path.replace(/[?#].*$/, ''),
+      status: res.status
+    });
+  }
+
+  /**
+   * Forgets all recorded requests.
+   *
+   * @method
+   */
+  reset() {
+    this.requests = [];
+  }
+
+  /**
+   * Compares the recorded requests with the documented operations.
+   *
+   * @method
+   *
+   * @returns {object} A report with the following properties:
+   *
+   *   * `operations` - Each documented operation with its `method`, `path`, the `statuses` it
+   *     responded with during the tests and whether it was `tested`.
+   *   * `untested` - The operations that were not tested (e.g. `"DELETE /users/{id}"`).
+   *   * `undocumentedStatuses` - The status codes returned by an operation but not documented
+   *     (e.g. `"GET /users/{id} 500"`).
+   *   * `unmatched` - The requests that matched no documented operation (e.g. `"GET /foo 404"`).
+   *   * `tested` and `total` - The number of tested and documented operations.
+   */
+  report() {
+
+    const operations = this.openApi ? this.openApi.getOperations().map(match => ({
+      match: match,
+      method: match.method,
+      path: match.template,
+      statuses: []
+    })) : [];
+
+    const undocumentedStatuses = [];
+    const unmatched = [];
+
+    _.each(this.requests, req => {
+
+      const match = this.openApi && this.openApi.findOperation(req.method, req.path);
+      const operation = match && _.find(operations, { method: match.method, path: match.template });
+      if (!operation) {
+        return unmatched.push(`${req.method} ${req.path} ${req.status}`);
+      } else if (_.includes(operation.statuses, req.status)) {
+        return;
+      }
+
+      operation.statuses.push(req.status);
+      if (match.operation.responses && !this.openApi.documentsStatus(match, req.status)) {
+        undocumentedStatuses.push(`${match.method} ${match.template} ${req.status}`);
+      }
+    });
+
+    const report = {
+      operations: operations.map(operation => ({
+        method: operation.method,
+        path: operation.path,
+        statuses: _.sortBy(operation.statuses),
+        tested: operation.statuses.length >= 1
+      })),
+      undocumentedStatuses: undocumentedStatuses,
+      unmatched: _.uniq(unmatched)
+    };
+
+    report.untested = report.operations.filter(operation => !operation.tested).map(operation => `${operation.method} ${operation.path}`);
+    report.total = report.operations.length;
+    report.tested = report.total - report.untested.length;
+
+    return report;
+  }
+
+  /**
+   * Returns a human-readable summary of the coverage report.
+   *
+   * @method
+   *
+   * @param {object} [report] - A report returned by {@link ApiCoverage#report} (a new one is
+   *   generated by default).
+   *
+   * @returns {string} The coverage summary.
+   */
+  format(report) {
+    report = report || this.report();
+
+    const percentage = report.total ? (report.tested * 100 / report.total).toFixed(2) : '100.00';
+    const lines = [ `API coverage: ${report.tested}/${report.total} operations tested (${percentage}%)` ];
+
+    if (report.operations.length) {
+      lines.push('');
+      _.each(report.operations, operation => {
+        const statuses = operation.tested ? ` (${operation.statuses.join(', ')})` : '';
+        lines.push(`  ${operation.tested ? '+' : '-'} ${operation.method} ${operation.path}${statuses}`);
+      });
+    }
+
+    appendList(lines, 'Untested operations:', report.untested);
+    appendList(lines, 'Undocumented status codes:', report.undocumentedStatuses);
+    appendList(lines, 'Requests to undocumented operations:', report.unmatched);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Throws an error if the coverage requirements are not met.
+   *
+   * @method
+   *
+   * @param {object} [options] - Coverage requirements.
+   *
+   * @param {number} [options.minCoverage=1] - The minimum ratio of documented operations
+   *   that must be tested (between 0 and 1).
+   *
+   * @param {boolean} [options.undocumentedStatuses=false] - Whether to tolerate status codes
+   *   that are not documented.
+   *
+   * @param {boolean} [options.unmatched=true] - Whether to tolerate requests that match no
+   *   documented operation.
+   *
+   * @throws {Error} If the coverage requirements are not met.
+   */
+  check(options) {
+    options = options || {};
+
+    const report = this.report();
+    const minCoverage = options.minCoverage !== undefined ? options.minCoverage : 1;
+    const problems = [];
+
+    if (report.total && report.tested / report.total < minCoverage) {
+      problems.push(`Expected at least ${minCoverage * 100}% of the API operations to be tested but only ${report.tested}/${report.total} were; untested operations:\n${formatList(report.untested)}`);
+    }
+
+    if (!options.undocumentedStatuses && report.undocumentedStatuses.length) {
+      problems.push(`Expected all HTTP status codes to be documented but these were not:\n${formatList(report.undocumentedStatuses)}`);
+    }
+
+    if (options.unmatched === false && report.unmatched.length) {
+      problems.push(`Expected all requests to match a documented operation but these did not:\n${formatList(report.unmatched)}`);
+    }
+
+    if (problems.length) {
+      throw new Error(problems.join('\n'));
+    }
+  }
+
+  /**
+   * Registers a root-level mocha `after` hook that prints the coverage summary once all tests
+   * have run and, if requested, fails the test suite if the coverage requirements are not met.
+   *
+   * @method
+   *
+   * @param {object} [options] - Hook options (the coverage requirements described in
+   *   {@link ApiCoverage#check} are also accepted).
+   *
+   * @param {boolean} [options.check=false] - Whether to check the coverage requirements.
+   *
+   * @param {function} [options.log=console.log] - The function used to print the summary;
+   *   set to false to print nothing.
+   *
+   * @param {function} [options.after=after] - The function used to register the hook
+   *   (mocha's global `after` by default).
+   */
+  registerMochaHook(options) {
+    options = options || {};
+
+    const log = options.log !== undefined ? options.log : console.log;
+    const register = options.after || global.after;
+
+    register(() => {
+      if (log) {
+        log(this.format());
+      }
+
+      if (options.check) {
+        this.check(options);
+      }
+    });
+  }
+}
+
+function buildRoutesDocument(routes) {
+
+  const paths = {};
+  _.each(routes, route => {
+
+    const parsed = _.isString(route) ? route.trim().split(/\s+/) : [ route.method, route.path ];
+    if (parsed.length !== 2 || !parsed[0] || !parsed[1]) {
+      throw new Error(`Route ${JSON.stringify(route)} must be a string like "GET /users/{id}" or an object with "method" and "path" properties`);
+    }
+
+    const template = parsed[1].replace(/:(\w+)/g, '{$1}');
+    const operation = {};
+    if (route.statuses) {
+      operation.responses = _.zipObject(route.statuses.map(String), route.statuses.map(() => ({})));
+    }
+
+    _.set(paths, [ template, parsed[0].toLowerCase() ], operation);
+  });
+
+  return { paths };
+}
+
+function appendList(lines, title, list) {
+  if (list.length) {
+    lines.push('', title, formatList(list));
+  }
+}
+
+function formatList(list) {
+  return list.map(item => `  ${item}`).join('\n');
+}
+
+module.exports = ApiCoverage;
@@ -0,0 +1,96 @@
+const _ = require('lodash');
+
+const { getResponseBody } = require('./response');
+
+const MAX_BODY_LENGTH = 1000;
+
+/**
+ * An error thrown when a response does not meet the expectations of a test. All the failed
+ * checks of a response are reported together, along with the request that was made and the
+ * response that was received.
+ *
+ * The `actual` and `expected` properties are compatible with the diff display of test runners
+ * such as Mocha: they are the actual and expected values of the failed check, or objects mapping
+ * the name of each failed check to its values if there are several.
+ *
+ * @class
+ */
+class SuperRestAssertionError extends Error {
+
+  /**
+   * Returns an assertion error describing the specified failures.
+   *
+   * @constructs
+   *
+   * @param {object[]} failures - The failed checks, each with a `check` name (e.g. `"status"`),
+   *   a `message`, and the `actual` and `expected` values if they can be compared.
+   *
+   * @param {object} [req] - The request (see the `req` argument of {@link SuperRest#expect}).
+   *
+   * @param {Response} [res] - The SuperTest response.
+   */
+  constructor(failures, req, res) {
+    super(formatMessage(failures, req, res));
+
+    this.name = 'SuperRestAssertionError';
+    this.failures = failures;
+    this.request = req;
+    this.response = res ? {
+      body: res.body,
+      headers: res.headers,
+      status: res.status
+    } : undefined;
+
+    const comparable = failures.filter(failure => failure.expected !== undefined);
+    if (failures.length === 1 && comparable.length === 1) {
+      this.actual = failures[0].actual;
+      this.expected = failures[0].expected;
+    } else if (comparable.length) {
+      this.actual = _.zipObject(_.map(comparable, 'check'), _.map(comparable, 'actual'));
+      this.expected = _.zipObject(_.map(comparable, 'check'), _.map(comparable, 'expected'));
+    }
+
+    this.showDiff = this.expected !== undefined;
+  }
+}
+
+function formatMessage(failures, req, res) {
+
+  const lines = failures.length === 1 ? [ failures[0].message ] : [
+    `${failures.length} expectations failed:`,
+    ...failures.map(failure => `* ${failure.message.replace(/\n/g, '\n  ')}`)
+  ];
+
+  lines.push('');
+
+  if (req) {
+    lines.push(`Request: ${req.method} ${req.path}${formatQuery(req.query)}`);
+    if (req.body !== undefined) {
+      lines.push(`Request body: ${truncate(req.body)}`);
+    }
+  }
+
+  if (res) {
+    lines.push(`Response status: ${res.status}`);
+    lines.push('Response headers:');
+    _.each(res.headers, (value, name) => lines.push(`  ${name}: ${value}`));
+    lines.push(`Response body: ${truncate(getResponseBody(res))}`);
+  }
+
+  return lines.join('\n').trim();
+}
+
+function formatQuery(query) {
+  if (_.isEmpty(query)) {
+    return '';
+  }
+
+  return `?${_.isString(query) ? query : _.map(query, (value, name) => `${name}=${value}`).join('&')}`;
+}
+
+function truncate(body) {
+  const serialized = _.isString(body) ? body : JSON.stringify(body);
+  return serialized && serialized.length > MAX_BODY_LENGTH ? `${serialized.slice(0, MAX_BODY_LENGTH)}... (${serialized.length - MAX_BODY_LENGTH} more characters)` : serialized;
+}
+
+module.exports = SuperRestAssertionError;
@@ -0,0 +1,74 @@
+const _ = require('lodash');
+
+/**
+ * Creates named seed resources in dependency order.
+ *
+ * @param {SuperRest} api - The SuperREST instance used to make the requests.
+ *
+ * @param {object} definitions - Fixture definitions by name (see {@link SuperRest#loadFixtures}).
+ *
+ * @param {object} [options] - Loading options (see {@link SuperRest#loadFixtures}).
+ *
+ * @returns {Promise<object>} The created fixtures by name.
+ */
+exports.loadFixtures = async function(api, definitions, options) {
+  options = options || {};
+
+  const fixtures = {};
+  for (const name of sortFixtures(definitions)) {
+
+    const definition = definitions[name];
+    if (!definition.path) {
+      throw new Error(`Fixture "${name}" must have a "path" property`);
+    }
+
+    const body = _.isFunction(definition.body) ? definition.body(fixtures) : definition.body;
+    const createOptions = _.defaults({}, definition.options, {
+      cleanup: options.cleanup !== undefined ? options.cleanup : true,
+      idProperty: definition.idProperty
+    });
+
+    const res = await api.create(definition.path, body, createOptions);
+    const resource = api.resource(definition.path, { idProperty: definition.idProperty });
+
+    fixtures[name] = {
+      body: res.body,
+      id: _.isObject(res.body) ? res.body[resource.idProperty] : undefined,
+      path: resource.memberPath(res),
+      res
+    };
+  }
+
+  return fixtures;
+};
+
+function sortFixtures(definitions) {
+
+  const sorted = [];
+  const visiting = [];
+
+  const visit = name => {
+    if (_.includes(sorted, name)) {
+      return;
+    } else if (_.includes(visiting, name)) {
+      throw new Error(`Fixture "${name}" has a circular dependency: ${visiting.slice(visiting.indexOf(name)).concat([ name ]).join(' -> ')}`);
+    }
+
+    visiting.push(name);
+
+    _.each(definitions[name].dependsOn, dependency => {
+      if (!_.has(definitions, dependency)) {
+        throw new Error(`Fixture "${name}" depends on unknown fixture "${dependency}"`);
+      }
+
+      visit(dependency);
+    });
+
+    visiting.pop();
+    sorted.push(name);
+  };
+
+  _.keys(definitions).forEach(visit);
+
+  return sorted;
+}
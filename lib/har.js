@@ -0,0 +1,357 @@
+const fs = require('fs');
+const _ = require('lodash');
+const path = require('path');
+const url = require('url');
+
+const { getFormParams, serializeFormParams } = require('./body');
+const SuperRestAssertionError = require('./errors');
+const { getResponseBody } = require('./response');
+const { redactValue } = require('./snapshot');
+
+const REDACTED = '[redacted]';
+
+// Headers that are computed by the HTTP client when a request is replayed.
+const REPLAY_EXCLUDED_HEADERS = [ 'connection', 'content-length', 'host', 'transfer-encoding' ];
+
+/**
+ * Records requests and responses in an [HTTP Archive](https://w3c.github.io/web-performance/specs/HAR/Overview.html)
+ * (HAR) file, which can be replayed with {@link SuperRest#replay}.
+ *
+ * Use the `record` option of the SuperREST constructor to record all requests made through
+ * {@link SuperRest#test}.
+ *
+ * @class
+ */
+class HarRecorder {
+
+  /**
+   * Returns a recorder that writes to the specified file.
+   *
+   * @constructs
+   *
+   * @param {object} options - Recording options.
+   *
+   * @param {string} options.file - The path of the HAR file (relative to the working directory).
+   *   Recorded entries are kept in memory until it is written with {@link HarRecorder#save} (e.g.
+   *   from the hook registered by {@link HarRecorder#registerMochaHook}).
+   *
+   * @param {string[]} [options.redactHeaders=["Authorization","Cookie","Set-Cookie"]] - The
+   *   names of request and response headers whose values must not be recorded.
+   *
+   * @param {string[]} [options.redactBody] - Property paths of JSON request and response bodies
+   *   whose values must not be recorded (e.g. `"password"` or `"*.token"`, where `*` matches any
+   *   property or array index), or names of form fields. Multipart and binary request bodies are
+   *   not recorded (only the names of their fields and files are), and cannot be replayed.
+   */
+  constructor(options) {
+    options = options || {};
+
+    if (!_.isString(options.file) || !options.file) {
+      throw new Error('HAR recording requires a "file" option');
+    }
+
+    this.entries = [];
+    this.file = path.resolve(options.file);
+    this.redactBody = options.redactBody || [];
+    this.redactHeaders = _.map(options.redactHeaders || [ 'Authorization', 'Cookie', 'Set-Cookie' ], name => name.toLowerCase());
+  }
+
+  /**
+   * Records a request and its response, and writes the HAR file.
+   *
+   * @method
+   *
+   * @param {object} req - The request (see the `req` argument of {@link SuperRest#expect}).
+   *
+   * @param {Response} res - The SuperTest response.
+   *
+   * @param {Date} [startedAt] - When the request was sent (now by default).
+   */
+  record(req, res, startedAt) {
+
+    const requestUrl = url.parse(res.request.url, true);
+    const requestHeaders = res.request.header || {};
+    const requestType = _.find(requestHeaders, (value, name) => name.toLowerCase() === 'content-type');
+    startedAt = startedAt || new Date();
+
+    const entry = {
+      startedDateTime: startedAt.toISOString(),
+      time: Date.now() - startedAt.getTime(),
+      request: {
+        method: req.method,
+        url: res.request.url,
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: this.toHeaders(requestHeaders),
+        queryString: _.flatMap(requestUrl.query, (value, name) => _.castArray(value).map(value => ({ name, value }))),
+        headersSize: -1,
+        bodySize: -1
+      },
+      response: {
+        status: res.status,
+        statusText: (res.res && res.res.statusMessage) || '',
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: this.toHeaders(res.headers),
+        content: {
+          size: res.text !== undefined ? Buffer.byteLength(res.text) : 0,
+          mimeType: res.get('Content-Type') || 'x-unknown',
+          text: this.redactText(res.text !== undefined ? res.text : JSON.stringify(res.body), res.get('Content-Type'))
+        },
+        redirectURL: res.get('Location') || '',
+        headersSize: -1,
+        bodySize: -1
+      },
+      cache: {},
+      timings: {
+        send: 0,
+        wait: Date.now() - startedAt.getTime(),
+        receive: 0
+      }
+    };
+
+    if (req.body !== undefined) {
+      entry.request.postData = toPostData(this, req.body, req.bodyType === 'multipart' ? 'multipart/form-data' : requestType || 'application/json');
+    }
+
+    this.entries.push(entry);
+  }
+
+  /**
+   * Returns the recorded entries as a HAR document.
+   *
+   * @method
+   *
+   * @returns {object} A HAR document.
+   */
+  toJSON() {
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'superrest', version: require('../package.json').version },
+        entries: this.entries
+      }
+    };
+  }
+
+  /**
+   * Writes the HAR file.
+   *
+   * @method
+   */
+  save() {
+    fs.writeFileSync(this.file, `${JSON.stringify(this.toJSON(), undefined, 2)}\n`, 'utf8');
+  }
+
+  /**
+   * Registers a root-level mocha `after` hook that writes the HAR file once all tests have run.
+   *
+   * @method
+   *
+   * @param {object} [options] - Hook options.
+   *
+   * @param {function} [options.after=after] - The function used to register the hook
+   *   (mocha's global `after` by default).
+   */
+  registerMochaHook(options) {
+    options = options || {};
+
+    const register = options.after || global.after;
+    register(() => this.save());
+  }
+
+  /**
+   * Converts headers to HAR name/value pairs, redacting sensitive values.
+   *
+   * @method
+   * @private
+   */
+  toHeaders(headers) {
+    return _.flatMap(headers, (value, name) => _.castArray(value).map(value => ({
+      name,
+      value: _.includes(this.redactHeaders, name.toLowerCase()) ? REDACTED : String(value)
+    })));
+  }
+
+  /**
+   * Redacts sensitive properties of a JSON body.
+   *
+   * @method
+   * @private
+   */
+  redactText(text, contentType) {
+    if (!this.redactBody.length || !text || !isJson(contentType)) {
+      return text;
+    }
+
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch (err) {
+      // Record malformed bodies as they are (there is nothing to redact).
+      return text;
+    }
+
+    return JSON.stringify(this.redactBody.reduce((memo, property) => redactValue(memo, property, REDACTED), body));
+  }
+}
+
+/**
+ * Re-issues the requests of a HAR file and asserts that their responses still match.
+ *
+ * @param {SuperRest} api - The SuperREST instance used to make the requests.
+ *
+ * @param {string|object} har - The HAR file or document (see {@link SuperRest#replay}).
+ *
+ * @param {object} [options] - Replay options (see {@link SuperRest#replay}).
+ *
+ * @returns {Promise<Response[]>} The responses.
+ */
+HarRecorder.replay = async function(api, har, options) {
+  options = options || {};
+
+  const document = _.isString(har) ? JSON.parse(fs.readFileSync(path.resolve(har), 'utf8')) : har;
+  const entries = _.get(document, 'log.entries');
+  if (!_.isArray(entries)) {
+    throw new Error('HAR document must have a "log.entries" array');
+  }
+
+  const testOptions = _.omit(options, 'filter', 'ignore', 'partial');
+  const failures = [];
+  const responses = [];
+
+  for (const [ index, entry ] of entries.entries()) {
+    if (options.filter && !options.filter(entry)) {
+      continue;
+    }
+
+    const requestUrl = url.parse(entry.request.url);
+    const description = `HAR entry ${index + 1} (${entry.request.method} ${requestUrl.path})`;
+
+    const headers = _.reduce(entry.request.headers, (memo, header) => {
+      if (header.value !== REDACTED && !_.includes(REPLAY_EXCLUDED_HEADERS, header.name.toLowerCase())) {
+        memo[header.name] = header.value;
+      }
+
+      return memo;
+    }, {});
+
+    const postData = entry.request.postData;
+    if (postData && postData.text === undefined) {
+      throw new Error(`Cannot replay ${description}: its ${postData.mimeType} request body was not recorded`);
+    }
+
+    const body = postData ? parseText(postData.text, postData.mimeType) : undefined;
+
+    const res = await api.test(entry.request.method, requestUrl.path, body, _.extend({ expectedStatus: false }, testOptions, {
+      headers: _.extend(headers, testOptions.headers),
+      pathPrefix: false
+    }));
+
+    responses.push(res);
+
+    const ignore = (options.ignore || []).concat(findRedactedProperties(entry.response.content));
+    const expected = {
+      status: entry.response.status,
+      body: ignoreProperties(parseText(entry.response.content.text, entry.response.content.mimeType), ignore)
+    };
+
+    const actual = {
+      status: res.status,
+      body: ignoreProperties(getResponseBody(res), ignore)
+    };
+
+    const matches = options.partial && _.isObject(expected.body) ? actual.status === expected.status && _.isMatch(actual.body, expected.body) : _.isEqual(actual, expected);
+    if (!matches) {
+      failures.push({
+        actual,
+        check: description,
+        expected,
+        message: `Expected the response to ${description} to match the recorded response`
+      });
+    }
+  }
+
+  if (failures.length) {
+    throw new SuperRestAssertionError(failures);
+  }
+
+  return responses;
+};
+
+function isJson(contentType) {
+  return !!(contentType && contentType.replace(/;.*$/, '').trim().match(/[/+]json$/i));
+}
+
+// Form bodies are recorded as they are sent, with their fields as `params`. Multipart and binary
+// bodies cannot be recorded as text, so only their fields (and the names of their files) are.
+function toPostData(recorder, body, mimeType) {
+  if (mimeType.match(/^application\/x-www-form-urlencoded/i)) {
+
+    const params = (_.isString(body) ? parseFormParams(body) : getFormParams(body))
+      .map(param => _.includes(recorder.redactBody, param.name) ? { name: param.name, value: REDACTED } : param);
+
+    return { mimeType, params, text: serializeFormParams(params) };
+  } else if (mimeType.match(/^multipart\//i)) {
+    return { mimeType, params: toMultipartParams(body) };
+  } else if (Buffer.isBuffer(body)) {
+    return { mimeType, params: [] };
+  }
+
+  return {
+    mimeType,
+    text: recorder.redactText(_.isString(body) ? body : JSON.stringify(body), mimeType)
+  };
+}
+
+function parseFormParams(text) {
+  return text.split('&').filter(pair => pair).map(pair => {
+    const [ name, ...value ] = pair.split('=').map(part => decodeURIComponent(part.replace(/\+/g, ' ')));
+    return { name, value: value.join('=') };
+  });
+}
+
+function toMultipartParams(body) {
+  return _.flatMap(body, (value, name) => _.castArray(value).map(value => {
+    if (Buffer.isBuffer(value)) {
+      return { name, fileName: name };
+    } else if (_.isPlainObject(value) && (value.file || value.buffer)) {
+      return _.omitBy({ name, fileName: value.filename || (value.file ? path.basename(value.file) : name), contentType: value.contentType }, _.isUndefined);
+    }
+
+    return { name, value: _.isObject(value) ? JSON.stringify(value) : String(value) };
+  }));
+}
+
+function parseText(text, mimeType) {
+  if (text === undefined || text === '') {
+    return isJson(mimeType) ? {} : text;
+  }
+
+  return isJson(mimeType) ? JSON.parse(text) : text;
+}
+
+function ignoreProperties(body, ignore) {
+  return ignore.reduce((memo, property) => redactValue(memo, property, '[ignored]'), _.cloneDeep(body));
+}
+
+function findRedactedProperties(content) {
+  if (!isJson(content.mimeType) || !content.text) {
+    return [];
+  }
+
+  const properties = [];
+  const visit = (value, parents) => {
+    if (value === REDACTED) {
+      properties.push(parents.join('.'));
+    } else if (_.isObject(value)) {
+      _.each(value, (child, key) => visit(child, parents.concat([ key ])));
+    }
+  };
+
+  visit(JSON.parse(content.text), []);
+
+  return properties;
+}
+
+module.exports = HarRecorder;
@@ -0,0 +1,44 @@
+const _ = require('lodash');
+
+const { getMatcherNames, isThenable, resolveSubject, runAssertion } = require('./assertions');
+
+/**
+ * Creates [Jest](https://jestjs.io) matchers for SuperTest responses: `toHaveStatus`,
+ * `toHaveHeader`, `toHaveContentType`, `toMatchSchema`, `toMatchResource` and
+ * `toRespondWithin`. They may be negated with `not`, and may be given a SuperREST test that has
+ * not been awaited yet, in which case they must be awaited (and the default HTTP 200 status code
+ * and Content-Type expectations of the test are not applied, see {@link resolveSubject}).
+ *
+ * For example:
+ *
+ *     expect.extend(api.jestMatchers());
+ *
+ *     await expect(api.read('/users/1')).toHaveStatus(200);
+ *     expect(res).toMatchResource({ name: 'John Doe' });
+ *
+ * @param {SuperRest} [api] - The SuperREST instance whose named JSON schemas may be used.
+ *
+ * @returns {object} Matchers to give to `expect.extend`.
+ */
+exports.createJestMatchers = function(api) {
+  return _.reduce(getMatcherNames(), (memo, matcher, name) => {
+    memo[matcher] = function(received, ...args) {
+      if (isThenable(received)) {
+        return resolveSubject(received).then(res => toMatcherResult(runAssertion(api, name, res, args), this.isNot));
+      }
+
+      return toMatcherResult(runAssertion(api, name, received, args), this.isNot);
+    };
+
+    return memo;
+  }, {});
+};
+
+function toMatcherResult(result, isNot) {
+  return {
+    actual: result.actual,
+    expected: result.expected,
+    message: () => isNot ? result.negatedMessage : result.message,
+    pass: result.pass
+  };
+}
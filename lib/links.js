@@ -0,0 +1,243 @@
+const _ = require('lodash');
+const url = require('url');
+
+const SuperRestAssertionError = require('./errors');
+const { validateOptions } = require('./options');
+const { parseLinkHeader } = require('./pagination');
+
+const DEFAULTS = {
+  expectedStatus: '2xx',
+  method: 'GET',
+  required: []
+};
+
+const LINK_OPTIONS = {
+  expectedStatus: [ 'number', 'array', 'string', 'regexp', 'function' ],
+  method: [ 'string', 'boolean' ],
+  rels: 'string[]',
+  required: 'string[]'
+};
+
+/**
+ * Returns the hypermedia links advertised by a response: those of its `Link` header, of the
+ * `_links` property of a HAL body and of the `links` property of a JSON:API body. HAL `curies`
+ * and JSON:API links that are null are ignored.
+ *
+ * @param {Response} res - A SuperTest response.
+ *
+ * @returns {object[]} The links, each with its `href`, its relation type (`rel`), the `source`
+ *   where it was found (`"Link header"`, `"HAL _links"` or `"JSON:API links"`) and its other
+ *   properties (e.g. `templated` or `title`). A link with several relation types is returned once
+ *   for each of them.
+ */
+exports.getLinks = function(res) {
+
+  const headerLinks = _.flatMap(parseLinkHeader(res.get('Link')), link => link.rel.map(rel => _.extend({}, link, { rel, source: 'Link header' })));
+
+  const body = _.isPlainObject(res.body) ? res.body : {};
+  const halLinks = _.flatMap(_.omit(body._links, 'curies'), (value, rel) => _.castArray(value).map(link => toLink(link, rel, 'HAL _links')));
+  const jsonApiLinks = _.flatMap(_.omitBy(_.isPlainObject(body.links) ? body.links : {}, _.isNull), (link, rel) => toLink(link, rel, 'JSON:API links'));
+
+  return headerLinks.concat(halLinks, jsonApiLinks);
+};
+
+/**
+ * Returns the link validation options of a request, which default to the `links` option given to
+ * the SuperREST constructor.
+ *
+ * @param {boolean|object} [defaults] - The `links` option given to the constructor.
+ *
+ * @param {boolean|object} [links] - The `links` option of the request.
+ *
+ * @returns {object} The link validation options, or undefined if links are not validated.
+ */
+exports.getLinkOptions = function(defaults, links) {
+
+  const enabled = links !== undefined && links !== null ? links : defaults;
+  if (!enabled) {
+    return;
+  }
+
+  validateOptions(_.isPlainObject(defaults) ? defaults : undefined, LINK_OPTIONS, 'the "links" option');
+  validateOptions(_.isPlainObject(links) ? links : undefined, LINK_OPTIONS, 'the "links" option');
+
+  const options = _.defaults({}, _.isPlainObject(links) ? links : {}, _.isPlainObject(defaults) ? defaults : {}, DEFAULTS);
+  if (options.method !== false && !_.includes([ 'GET', 'HEAD' ], String(options.method).toUpperCase())) {
+    throw new Error(`Link validation method must be "GET", "HEAD" or false, got ${JSON.stringify(options.method)}`);
+  }
+
+  return options;
+};
+
+/**
+ * Defers the end of a SuperTest request until the links advertised by its response have been
+ * validated with {@link checkLinks}.
+ *
+ * @param {SuperRest} api - The SuperREST instance used to request the links.
+ *
+ * @param {Test} test - A SuperTest chain.
+ *
+ * @param {object} options - The test options of the request.
+ *
+ * @param {object} linkOptions - Link validation options (see {@link getLinkOptions}).
+ *
+ * @returns {Test} The same SuperTest chain.
+ */
+exports.deferLinkValidation = function(api, test, options, linkOptions) {
+
+  const end = test.end;
+  test.end = function(callback) {
+    return end.call(test, (err, res) => {
+      if (err) {
+        return callback(err, res);
+      }
+
+      exports.checkLinks(api, res, options, linkOptions).then(() => callback(null, res), linkErr => callback(linkErr, res));
+    });
+  };
+
+  return test;
+};
+
+/**
+ * Asserts that a response advertises the required links, and that each of its links resolves
+ * with the expected status code. Templated links and links to other hosts are not requested,
+ * and the requests are not verified against the OpenAPI document nor recorded in the coverage
+ * tracker or HAR recorder of the SuperREST instance. All links are requested even if some fail,
+ * and the failures are reported together.
+ *
+ * @param {SuperRest} api - The SuperREST instance used to request the links.
+ *
+ * @param {Response} res - A SuperTest response.
+ *
+ * @param {object} options - The test options of the request (its authentication options are used
+ *   to request the links).
+ *
+ * @param {object} linkOptions - Link validation options (see {@link getLinkOptions}).
+ *
+ * @returns {Promise} A promise that is rejected with a {@link SuperRestAssertionError} if a link
+ *   is missing or broken.
+ */
+exports.checkLinks = async function(api, res, options, linkOptions) {
+
+  const links = exports.getLinks(res);
+  const failures = [];
+
+  _.each(linkOptions.required, rel => {
+    if (!_.some(links, { rel })) {
+      failures.push({
+        actual: _.uniq(_.map(links, 'rel')),
+        check: `${rel} link`,
+        message: `Expected the response to advertise a "${rel}" link`
+      });
+    }
+  });
+
+  const checkedLinks = [];
+  _.each(links, link => {
+    if (linkOptions.rels && !_.includes(linkOptions.rels, link.rel)) {
+      return;
+    } else if (!_.isString(link.href) || !link.href) {
+      return failures.push({
+        actual: link.href,
+        check: `${link.rel} link`,
+        message: `Expected the "${link.rel}" link of the ${link.source} to have an href, got ${JSON.stringify(link.href)}`
+      });
+    }
+
+    const target = resolveLink(res, link.href);
+    if (!link.templated && target.local && !_.some(checkedLinks, { path: target.path })) {
+      checkedLinks.push(_.extend({ path: target.path }, link));
+    }
+  });
+
+  if (linkOptions.method !== false) {
+    for (const link of checkedLinks) {
+      try {
+        await api.test(linkOptions.method, link.path, undefined, _.extend(_.pick(options, 'as', 'auth'), {
+          expectedContentType: false,
+          expectedStatus: linkOptions.expectedStatus,
+          links: false,
+          openApi: false,
+          pathPrefix: false,
+          record: false
+        }));
+      } catch (err) {
+        if (!(err instanceof SuperRestAssertionError)) {
+          throw err;
+        }
+
+        err.failures.forEach(failure => failures.push(_.extend({}, failure, {
+          check: `${link.rel} link (${failure.check})`,
+          message: `${failure.message} for the "${link.rel}" link ${link.href}`
+        })));
+      }
+    }
+  }
+
+  if (failures.length) {
+    throw new SuperRestAssertionError(failures);
+  }
+};
+
+/**
+ * Returns the path to request to follow a link of a response.
+ *
+ * @param {Response} res - A SuperTest response.
+ *
+ * @param {string} rel - The relation type of the link (e.g. `"next"`). If there are several links
+ *   with that relation type, the first one is followed.
+ *
+ * @param {object} [params] - The values of the variables of a templated link.
+ *
+ * @returns {string} The path of the link (with its query string).
+ */
+exports.getLinkPath = function(res, rel, params) {
+
+  const links = exports.getLinks(res);
+  const link = _.find(links, { rel });
+  if (!link) {
+    const available = _.uniq(_.map(links, 'rel'));
+    throw new Error(`Cannot follow the "${rel}" link of a response with status code ${res.status} that does not advertise it${available.length ? ` (it advertises ${available.map(name => `"${name}"`).join(', ')})` : ''}`);
+  } else if (!_.isString(link.href) || !link.href) {
+    throw new Error(`Cannot follow the "${rel}" link of the ${link.source}: it has no href`);
+  }
+
+  const target = resolveLink(res, link.templated ? expandTemplate(link.href, params || {}) : link.href);
+  if (!target.local) {
+    throw new Error(`Cannot follow the "${rel}" link ${link.href} to another host`);
+  }
+
+  return target.path;
+};
+
+function toLink(link, rel, source) {
+  return _.extend(_.isPlainObject(link) ? _.clone(link) : { href: link }, { rel, source });
+}
+
+function resolveLink(res, href) {
+
+  const requestUrl = url.parse(res.request.url);
+  const target = url.parse(url.resolve(res.request.url, href));
+
+  return {
+    local: target.host === requestUrl.host,
+    path: target.path
+  };
+}
+
+// Expands the simple string (`{id}`) and form-style query (`{?page,size}` or `{&page}`)
+// expressions of a URI template (RFC 6570).
+function expandTemplate(href, params) {
+  return href.replace(/\{([?&]?)([^}]+)\}/g, (match, operator, names) => {
+
+    const defined = names.split(',').filter(name => params[name] !== undefined && params[name] !== null);
+    if (!operator) {
+      return defined.map(name => encodeURIComponent(params[name])).join(',');
+    } else if (!defined.length) {
+      return '';
+    }
+
+    return operator + defined.map(name => `${encodeURIComponent(name)}=${encodeURIComponent(params[name])}`).join('&');
+  });
+}
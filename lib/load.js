@@ -0,0 +1,20 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+const path = require('path');
+
+/**
+ * Loads a JSON or YAML file (depending on its extension).
+ *
+ * @param {string} file - The path of the file (relative to the working directory).
+ *
+ * @returns {*} The parsed contents of the file.
+ */
+exports.loadDataFile = function(file) {
+
+  const contents = fs.readFileSync(path.resolve(file), 'utf8');
+  if (file.match(/\.ya?ml$/i)) {
+    return yaml.safeLoad(contents);
+  }
+
+  return JSON.parse(contents);
+};
@@ -0,0 +1,322 @@
+const _ = require('lodash');
+
+const { loadDataFile } = require('./load');
+const { createAjv, formatSchemaErrors } = require('./schema');
+
+const HTTP_METHODS = [ 'get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace' ];
+
+// The data type formats defined by OpenAPI 3 (other unknown formats are ignored).
+const OPENAPI_FORMATS = {
+  binary: () => true,
+  byte: /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/,
+  double: { type: 'number', validate: () => true },
+  float: { type: 'number', validate: () => true },
+  int32: { type: 'number', validate: value => Number.isInteger(value) && value >= -2147483648 && value <= 2147483647 },
+  int64: { type: 'number', validate: value => Number.isInteger(value) },
+  password: () => true
+};
+
+/**
+ * An [OpenAPI 3](https://swagger.io/specification/) document against which requests and
+ * responses can be verified.
+ *
+ * @class
+ */
+class OpenApiDocument {
+
+  /**
+   * Loads an OpenAPI document.
+   *
+   * @constructs
+   *
+   * @param {object|string} document - The OpenAPI document, or the path to a JSON or YAML
+   *   file containing it.
+   */
+  constructor(document) {
+    this.document = _.isString(document) ? loadDataFile(document) : document;
+    if (!_.isPlainObject(this.document) || !_.isPlainObject(this.document.paths)) {
+      throw new Error('OpenAPI document must be an object with a "paths" property');
+    }
+
+    this.ajv = createAjv({ logger: false, nullable: true, unknownFormats: 'ignore', validateSchema: false });
+    _.each(OPENAPI_FORMATS, (format, name) => this.ajv.addFormat(name, format));
+    // Read-only properties are not required in requests, nor write-only properties in responses.
+    this.ajv.addSchema(omitRequiredProperties(this.document, 'readOnly', this.document), 'openapi-request');
+    this.ajv.addSchema(omitRequiredProperties(this.document, 'writeOnly', this.document), 'openapi-response');
+
+    this.routes = _.map(this.document.paths, (pathItem, template) => ({
+      template: template,
+      regexp: compilePathTemplate(template),
+      pathItem: pathItem
+    }));
+  }
+
+  /**
+   * Lists all operations documented in the document.
+   *
+   * @method
+   *
+   * @returns {object[]} The documented operations (with `method`, `template`, `pointer` and
+   *   `operation` properties), in the order in which they are documented.
+   */
+  getOperations() {
+    return _.flatMap(this.routes, route => HTTP_METHODS.filter(method => route.pathItem[method]).map(method => ({
+      method: method.toUpperCase(),
+      template: route.template,
+      pointer: [ 'paths', route.template, method ],
+      operation: route.pathItem[method]
+    })));
+  }
+
+  /**
+   * Indicates whether the specified status code is documented for an operation.
+   *
+   * @method
+   *
+   * @param {object} match - An operation returned by {@link OpenApiDocument#findOperation}.
+   *
+   * @param {number} status - An HTTP status code.
+   *
+   * @returns {boolean} True if the status code (or its class, or a default response) is documented.
+   */
+  documentsStatus(match, status) {
+    return !!findResponsePointer(match, status);
+  }
+
+  /**
+   * Finds the operation documented for the specified method and path.
+   *
+   * @method
+   *
+   * @param {string} method - The HTTP method.
+   *
+   * @param {string} requestPath - The request path (relative to the API's base path).
+   *   Any query string is ignored.
+   *
+   * @returns {object|undefined} The matching operation (with `method`, `template`,
+   *   `pointer` and `operation` properties), or undefined if none is documented.
+   */
+  findOperation(method, requestPath) {
+
+    const lowerCaseMethod = method.toLowerCase();
+    const pathname = requestPath.replace(/[?#].*$/, '');
+
+    // Prefer templates without parameters (e.g. "/users/me" over "/users/{id}").
+    const routes = _.sortBy(this.routes.filter(route => pathname.match(route.regexp)), route => (route.template.match(/\{/g) || []).length);
+    const route = _.find(routes, route => route.pathItem[lowerCaseMethod]);
+    if (!route) {
+      return;
+    }
+
+    return {
+      method: method.toUpperCase(),
+      template: route.template,
+      pointer: [ 'paths', route.template, lowerCaseMethod ],
+      operation: route.pathItem[lowerCaseMethod]
+    };
+  }
+
+  /**
+   * Verifies that a request and its response comply with the document.
+   *
+   * The request body is only verified if the server accepted it (i.e. the response has a 2xx
+   * status code), so that invalid requests can still be sent to test error handling.
+   *
+   * @method
+   *
+   * @param {object} req - The request that was made.
+   *
+   * @param {string} req.method - The HTTP method of the request.
+   *
+   * @param {string} req.path - The request path (relative to the API's base path).
+   *
+   * @param {*} [req.body] - The request body.
+   *
+   * @param {Response} res - A SuperTest response.
+   *
+   * @throws {Error} If the request or response does not comply with the document.
+   */
+  verify(req, res) {
+
+    const match = this.findOperation(req.method, req.path);
+    if (!match) {
+      throw new Error(`No OpenAPI operation is documented for ${req.method.toUpperCase()} ${req.path}`);
+    }
+
+    const description = `${match.method} ${match.template}`;
+
+    if (res.status >= 200 && res.status < 300) {
+      this.verifyRequestBody(match, req, res, description);
+    }
+
+    const responsePointer = findResponsePointer(match, res.status);
+    if (!responsePointer) {
+      throw new Error(`HTTP status code ${res.status} is not documented for OpenAPI operation ${description}`);
+    }
+
+    const response = this.resolve(responsePointer);
+    const responseDescription = `${description} ${_.last(response.pointer)}`;
+    if (!response.value.content) {
+      return;
+    }
+
+    const contentType = res.get('Content-Type');
+    const mediaTypes = Object.keys(response.value.content);
+    const mediaType = contentType && findMediaType(mediaTypes, contentType);
+    if (!mediaType) {
+      throw new Error(`Expected HTTP Content-Type header ${contentType ? `"${contentType}"` : '(missing)'} to match one of the media types documented for OpenAPI operation ${responseDescription}: ${mediaTypes.join(', ')}`);
+    }
+
+    const mediaTypeObject = response.value.content[mediaType];
+    if (mediaTypeObject && mediaTypeObject.schema && isJsonMediaType(contentType)) {
+      const validate = this.getSchemaValidator(response.pointer.concat([ 'content', mediaType, 'schema' ]), 'response');
+      if (!validate(res.body)) {
+        throw new Error(`Expected HTTP response body to match the OpenAPI schema for ${responseDescription}:\n${formatSchemaErrors(validate.errors)}`);
+      }
+    }
+  }
+
+  /**
+   * Verifies that the body of a request complies with the documented request body of an operation.
+   *
+   * The body is checked against the schema of the media type it was sent as (JSON and form bodies
+   * only).
+   *
+   * @method
+   * @private
+   */
+  verifyRequestBody(match, req, res, description) {
+    if (!match.operation.requestBody) {
+      return;
+    }
+
+    const requestBody = this.resolve(match.pointer.concat([ 'requestBody' ]));
+    if (req.body === undefined) {
+      if (requestBody.value.required) {
+        throw new Error(`Expected a request body for OpenAPI operation ${description}`);
+      }
+
+      return;
+    }
+
+    const requestHeaders = _.extend({}, req.headers, res.request && res.request.header);
+    const contentType = _.find(requestHeaders, (value, name) => name.toLowerCase() === 'content-type') || 'application/json';
+    const mediaTypes = Object.keys(requestBody.value.content || {});
+    const mediaType = findMediaType(mediaTypes, contentType);
+    if (!mediaType) {
+      throw new Error(`Expected HTTP request Content-Type header "${contentType}" to match one of the media types documented for OpenAPI operation ${description}: ${mediaTypes.join(', ')}`);
+    }
+
+    const isForm = !!contentType.match(/^application\/x-www-form-urlencoded/i);
+    if (!requestBody.value.content[mediaType].schema || !(isJsonMediaType(contentType) || (isForm && _.isPlainObject(req.body)))) {
+      return;
+    }
+
+    const validate = this.getSchemaValidator(requestBody.pointer.concat([ 'content', mediaType, 'schema' ]), 'request');
+    if (!validate(req.body)) {
+      throw new Error(`Expected HTTP request body to match the OpenAPI schema for ${description}:\n${formatSchemaErrors(validate.errors)}`);
+    }
+  }
+
+  /**
+   * Returns a compiled validation function for the schema at the specified location in the document.
+   *
+   * @method
+   * @private
+   */
+  getSchemaValidator(pointer, direction) {
+    return this.ajv.compile({ $ref: `openapi-${direction}#/${pointer.map(token => encodeURIComponent(escapePointerToken(token))).join('/')}` });
+  }
+
+  /**
+   * Returns the value at the specified location in the document, following `$ref` references
+   * to other parts of the document.
+   *
+   * @method
+   *
+   * @param {string[]} pointer - The location of the value as an array of property names.
+   *
+   * @returns {object} An object with the resolved `value` and its actual `pointer`.
+   */
+  resolve(pointer) {
+
+    let value = _.get(this.document, pointer);
+    while (value && _.isString(value.$ref)) {
+      if (!value.$ref.match(/^#\//)) {
+        throw new Error(`Only local OpenAPI references are supported (got "${value.$ref}")`);
+      }
+
+      pointer = value.$ref.slice(2).split('/').map(unescapePointerToken);
+      value = _.get(this.document, pointer);
+    }
+
+    if (value === undefined) {
+      throw new Error(`Could not resolve OpenAPI reference "#/${pointer.map(escapePointerToken).join('/')}"`);
+    }
+
+    return { pointer, value };
+  }
+}
+
+function compilePathTemplate(template) {
+  const source = template.split(/(\{[^}]+\})/).map(part => part.match(/^\{[^}]+\}$/) ? '[^/]+' : _.escapeRegExp(part)).join('');
+  return new RegExp(`^${source}/?$`);
+}
+
+function findResponsePointer(match, status) {
+
+  const responses = match.operation.responses || {};
+  const key = _.find([ String(status), `${Math.floor(status / 100)}XX`, `${Math.floor(status / 100)}xx`, 'default' ], key => _.has(responses, key));
+
+  return key ? match.pointer.concat([ 'responses', key ]) : undefined;
+}
+
+function findMediaType(mediaTypes, contentType) {
+
+  const [ type, subtype ] = contentType.replace(/;.*$/, '').trim().toLowerCase().split('/');
+
+  return _.find(mediaTypes, mediaType => {
+    const [ expectedType, expectedSubtype ] = mediaType.toLowerCase().split('/');
+    return (expectedType === '*' || expectedType === type) && (expectedSubtype === '*' || expectedSubtype === subtype);
+  });
+}
+
+function isJsonMediaType(contentType) {
+  return !!contentType.replace(/;.*$/, '').match(/[/+]json$/i);
+}
+
+function omitRequiredProperties(value, keyword, document) {
+  if (_.isArray(value)) {
+    return value.map(item => omitRequiredProperties(item, keyword, document));
+  } else if (!_.isPlainObject(value)) {
+    return value;
+  }
+
+  const result = _.mapValues(value, child => omitRequiredProperties(child, keyword, document));
+  if (_.isArray(value.required) && _.isPlainObject(value.properties)) {
+    result.required = value.required.filter(name => !_.get(resolveLocalReference(document, value.properties[name]), keyword));
+  }
+
+  return result;
+}
+
+function resolveLocalReference(document, value) {
+
+  const references = [];
+  while (value && _.isString(value.$ref) && value.$ref.match(/^#\//) && !_.includes(references, value.$ref)) {
+    references.push(value.$ref);
+    value = _.get(document, value.$ref.slice(2).split('/').map(unescapePointerToken));
+  }
+
+  return value;
+}
+
+function escapePointerToken(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function unescapePointerToken(token) {
+  return decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+module.exports = OpenApiDocument;
@@ -0,0 +1,311 @@
+const _ = require('lodash');
+
+const { BODY_TYPES } = require('./body');
+const ApiCoverage = require('./coverage');
+const HarRecorder = require('./har');
+const OpenApiDocument = require('./open-api');
+
+const AUTH_PROFILE = {
+  properties: {
+    apiKey: 'string',
+    basic: { properties: { password: 'string', username: 'string' } },
+    bearer: 'string',
+    header: 'string',
+    headers: 'object',
+    login: 'function'
+  }
+};
+
+const BODY_TYPE = { oneOf: BODY_TYPES };
+
+const ERROR_FORMAT = {
+  properties: {
+    code: 'string',
+    contentType: [ 'string', 'regexp' ],
+    fieldName: 'string',
+    invalidFields: 'string',
+    type: 'string'
+  }
+};
+
+const PAGINATION_OPTIONS = {
+  cursorParam: 'string',
+  items: [ 'string', 'function' ],
+  limitParam: 'string',
+  maxPages: 'number',
+  nextCursor: [ 'string', 'function' ],
+  offsetParam: 'string',
+  pageSize: 'number',
+  strategy: { oneOf: [ 'link', 'offset', 'cursor' ] },
+  totalCountHeader: 'string'
+};
+
+const POLLING_OPTIONS = {
+  properties: {
+    backoff: 'number',
+    initialDelay: 'number',
+    interval: 'number',
+    maxAttempts: 'number',
+    timeout: 'number'
+  }
+};
+
+const RECORD_OPTIONS = {
+  properties: {
+    file: 'string',
+    redactBody: 'string[]',
+    redactHeaders: 'string[]'
+  }
+};
+
+const SNAPSHOT_OPTIONS = {
+  dir: 'string',
+  headers: 'string[]',
+  redact: 'object',
+  update: 'boolean'
+};
+
+/**
+ * The options accepted by the SuperREST constructor, with their types.
+ *
+ * Types are `"any"`, `"array"`, `"boolean"`, `"function"`, `"number"`, `"object"` (a plain object),
+ * `"regexp"` or `"string"`, a type followed by `[]` for an array of values of that type, a class
+ * whose instances are accepted, or an object describing:
+ *
+ * * `{ oneOf: values }` - One of the specified values.
+ * * `{ properties: types }` - A plain object whose own options have the specified types.
+ * * `{ values: type }` - A plain object whose values all have the specified type(s).
+ *
+ * An option may have several types.
+ */
+exports.CONSTRUCTOR_OPTIONS = {
+  afterResponse: 'function[]',
+  authProfiles: { values: AUTH_PROFILE },
+  beforeRequest: 'function[]',
+  bodyType: BODY_TYPE,
+  cleanup: 'boolean',
+  coverage: [ 'boolean', ApiCoverage ],
+  defaultAuth: 'string',
+  errorFormat: [ 'string', ERROR_FORMAT ],
+  expectedContentType: [ 'string', 'regexp', 'array', 'boolean' ],
+  expectedHeaders: 'object',
+  headers: 'object',
+  links: [ 'boolean', 'object' ],
+  maxDuration: [ 'number', 'boolean' ],
+  openApi: [ 'object', 'string', OpenApiDocument ],
+  pagination: { properties: _.extend({ idProperty: 'string' }, PAGINATION_OPTIONS) },
+  parsers: 'object',
+  pathPrefix: 'string',
+  polling: POLLING_OPTIONS,
+  record: [ RECORD_OPTIONS, HarRecorder ],
+  schemas: 'object',
+  snapshots: { properties: SNAPSHOT_OPTIONS },
+  updateMethod: 'string'
+};
+
+/**
+ * The options accepted by {@link SuperRest#test} (and by all methods that make requests through
+ * it), with their types (see {@link CONSTRUCTOR_OPTIONS}).
+ */
+exports.TEST_OPTIONS = {
+  as: 'string',
+  auth: [ 'boolean', AUTH_PROFILE ],
+  bodyType: BODY_TYPE,
+  captureValidators: 'boolean',
+  conditional: 'boolean',
+  eventually: [ 'boolean', POLLING_OPTIONS ],
+  expectedContentType: [ 'string', 'regexp', 'array', 'boolean' ],
+  expectedError: { properties: { code: 'any', errorFormat: [ 'string', ERROR_FORMAT ], invalidFields: 'string[]', type: [ 'string', 'regexp' ] } },
+  expectedHeaders: 'object',
+  expectedLocation: [ 'boolean', 'string', 'regexp', 'function' ],
+  expectedStatus: [ 'number', 'array', 'string', 'regexp', 'function', 'boolean' ],
+  headers: 'object',
+  idProperty: 'string',
+  links: [ 'boolean', 'object' ],
+  maxDuration: [ 'number', 'boolean' ],
+  openApi: 'boolean',
+  pathPrefix: [ 'boolean', 'string' ],
+  query: [ 'object', 'string' ],
+  record: 'boolean',
+  schema: [ 'string', 'object' ],
+  snapshot: [ 'string', { properties: _.extend({ name: 'string' }, SNAPSHOT_OPTIONS) } ]
+};
+
+/**
+ * The additional options accepted by methods that make requests through {@link SuperRest#test}.
+ */
+exports.METHOD_OPTIONS = {
+  bench: { body: 'any', concurrency: 'number', requests: 'number' },
+  create: { cleanup: 'boolean' },
+  expectAuthRequired: { body: 'any', forbidden: 'string[]' },
+  expectError: { code: 'any', errorFormat: [ 'string', ERROR_FORMAT ], invalidFields: 'string[]', type: [ 'string', 'regexp' ] },
+  expectNegotiation: { body: 'any', method: 'string', notAcceptable: [ 'string', 'string[]' ] },
+  follow: { body: 'any', method: 'string', params: 'object' },
+  followJob: { until: 'function' },
+  paginate: PAGINATION_OPTIONS,
+  replay: { filter: 'function', ignore: 'string[]', partial: 'boolean' },
+  update: { method: 'string' }
+};
+
+/**
+ * The options accepted by other SuperREST methods, with their types.
+ */
+exports.OTHER_OPTIONS = {
+  loadFixtures: { cleanup: 'boolean' },
+  matchSnapshot: SNAPSHOT_OPTIONS,
+  registerCleanupHook: { afterEach: 'function' },
+  resource: { idProperty: 'string' },
+  runScenario: { variables: 'object' }
+};
+
+/**
+ * Asserts that options only contain known keys with values of the expected types. Undefined and
+ * null values are always accepted.
+ *
+ * @param {object} [options] - The options to validate.
+ *
+ * @param {object} types - The types of the known options (see {@link CONSTRUCTOR_OPTIONS}).
+ *
+ * @param {string} context - What the options are given to, to describe errors (e.g.
+ *   `"SuperRest#create"`).
+ */
+exports.validateOptions = function(options, types, context) {
+  if (options === undefined || options === null) {
+    return;
+  } else if (!_.isPlainObject(options)) {
+    throw new Error(`Options given to ${context} must be an object, got ${describeValue(options)}`);
+  }
+
+  validateProperties(options, types, context, '');
+};
+
+function validateProperties(options, types, context, parentName) {
+  _.each(options, (value, name) => {
+    if (!_.has(types, name)) {
+      const suggestion = suggestOption(name, _.keys(types));
+      throw new Error(`Unknown option "${name}" given to ${context}${suggestion ? `; did you mean "${suggestion}"?` : ''}`);
+    }
+
+    validateValue(value, types[name], name, context, parentName + name);
+  });
+}
+
+// Nested options are described by their full name (e.g. `the "authProfiles.admin" option`).
+function validateValue(value, types, name, context, fullName) {
+  if (value === undefined || value === null) {
+    return;
+  }
+
+  const type = _.find(_.castArray(types), type => isOfType(value, type));
+  if (!type) {
+    throw new Error(`Option "${name}" given to ${context} must be ${describeTypes(types)}, got ${describeValue(value)}`);
+  } else if (type.properties) {
+    validateProperties(value, type.properties, `the "${fullName}" option`, `${fullName}.`);
+  } else if (type.values) {
+    _.each(value, (item, key) => validateValue(item, type.values, key, `the "${fullName}" option`, `${fullName}.${key}`));
+  }
+}
+
+function isOfType(value, type) {
+  if (_.isFunction(type)) {
+    return value instanceof type;
+  } else if (type.oneOf) {
+    return _.includes(type.oneOf, value);
+  } else if (type.properties || type.values) {
+    return _.isPlainObject(value);
+  } else if (type.match(/\[\]$/)) {
+    return _.isArray(value) && _.every(value, item => isOfType(item, type.slice(0, -2)));
+  }
+
+  switch (type) {
+    case 'any':
+      return true;
+    case 'array':
+      return _.isArray(value);
+    case 'object':
+      return _.isPlainObject(value);
+    case 'regexp':
+      return _.isRegExp(value);
+    default:
+      return typeof(value) === type;
+  }
+}
+
+function describeTypes(types) {
+
+  const descriptions = _.castArray(types).map(describeType);
+  if (descriptions.length === 1) {
+    return descriptions[0];
+  }
+
+  return `${descriptions.slice(0, -1).join(', ')} or ${descriptions[descriptions.length - 1]}`;
+}
+
+function describeType(type) {
+  if (_.isFunction(type)) {
+    return withArticle(type.name);
+  } else if (type.oneOf) {
+    return `one of ${type.oneOf.map(value => JSON.stringify(value)).join(', ')}`;
+  } else if (type.properties || type.values) {
+    return 'an object';
+  } else if (type.match(/\[\]$/)) {
+    return `an array of ${type.slice(0, -2)}s`;
+  }
+
+  return {
+    array: 'an array',
+    object: 'an object',
+    regexp: 'a RegExp'
+  }[type] || `a ${type}`;
+}
+
+function describeValue(value) {
+  if (_.isRegExp(value)) {
+    return String(value);
+  } else if (_.isFunction(value)) {
+    return 'a function';
+  } else if (_.isObject(value) && !_.isPlainObject(value) && !_.isArray(value)) {
+    return withArticle(value.constructor.name);
+  }
+
+  return JSON.stringify(value);
+}
+
+function withArticle(name) {
+  return `${name.match(/^[aeiou]/i) ? 'an' : 'a'} ${name}`;
+}
+
+function suggestOption(name, knownNames) {
+
+  const candidates = knownNames
+    .map(known => ({ known, distance: isAbbreviation(name, known) ? 0 : getDistance(name.toLowerCase(), known.toLowerCase()) }))
+    .filter(candidate => candidate.distance <= Math.max(2, Math.floor(name.length / 3)));
+
+  const best = _.minBy(candidates, 'distance');
+
+  return best ? best.known : undefined;
+}
+
+// Whether one name contains the other (e.g. "expectedStatusCode" and "expectedStatus").
+function isAbbreviation(name, known) {
+
+  const [ shorter, longer ] = _.sortBy([ name.toLowerCase(), known.toLowerCase() ], 'length');
+
+  return shorter.length >= 4 && longer.indexOf(shorter) >= 0;
+}
+
+// Levenshtein distance between two strings.
+function getDistance(a, b) {
+
+  let previous = _.range(b.length + 1);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [ i ];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+
+    previous = current;
+  }
+
+  return previous[b.length];
+}
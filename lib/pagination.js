@@ -0,0 +1,192 @@
+const _ = require('lodash');
+const querystring = require('querystring');
+const url = require('url');
+
+const PAGINATION_OPTIONS = [
+  'cursorParam', 'idProperty', 'items', 'limitParam', 'maxPages', 'nextCursor',
+  'offsetParam', 'pageSize', 'strategy', 'totalCountHeader'
+];
+
+const DEFAULTS = {
+  cursorParam: 'cursor',
+  idProperty: 'id',
+  limitParam: 'limit',
+  maxPages: 100,
+  nextCursor: 'nextCursor',
+  offsetParam: 'offset',
+  strategy: 'link',
+  totalCountHeader: 'X-Total-Count'
+};
+
+/**
+ * Parses an [RFC 5988](https://tools.ietf.org/html/rfc5988) Link header.
+ *
+ * @param {string} [header] - The value of a Link header.
+ *
+ * @returns {object[]} The links, each with an `href`, a `rel` array and the other parameters
+ *   of the link (e.g. `title` or `type`).
+ */
+exports.parseLinkHeader = function(header) {
+
+  const links = [];
+  const regexp = /<([^>]*)>((?:\s*;\s*[^;,=\s]+(?:\s*=\s*(?:"[^"]*"|[^;,\s]*))?)*)/g;
+
+  let match;
+  while ((match = regexp.exec(header || ''))) {
+
+    const link = { href: match[1], rel: [] };
+
+    const paramRegexp = /;\s*([^;,=\s]+)(?:\s*=\s*(?:"([^"]*)"|([^;,\s]*)))?/g;
+    let param;
+    while ((param = paramRegexp.exec(match[2]))) {
+      const value = param[2] !== undefined ? param[2] : param[3];
+      if (param[1].toLowerCase() === 'rel') {
+        link.rel = value.trim().split(/\s+/);
+      } else {
+        link[param[1].toLowerCase()] = value;
+      }
+    }
+
+    links.push(link);
+  }
+
+  return links;
+};
+
+/**
+ * Walks all the pages of a collection and asserts their consistency.
+ *
+ * @param {SuperRest} api - The SuperREST instance used to make the requests.
+ *
+ * @param {string} path - The path of the collection.
+ *
+ * @param {object} [options] - Pagination and assertion options (see {@link SuperRest#paginate}).
+ *
+ * @returns {Promise<Array>} All the items of the collection.
+ */
+exports.paginate = async function(api, path, options) {
+
+  const paginationOptions = _.defaults(_.pick(options, PAGINATION_OPTIONS), api.pagination, DEFAULTS);
+  const testOptions = _.omit(options, PAGINATION_OPTIONS);
+  const strategy = paginationOptions.strategy;
+  if (!_.includes([ 'link', 'offset', 'cursor' ], strategy)) {
+    throw new Error(`Unsupported pagination strategy ${JSON.stringify(strategy)}; it must be "link", "offset" or "cursor"`);
+  }
+
+  const pageSize = paginationOptions.pageSize;
+  const items = [];
+  const seen = {};
+
+  let request = { path, options: withQuery(testOptions, getFirstPageQuery(paginationOptions)) };
+  let totalCount;
+
+  for (let page = 1; request; page++) {
+    if (page > paginationOptions.maxPages) {
+      throw new Error(`Expected the collection at ${api.getFullPath(path, testOptions)} to have at most ${paginationOptions.maxPages} pages`);
+    }
+
+    const res = await api.read(request.path, request.options);
+    const pageItems = getItems(res, paginationOptions, page);
+
+    const pageTotalCount = res.get(paginationOptions.totalCountHeader);
+    if (pageTotalCount !== undefined) {
+      if (totalCount !== undefined && pageTotalCount !== totalCount) {
+        throw new Error(`Expected HTTP ${paginationOptions.totalCountHeader} header "${pageTotalCount}" of page ${page} to equal "${totalCount}" as in the previous pages`);
+      }
+
+      totalCount = pageTotalCount;
+    }
+
+    if (pageSize && pageItems.length > pageSize) {
+      throw new Error(`Expected page ${page} to contain at most ${pageSize} items but it contains ${pageItems.length}`);
+    }
+
+    _.each(pageItems, item => {
+      const key = _.isObject(item) && item[paginationOptions.idProperty] !== undefined ? `${paginationOptions.idProperty}:${item[paginationOptions.idProperty]}` : JSON.stringify(item);
+      if (_.has(seen, key)) {
+        throw new Error(`Expected item ${JSON.stringify(item)} of page ${page} not to be a duplicate of an item of page ${seen[key]}`);
+      }
+
+      seen[key] = page;
+      items.push(item);
+    });
+
+    const next = getNextRequest(res, request, pageItems, paginationOptions);
+    if (next && pageSize && pageItems.length < pageSize) {
+      throw new Error(`Expected page ${page} to contain ${pageSize} items since it is not the last page, but it contains ${pageItems.length}`);
+    }
+
+    request = next;
+  }
+
+  if (totalCount !== undefined && parseInt(totalCount, 10) !== items.length) {
+    throw new Error(`Expected the collection at ${api.getFullPath(path, testOptions)} to contain ${totalCount} items as indicated by the HTTP ${paginationOptions.totalCountHeader} header, but ${items.length} were found in all pages`);
+  }
+
+  return items;
+};
+
+function getFirstPageQuery(options) {
+
+  const query = {};
+  if (options.pageSize) {
+    query[options.limitParam] = options.pageSize;
+  }
+
+  if (options.strategy === 'offset') {
+    query[options.offsetParam] = 0;
+  }
+
+  return query;
+}
+
+function getItems(res, options, page) {
+
+  const items = _.isFunction(options.items) ? options.items(res) : (options.items ? _.get(res.body, options.items) : res.body);
+  if (!_.isArray(items)) {
+    throw new Error(`Expected the items of page ${page} to be an array${options.items ? '' : ' (use the "items" option if they are not the response body)'} but got ${JSON.stringify(items)}`);
+  }
+
+  return items;
+}
+
+function getNextRequest(res, request, pageItems, options) {
+  if (options.strategy === 'link') {
+
+    const next = _.find(exports.parseLinkHeader(res.get('Link')), link => _.includes(link.rel, 'next'));
+    if (!next) {
+      return;
+    }
+
+    return {
+      path: url.parse(url.resolve(res.request.url, next.href)).path,
+      options: _.extend(_.omit(request.options, 'query'), { pathPrefix: false })
+    };
+  } else if (options.strategy === 'offset') {
+
+    if (!pageItems.length || (options.pageSize && pageItems.length < options.pageSize)) {
+      return;
+    }
+
+    const offset = parseInt(request.options.query[options.offsetParam], 10) + pageItems.length;
+    return {
+      path: request.path,
+      options: withQuery(request.options, { [options.offsetParam]: offset })
+    };
+  }
+
+  const cursor = _.isFunction(options.nextCursor) ? options.nextCursor(res) : _.get(res.body, options.nextCursor);
+  if (cursor === undefined || cursor === null || cursor === '') {
+    return;
+  }
+
+  return {
+    path: request.path,
+    options: withQuery(request.options, { [options.cursorParam]: cursor })
+  };
+}
+
+function withQuery(options, query) {
+  const currentQuery = _.isString(options.query) ? querystring.parse(options.query) : options.query;
+  return _.extend({}, options, { query: _.extend({}, currentQuery, query) });
+}
@@ -0,0 +1,194 @@
+const _ = require('lodash');
+const url = require('url');
+
+const DEFAULTS = {
+  backoff: 1,
+  interval: 100,
+  maxAttempts: Infinity,
+  timeout: 5000
+};
+
+/**
+ * Returns the polling options of a request, which default to the `polling` options given to the
+ * SuperREST constructor.
+ *
+ * @param {object} defaults - The polling options given to the constructor.
+ *
+ * @param {boolean|object} [eventually] - The `eventually` option of the request.
+ *
+ * @returns {object} The polling options.
+ */
+exports.getPollingOptions = function(defaults, eventually) {
+
+  const options = _.defaults({}, _.isPlainObject(eventually) ? eventually : {}, defaults, DEFAULTS);
+  _.each(_.keys(DEFAULTS), name => {
+    if (!_.isNumber(options[name]) || options[name] < 0 || (name === 'backoff' && options[name] < 1)) {
+      throw new Error(`Polling option "${name}" must be a ${name === 'backoff' ? 'number greater than or equal to 1' : 'positive number'}, got ${JSON.stringify(options[name])}`);
+    }
+  });
+
+  return options;
+};
+
+/**
+ * Returns a promise-like chain that makes a request through {@link SuperRest#test} and makes it
+ * again until all assertions pass or the polling options are exhausted.
+ *
+ * @param {SuperRest} api - The SuperREST instance used to make the requests.
+ *
+ * @param {string} method - The HTTP method.
+ *
+ * @param {string} path - The path of the API resource.
+ *
+ * @param {*} body - The request body, if any.
+ *
+ * @param {object} options - Test options (without the `eventually` option).
+ *
+ * @param {object} polling - Polling options (see {@link SuperRest#test}).
+ *
+ * @returns {object} A chain with an `expect` method (which accepts the same arguments as that of
+ *   SuperTest, and adds an assertion to each attempt) and a `withoutDefaultExpectations` method
+ *   (see {@link resolveSubject}) that can be used as a promise for the last response.
+ */
+exports.poll = function(api, method, path, body, options, polling) {
+  return new PollingTest(api, method, path, body, options, polling);
+};
+
+/**
+ * Follows the status monitor of an asynchronous job until it completes.
+ *
+ * @param {SuperRest} api - The SuperREST instance used to make the requests.
+ *
+ * @param {Response} res - A 202 Accepted response with a Location header.
+ *
+ * @param {object} [options] - Job options (see {@link SuperRest#followJob}).
+ *
+ * @returns {Promise<Response>} The final response.
+ */
+exports.followJob = async function(api, res, options) {
+  options = options || {};
+
+  if (res.status !== 202) {
+    throw new Error(`Expected HTTP status code 202 to follow an asynchronous job, got ${res.status}`);
+  }
+
+  const location = res.get('Location');
+  if (!location) {
+    throw new Error('Cannot follow an asynchronous job without an HTTP Location header in the 202 response');
+  }
+
+  const testOptions = _.omit(options, 'eventually', 'until');
+  const monitor = await api.read(url.parse(location).path, _.extend({}, testOptions, {
+    eventually: _.extend({ initialDelay: getRetryAfter(res) }, options.eventually),
+    expectedContentType: false,
+    expectedStatus: false,
+    pathPrefix: false
+  })).expect(res => checkJobCompletion(res, options.until));
+
+  if (monitor.status === 303) {
+    return api.followLocation(monitor, testOptions);
+  }
+
+  api.expect(monitor, testOptions);
+
+  return monitor;
+};
+
+class PollingTest {
+
+  constructor(api, method, path, body, options, polling) {
+    this.api = api;
+    this.body = body;
+    this.defaultExpectations = true;
+    this.expectations = [];
+    this.method = method;
+    this.options = options;
+    this.path = path;
+    this.polling = polling;
+  }
+
+  expect(...args) {
+    this.expectations.push(args);
+    return this;
+  }
+
+  // See the withoutDefaultExpectations function added by SuperRest#test.
+  withoutDefaultExpectations() {
+    this.defaultExpectations = false;
+    return this;
+  }
+
+  then(resolve, reject) {
+    if (!this.promise) {
+      this.promise = this.run();
+    }
+
+    return this.promise.then(resolve, reject);
+  }
+
+  catch(reject) {
+    return this.then(undefined, reject);
+  }
+
+  async run() {
+
+    const start = Date.now();
+    const { backoff, interval, maxAttempts, timeout } = this.polling;
+
+    let attempts = 0;
+    let delay = this.polling.initialDelay;
+    while (true) {
+
+      if (delay) {
+        await sleep(delay);
+      }
+
+      attempts++;
+
+      let res;
+      const attempt = this.api.test(this.method, this.path, this.body, this.options);
+      const test = this.expectations.reduce((memo, args) => memo.expect(...args), this.defaultExpectations ? attempt : attempt.withoutDefaultExpectations());
+      test.on('response', response => {
+        res = response;
+      });
+
+      try {
+        return await test;
+      } catch (err) {
+
+        const elapsed = Date.now() - start;
+        delay = (res && getRetryAfter(res)) || interval * Math.pow(backoff, attempts - 1);
+        if (attempts >= maxAttempts || elapsed + delay > timeout) {
+          err.message = `Request did not succeed after ${attempts} attempt${attempts === 1 ? '' : 's'} in ${elapsed}ms: ${err.message}`;
+          throw err;
+        }
+      }
+    }
+  }
+}
+
+function checkJobCompletion(res, until) {
+  if (res.status === 202) {
+    throw new Error('Expected the asynchronous job to complete, but its status monitor still responds with HTTP status code 202');
+  } else if (until && res.status !== 303 && !until(res)) {
+    throw new Error('Expected the asynchronous job to complete, but its status monitor response does not satisfy the "until" function');
+  }
+}
+
+function getRetryAfter(res) {
+
+  const value = res.get('Retry-After');
+  if (!value) {
+    return;
+  } else if (value.match(/^\d+$/)) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const date = Date.parse(value);
+
+  return isNaN(date) ? undefined : Math.max(date - Date.now(), 0);
+}
+
+function sleep(delay) {
+  return new Promise(resolve => setTimeout(resolve, delay));
+}
@@ -0,0 +1,108 @@
+const _ = require('lodash');
+
+const { toComparable } = require('./checks');
+
+/**
+ * The default error format: [RFC 7807](https://tools.ietf.org/html/rfc7807) problem details,
+ * with the invalid fields listed in an `invalid-params` extension member as in the examples of
+ * the RFC (e.g. `[ { "name": "age", "reason": "must be a positive integer" } ]`).
+ */
+const PROBLEM_DETAILS = {
+  code: 'code',
+  contentType: /^application\/problem\+json/,
+  fieldName: 'name',
+  invalidFields: 'invalid-params',
+  type: 'type'
+};
+
+exports.PROBLEM_DETAILS = PROBLEM_DETAILS;
+
+/**
+ * Returns the complete error format for the specified format option.
+ *
+ * @param {string|object} [format] - Either `"problem"` for RFC 7807 problem details, or an
+ *   object describing a custom error envelope (missing properties default to those of
+ *   problem details).
+ *
+ * @returns {object} An error format.
+ */
+exports.getErrorFormat = function(format) {
+  if (format === undefined || format === 'problem') {
+    return PROBLEM_DETAILS;
+  } else if (!_.isPlainObject(format)) {
+    throw new Error(`Unsupported error format ${JSON.stringify(format)}; it must be "problem" or an object`);
+  }
+
+  return _.defaults({}, format, PROBLEM_DETAILS);
+};
+
+/**
+ * Checks that the body of a response is an error in the specified format.
+ *
+ * @param {Response} res - A SuperTest response.
+ *
+ * @param {object} format - An error format (see {@link getErrorFormat}).
+ *
+ * @param {object} [options] - Error assertion options (see {@link SuperRest#expectError}).
+ *
+ * @returns {object[]} The failed checks (see {@link SuperRestAssertionError}), if any.
+ */
+exports.checkError = function(res, format, options) {
+  options = options || {};
+
+  if (!_.isObject(res.body)) {
+    return [ {
+      actual: res.body,
+      check: 'error',
+      message: `Expected HTTP response body ${JSON.stringify(res.body)} to be an error object`
+    } ];
+  }
+
+  const failures = _.compact([
+    checkProperty(res, format.code, 'error code', options.code),
+    checkProperty(res, format.type, 'error type', options.type)
+  ]);
+
+  if (options.invalidFields) {
+
+    const invalidFields = _.get(res.body, format.invalidFields);
+    if (!_.isArray(invalidFields)) {
+      failures.push({
+        actual: invalidFields,
+        check: 'invalid fields',
+        message: `Expected HTTP response body property "${format.invalidFields}" to be an array of invalid fields but got ${JSON.stringify(invalidFields)}`
+      });
+
+      return failures;
+    }
+
+    const actual = _.uniq(invalidFields.map(field => _.isObject(field) ? _.get(field, format.fieldName) : field)).sort();
+    const expected = _.uniq(options.invalidFields).sort();
+    if (!_.isEqual(actual, expected)) {
+      failures.push({
+        actual,
+        check: 'invalid fields',
+        expected,
+        message: `Expected invalid fields ${JSON.stringify(actual)} to equal ${JSON.stringify(expected)}`
+      });
+    }
+  }
+
+  return failures;
+};
+
+function checkProperty(res, property, description, expected) {
+  if (expected === undefined) {
+    return;
+  }
+
+  const value = _.get(res.body, property);
+  const failure = { actual: value, check: description, expected: toComparable(expected) };
+  if (_.isRegExp(expected)) {
+    if (!_.isString(value) || !value.match(expected)) {
+      return _.extend(failure, { message: `Expected ${description} ${JSON.stringify(value)} (HTTP response body property "${property}") to match ${expected}` });
+    }
+  } else if (!_.isEqual(value, expected)) {
+    return _.extend(failure, { message: `Expected ${description} ${JSON.stringify(value)} (HTTP response body property "${property}") to equal ${JSON.stringify(expected)}` });
+  }
+}
@@ -0,0 +1,250 @@
+const _ = require('lodash');
+const url = require('url');
+
+const { validateOptions } = require('./options');
+
+const LIFECYCLE_OPTIONS = {
+  patch: 'boolean'
+};
+
+/**
+ * CRUD helpers bound to a REST collection (e.g. `/users`) and its members (e.g. `/users/:id`).
+ *
+ * Use {@link SuperRest#resource} to create one.
+ *
+ * @class
+ */
+class Resource {
+
+  /**
+   * Returns helpers to test the specified collection.
+   *
+   * @constructs
+   *
+   * @param {SuperRest} api - The SuperREST instance used to make the requests.
+   *
+   * @param {string} path - The path of the collection.
+   *
+   * @param {object} [options] - Resource options.
+   *
+   * @param {string} [options.idProperty="id"] - The property of a resource's body that contains its
+   *   identifier, used to build member paths when there is no Location header.
+   */
+  constructor(api, path, options) {
+    options = options || {};
+
+    this.api = api;
+    this.path = path;
+    this.idProperty = options.idProperty || 'id';
+  }
+
+  /**
+   * Makes a GET request to list the resources of the collection.
+   *
+   * @method
+   *
+   * @param {object} [options] - Assertion options (see {@link SuperRest#test} for all options).
+   */
+  list(options) {
+    return this.api.read(this.path, options);
+  }
+
+  /**
+   * Makes GET requests to walk all the pages of the collection.
+   *
+   * @method
+   *
+   * @param {object} [options] - Pagination and assertion options (see {@link SuperRest#paginate}
+   *   for all options). The `idProperty` option of the resource is used by default.
+   *
+   * @returns {Promise<Array>} All the items of the collection.
+   */
+  paginate(options) {
+    return this.api.paginate(this.path, _.defaults({}, options, { idProperty: this.idProperty }));
+  }
+
+  /**
+   * Makes a POST request to create a resource in the collection.
+   *
+   * @method
+   *
+   * @param {*} body - The request body to send to the server.
+   *
+   * @param {object} [options] - Assertion options (see {@link SuperRest#create} for all options).
+   */
+  create(body, options) {
+    return this.api.create(this.path, body, options);
+  }
+
+  /**
+   * Makes a GET request to read a resource of the collection.
+   *
+   * @method
+   *
+   * @param {string|number|object|Response} ref - The resource's identifier, its body, or the
+   *   response to the request that created it (see {@link Resource#memberPath}).
+   *
+   * @param {object} [options] - Assertion options (see {@link SuperRest#test} for all options).
+   */
+  read(ref, options) {
+    return this.api.read(this.memberPath(ref), this.memberOptions(ref, options));
+  }
+
+  /**
+   * Makes a request to update a resource of the collection with the HTTP method configured
+   * with the `updateMethod` option of the SuperREST instance.
+   *
+   * @method
+   *
+   * @param {string|number|object|Response} ref - The resource's identifier, its body, or the
+   *   response to the request that created it (see {@link Resource#memberPath}).
+   *
+   * @param {*} body - The request body to send to the server.
+   *
+   * @param {object} [options] - Assertion options (see {@link SuperRest#update} for all options).
+   */
+  update(ref, body, options) {
+    return this.api.update(this.memberPath(ref), body, this.memberOptions(ref, options));
+  }
+
+  /**
+   * Makes a PATCH request to partially update a resource of the collection.
+   *
+   * @method
+   *
+   * @param {string|number|object|Response} ref - The resource's identifier, its body, or the
+   *   response to the request that created it (see {@link Resource#memberPath}).
+   *
+   * @param {*} body - The request body to send to the server.
+   *
+   * @param {object} [options] - Assertion options (see {@link SuperRest#test} for all options).
+   */
+  patch(ref, body, options) {
+    return this.api.patch(this.memberPath(ref), body, this.memberOptions(ref, options));
+  }
+
+  /**
+   * Makes a DELETE request to destroy a resource of the collection.
+   *
+   * @method
+   *
+   * @param {string|number|object|Response} ref - The resource's identifier, its body, or the
+   *   response to the request that created it (see {@link Resource#memberPath}).
+   *
+   * @param {object} [options] - Assertion options (see {@link SuperRest#test} for all options).
+   */
+  destroy(ref, options) {
+    return this.api.delete(this.memberPath(ref), undefined, this.memberOptions(ref, options));
+  }
+
+  /**
+   * Returns the path of a resource of the collection.
+   *
+   * @method
+   *
+   * @param {string|number|object|Response} ref - Either:
+   *
+   *   * The resource's identifier (e.g. `42` becomes `/users/42`).
+   *   * The resource's body, which must have the identifier property (`id` by default).
+   *   * A SuperTest response (e.g. from {@link Resource#create}): the path of its Location
+   *     header is used as is if present, otherwise the identifier is taken from its body.
+   *
+   * @returns {string} The path of the resource.
+   */
+  memberPath(ref) {
+
+    const location = getLocation(ref);
+    if (location) {
+      return url.parse(location).path;
+    }
+
+    const body = isResponse(ref) ? ref.body : ref;
+    const id = _.isObject(body) ? body[this.idProperty] : body;
+    if (id === undefined || id === null || id === '') {
+      throw new Error(`Could not determine the identifier of a resource of ${this.path} (expected ${this.idProperty.match(/^[aeiou]/i) ? 'an' : 'a'} "${this.idProperty}" property or a Location header)`);
+    }
+
+    return `${this.path}/${encodeURIComponent(id)}`;
+  }
+
+  /**
+   * Returns the options for a request to a resource of the collection. The path prefix of the
+   * SuperREST instance is not applied to paths taken from a Location header, as they are
+   * expected to be complete.
+   *
+   * @method
+   * @private
+   */
+  memberOptions(ref, options) {
+    return getLocation(ref) ? _.defaults({ pathPrefix: false }, options) : options;
+  }
+
+  /**
+   * Tests the full lifecycle of a resource of the collection:
+   *
+   * 1. Creates a resource with the sample body (expecting 201 Created and a body including the
+   *    sample's properties).
+   * 2. Reads it back (expecting a body including the sample's properties).
+   * 3. Updates it with the sample body merged with the changes (expecting 200 OK).
+   * 4. Reads it back again (expecting a body including the changed properties).
+   * 5. Deletes it (expecting 200 OK or 204 No Content).
+   * 6. Reads it back one last time (expecting 404 Not Found).
+   *
+   * @method
+   *
+   * @param {object} sample - The body of the resource to create.
+   *
+   * @param {object} changes - The properties to change in the update step.
+   *
+   * @param {object} [options] - Lifecycle options.
+   *
+   * @param {boolean} [options.patch=false] - Whether to make a PATCH request with only the
+   *   changes in the update step, instead of using {@link Resource#update}.
+   *
+   * @returns {Promise<object>} An object with the `created`, `read`, `updated`, `verified`,
+   *   `deleted` and `gone` responses.
+   */
+  async lifecycle(sample, changes, options) {
+    validateOptions(options, LIFECYCLE_OPTIONS, 'Resource#lifecycle');
+    options = options || {};
+
+    const responses = {};
+
+    responses.created = await this.create(sample);
+    checkBody(responses.created, sample, 'creating it');
+
+    responses.read = await this.read(responses.created);
+    checkBody(responses.read, sample, 'reading it');
+
+    const updated = _.extend({}, sample, changes);
+    if (options.patch) {
+      responses.updated = await this.patch(responses.created, changes);
+    } else {
+      responses.updated = await this.update(responses.created, updated);
+    }
+
+    responses.verified = await this.read(responses.created);
+    checkBody(responses.verified, updated, 'updating it');
+
+    responses.deleted = await this.destroy(responses.created, { expectedStatus: [ 200, 204 ] });
+    responses.gone = await this.read(responses.created, { expectedStatus: 404 });
+
+    return responses;
+  }
+}
+
+function isResponse(ref) {
+  return _.isObject(ref) && _.isFunction(ref.get) && _.isNumber(ref.status);
+}
+
+function getLocation(ref) {
+  return isResponse(ref) ? ref.get('Location') : undefined;
+}
+
+function checkBody(res, expected, step) {
+  if (!_.isMatch(res.body, expected)) {
+    throw new Error(`Expected HTTP response body ${JSON.stringify(res.body)} to include ${JSON.stringify(expected)} after ${step}`);
+  }
+}
+
+module.exports = Resource;
@@ -0,0 +1,14 @@
+const _ = require('lodash');
+
+/**
+ * Returns the body of a response: the parsed body if SuperAgent could parse it (e.g. JSON),
+ * otherwise its text.
+ *
+ * @param {Response} res - A SuperTest response.
+ *
+ * @returns {*} The body of the response.
+ */
+exports.getResponseBody = function(res) {
+  const parsed = !_.isEmpty(res.body) || !_.isString(res.text) || (res.type && res.type.match(/[/+]json$/));
+  return parsed ? res.body : res.text;
+};
@@ -0,0 +1,160 @@
+const _ = require('lodash');
+
+const { checkBody } = require('./checks');
+const { loadDataFile } = require('./load');
+
+const ALIASES = [ 'create', 'delete', 'destroy', 'patch', 'read', 'retrieve', 'update' ];
+const ALIASES_WITHOUT_BODY = [ 'read', 'retrieve' ];
+
+const EXPECTATIONS = {
+  contentType: 'expectedContentType',
+  headers: 'expectedHeaders',
+  location: 'expectedLocation',
+  schema: 'schema',
+  status: 'expectedStatus'
+};
+
+const STEP_PROPERTIES = [ 'as', 'body', 'capture', 'expect', 'headers', 'method', 'name', 'options', 'path', 'query' ];
+
+/**
+ * Runs a scenario: a list of requests described as data, whose responses can be captured into
+ * variables used by the following requests.
+ *
+ * @param {SuperRest} api - The SuperREST instance used to make the requests.
+ *
+ * @param {object[]|object|string} scenario - The scenario (see {@link SuperRest#runScenario}).
+ *
+ * @param {object} [options] - Scenario options (see {@link SuperRest#runScenario}).
+ *
+ * @returns {Promise<object>} The final `variables` and the `responses` of all steps.
+ */
+exports.runScenario = async function(api, scenario, options) {
+  options = options || {};
+
+  if (_.isString(scenario)) {
+    scenario = loadDataFile(scenario);
+  }
+
+  const steps = _.isArray(scenario) ? scenario : (scenario && scenario.steps);
+  if (!_.isArray(steps)) {
+    throw new Error('Scenario must be an array of steps or an object with a "steps" array');
+  }
+
+  const variables = _.extend({}, scenario.variables, options.variables);
+  const responses = [];
+
+  for (const [ index, step ] of steps.entries()) {
+
+    const description = `Scenario step ${index + 1}${step.name ? ` "${step.name}"` : ''}`;
+
+    try {
+      const res = await runStep(api, step, variables);
+      _.each(step.capture, (expression, name) => {
+        variables[name] = captureValue(res, expression, name);
+      });
+
+      responses.push(res);
+    } catch (err) {
+      err.message = `${description} failed: ${err.message}`;
+      throw err;
+    }
+  }
+
+  return { responses, variables };
+};
+
+async function runStep(api, step, variables) {
+
+  const unknown = _.difference(_.keys(step), STEP_PROPERTIES);
+  if (unknown.length) {
+    throw new Error(`unknown properties ${unknown.map(property => `"${property}"`).join(', ')}`);
+  } else if (!_.isString(step.path)) {
+    throw new Error('a step must have a "path" property');
+  }
+
+  const method = step.method || 'GET';
+  const path = interpolate(step.path, variables);
+  const body = interpolate(step.body, variables);
+  const expected = step.expect || {};
+
+  const unknownExpectations = _.difference(_.keys(expected), _.keys(EXPECTATIONS).concat([ 'body' ]));
+  if (unknownExpectations.length) {
+    throw new Error(`unknown expectations ${unknownExpectations.map(property => `"${property}"`).join(', ')}`);
+  }
+
+  const options = _.extend(interpolate(_.pick(step, 'as', 'headers', 'query'), variables), step.options);
+  _.each(EXPECTATIONS, (option, property) => {
+    if (_.has(expected, property)) {
+      options[option] = interpolate(expected[property], variables);
+    }
+  });
+
+  let res;
+  if (_.includes(ALIASES_WITHOUT_BODY, method)) {
+    res = await api[method](path, options);
+  } else if (_.includes(ALIASES, method)) {
+    res = await api[method](path, body, options);
+  } else {
+    res = await api.test(method, path, body, options);
+  }
+
+  const expectedBody = interpolate(expected.body, variables);
+  if (expectedBody !== undefined) {
+    checkBody(res, expectedBody);
+  }
+
+  return res;
+}
+
+function interpolate(value, variables) {
+  if (_.isString(value)) {
+
+    const exact = value.match(/^\{\{\s*([^{}\s]+)\s*\}\}$/);
+    if (exact) {
+      return getVariable(variables, exact[1]);
+    }
+
+    return value.replace(/\{\{\s*([^{}\s]+)\s*\}\}/g, (match, name) => {
+      const variable = getVariable(variables, name);
+      return _.isObject(variable) ? JSON.stringify(variable) : String(variable);
+    });
+  } else if (_.isArray(value)) {
+    return value.map(item => interpolate(item, variables));
+  } else if (_.isPlainObject(value)) {
+    return _.mapValues(value, item => interpolate(item, variables));
+  }
+
+  return value;
+}
+
+function getVariable(variables, name) {
+
+  const value = _.get(variables, name);
+  if (value === undefined) {
+    throw new Error(`unknown variable "${name}"`);
+  }
+
+  return value;
+}
+
+function captureValue(res, expression, name) {
+
+  const [ source, ...rest ] = String(expression).split('.');
+
+  let value;
+  if (source === 'status') {
+    value = res.status;
+  } else if (source === 'headers' && rest.length) {
+    value = res.get(rest.join('.'));
+  } else if (source === 'body') {
+    value = rest.length ? _.get(res.body, rest.join('.')) : res.body;
+  } else {
+    throw new Error(`unsupported capture expression "${expression}" for variable "${name}"; it must be "status", "headers.<name>" or "body[.<path>]"`);
+  }
+
+  if (value === undefined) {
+    throw new Error(`could not capture variable "${name}" from ${expression}`);
+  }
+
+  return value;
+}
@@ -0,0 +1,25 @@
+const Ajv = require('ajv');
+
+/**
+ * Creates an [Ajv](https://github.com/epoberezkin/ajv) instance configured to report all
+ * violations of a JSON schema with JSON pointers.
+ *
+ * @param {object} [options] - Additional Ajv options.
+ *
+ * @returns {Ajv} An Ajv instance.
+ */
+exports.createAjv = function(options) {
+  return new Ajv(Object.assign({ allErrors: true, jsonPointers: true }, options));
+};
+
+/**
+ * Formats the errors of an Ajv validation function as a bulleted list, each violation
+ * being prefixed with the JSON pointer of the invalid value.
+ *
+ * @param {object[]} errors - Ajv validation errors.
+ *
+ * @returns {string} A human-readable list of violations.
+ */
+exports.formatSchemaErrors = function(errors) {
+  return errors.map(error => `* #${error.dataPath} ${error.message}`).join('\n');
+};
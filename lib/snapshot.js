@@ -0,0 +1,180 @@
+const fs = require('fs');
+const _ = require('lodash');
+const path = require('path');
+
+const SuperRestAssertionError = require('./errors');
+const { getResponseBody } = require('./response');
+
+const DEFAULTS = {
+  headers: [ 'Content-Type' ],
+  redact: {}
+};
+
+/**
+ * Returns the complete snapshot options for the specified instance and test options.
+ *
+ * @param {object} [defaults] - The `snapshots` option given to the SuperREST constructor.
+ *
+ * @param {object} [options] - Snapshot options for a specific test.
+ *
+ * @returns {object} Snapshot options with the `dir`, `headers`, `redact` and `update` properties.
+ */
+exports.getSnapshotOptions = function(defaults, options) {
+
+  const result = _.defaults({}, _.omit(options, 'redact'), defaults, DEFAULTS);
+  result.redact = _.extend({}, DEFAULTS.redact, defaults && defaults.redact, options && options.redact);
+
+  if (result.update === undefined) {
+    result.update = isEnvEnabled('SUPERREST_UPDATE_SNAPSHOTS');
+  }
+
+  return result;
+};
+
+/**
+ * Normalizes a response for a snapshot: only its status code, the selected headers and its
+ * body are kept, and volatile values are redacted.
+ *
+ * @param {Response} res - A SuperTest response.
+ *
+ * @param {object} options - Snapshot options (see {@link getSnapshotOptions}).
+ *
+ * @returns {object} The normalized response.
+ */
+exports.normalizeResponse = function(res, options) {
+
+  const normalized = {
+    status: res.status,
+    headers: options.headers.reduce((memo, name) => {
+      const value = res.get(name);
+      if (value !== undefined) {
+        memo[name.toLowerCase()] = value;
+      }
+
+      return memo;
+    }, {}),
+    body: getResponseBody(res)
+  };
+
+  return _.reduce(options.redact, (memo, replacement, property) => exports.redactValue(memo, property, replacement), _.cloneDeep(normalized));
+};
+
+/**
+ * Redacts the values at the specified property path of an object, in place.
+ *
+ * @param {*} value - The object to redact values in.
+ *
+ * @param {string} property - A property path where `*` matches any property or array index
+ *   (e.g. `"body.*.createdAt"`).
+ *
+ * @param {boolean|string|RegExp|function} replacement - How to redact the values (see the
+ *   `redact` option of {@link SuperRest#matchSnapshot}).
+ *
+ * @returns {*} The redacted object.
+ */
+exports.redactValue = function(value, property, replacement) {
+  return redact(value, property.split('.'), replacement, property);
+};
+
+/**
+ * Compares a response to the named snapshot. The snapshot is created if it does not exist yet
+ * (unless the `CI` environment variable is set), or overwritten in update mode.
+ *
+ * @param {Response} res - A SuperTest response.
+ *
+ * @param {string} name - The name of the snapshot.
+ *
+ * @param {object} options - Snapshot options (see {@link getSnapshotOptions}).
+ *
+ * @param {object} [req] - The request (see the `req` argument of {@link SuperRest#expect}).
+ *
+ * @returns {object} The normalized response.
+ */
+exports.matchSnapshot = function(res, name, options, req) {
+  if (!_.isString(name) || !name.trim()) {
+    throw new Error(`Snapshot name must be a non-empty string, got ${JSON.stringify(name)}`);
+  } else if (!_.isString(options.dir) || !options.dir) {
+    throw new Error('Snapshots require a "dir" option (e.g. `path.join(__dirname, \'__snapshots__\')`)');
+  }
+
+  const actual = exports.normalizeResponse(res, options);
+  const file = path.resolve(options.dir, `${name.trim().replace(/[^a-z0-9_.-]+/gi, '-')}.json`);
+  const exists = fs.existsSync(file);
+
+  // A missing snapshot on CI most likely was not committed, and would never be compared.
+  if (!exists && !options.update && isEnvEnabled('CI')) {
+    throw new SuperRestAssertionError([ {
+      actual,
+      check: 'snapshot',
+      message: `Expected snapshot "${name}" (${file}) to exist; it is not created when the CI environment variable is set, unless SUPERREST_UPDATE_SNAPSHOTS=1 is set`
+    } ], req, res);
+  }
+
+  if (options.update || !exists) {
+    mkdirp(path.dirname(file));
+    fs.writeFileSync(file, `${JSON.stringify(actual, undefined, 2)}\n`, 'utf8');
+    return actual;
+  }
+
+  const expected = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!_.isEqual(actual, expected)) {
+    throw new SuperRestAssertionError([ {
+      actual,
+      check: 'snapshot',
+      expected,
+      message: `Expected HTTP response to match snapshot "${name}" (${file}); set SUPERREST_UPDATE_SNAPSHOTS=1 to update it`
+    } ], req, res);
+  }
+
+  return actual;
+};
+
+function isEnvEnabled(name) {
+  const value = process.env[name];
+  return !!value && value !== '0' && value !== 'false';
+}
+
+function redact(value, segments, replacement, property) {
+  if (!segments.length) {
+    return getReplacement(value, replacement, property);
+  } else if (!_.isObject(value)) {
+    return value;
+  }
+
+  const segment = segments[0];
+  const keys = segment === '*' ? _.keys(value) : (_.has(value, segment) ? [ segment ] : []);
+  keys.forEach(key => {
+    value[key] = redact(value[key], segments.slice(1), replacement, property);
+  });
+
+  return value;
+}
+
+function getReplacement(value, replacement, property) {
+  if (replacement === true) {
+    return '[redacted]';
+  } else if (_.isString(replacement)) {
+    return replacement;
+  } else if (_.isRegExp(replacement)) {
+    if (!_.isString(value) || !value.match(replacement)) {
+      throw new Error(`Expected ${JSON.stringify(value)} at ${property} to match ${replacement}`);
+    }
+
+    return `[matches ${replacement}]`;
+  } else if (_.isFunction(replacement)) {
+    if (!replacement(value)) {
+      throw new Error(`Expected ${JSON.stringify(value)} at ${property} to satisfy the ${replacement.name || 'redaction'} function`);
+    }
+
+    return `[satisfies ${replacement.name || 'function'}]`;
+  }
+
+  throw new Error(`Unsupported redaction ${JSON.stringify(replacement)} for ${property}; it must be true, a string, a RegExp or a function`);
+}
+
+function mkdirp(dir) {
+  if (!fs.existsSync(dir)) {
+    mkdirp(path.dirname(dir));
+    fs.mkdirSync(dir);
+  }
+}
@@ -0,0 +1,189 @@
+/* istanbul ignore file */
+const assert = require('assert');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const express = require('express');
+
+const SuperRest = require('../index');
+
+chai.use(chaiAsPromised);
+
+const expect = chai.expect;
+
+describe('Assertion adapters', () => {
+
+  let api;
+  beforeEach(() => {
+
+    const app = express();
+    app.get('/users/1', (req, res) => res.set('ETag', '"v1"').send({ id: 1, name: 'John Doe', role: 'admin' }));
+    app.get('/users/2', (req, res) => res.status(404).send({ message: 'Not found' }));
+    app.get('/users/3', (req, res) => res.status(410).type('text').send('Gone'));
+
+    api = new SuperRest(app, {
+      expectedContentType: /^application\/json/,
+      schemas: {
+        user: { type: 'object', required: [ 'id', 'name' ] }
+      }
+    });
+  });
+
+  describe('chai', () => {
+
+    before(() => chai.should());
+    beforeEach(() => chai.use(api.chaiPlugin()));
+
+    it('should make assertions on responses', async () => {
+      const res = await api.read('/users/1');
+
+      expect(res).to.have.status(200);
+      expect(res).to.have.status('2xx');
+      expect(res).to.have.header('ETag');
+      expect(res).to.have.header('ETag', '"v1"');
+      expect(res).to.have.contentType(/^application\/json/);
+      expect(res).to.matchSchema({ type: 'object', required: [ 'id' ] });
+      expect(res).to.matchResource({ name: 'John Doe' });
+      expect(res).to.respondWithin(5000);
+    });
+
+    it('should support negated assertions', async () => {
+      const res = await api.read('/users/1');
+
+      expect(res).not.to.have.status(404);
+      expect(res).not.to.have.header('Location');
+      expect(res).not.to.matchResource({ name: 'Jane Doe' });
+      expect(() => expect(res).not.to.have.status('2xx')).to.throw(chai.AssertionError, 'Expected HTTP status code 200 not to match "2xx"');
+      expect(() => expect(res).not.to.have.header('ETag')).to.throw(chai.AssertionError, 'Expected HTTP ETag header ""v1"" to be absent');
+    });
+
+    it('should fail with the messages of SuperREST', async () => {
+      const res = await api.read('/users/1');
+
+      expect(() => expect(res).to.have.status(201)).to.throw(chai.AssertionError, 'Expected HTTP status code 200 to equal 201').with.property('expected', 201);
+      expect(() => expect(res).to.have.header('Location')).to.throw(chai.AssertionError, 'Expected HTTP Location header to be present');
+      expect(() => expect(res).to.matchResource({ name: 'Jane Doe' })).to.throw(chai.AssertionError, 'Expected HTTP response body {"id":1,"name":"John Doe","role":"admin"} to include {"name":"Jane Doe"}');
+      expect(() => expect(res).to.matchSchema({ type: 'object', required: [ 'email' ] })).to.throw(chai.AssertionError, /^Expected HTTP response body to match the JSON schema:\n\* # should have required property 'email'$/);
+      expect(() => expect(res).to.respondWithin(-1)).to.throw(chai.AssertionError, 'Unsupported maximum duration -1');
+    });
+
+    it('should make assertions on tests that have not been awaited yet', async () => {
+      const res = await api.read('/users/1').should.have.status(200);
+      expect(res.body.id).to.equal(1);
+
+      await expect(api.read('/users/1')).not.to.have.header('Location');
+      await expect(api.read('/users/1').should.have.header('Location')).to.be.rejectedWith(chai.AssertionError, 'Expected HTTP Location header to be present');
+      await expect(api.read('/users/2', { expectedStatus: false }).should.not.have.status('4xx')).to.be.rejectedWith(chai.AssertionError, 'Expected HTTP status code 404 not to match "4xx"');
+    });
+
+    it('should not apply the default expectations to tests that have not been awaited yet', async () => {
+      const res = await api.read('/users/2').should.have.status(404);
+      expect(res.body).to.eql({ message: 'Not found' });
+
+      await api.read('/users/3').should.have.status('4xx');
+      await expect(api.read('/users/3')).to.have.contentType(/^text\/plain/);
+      await expect(api.read('/users/2', { expectedHeaders: { 'X-Request-Id': true } }).should.have.status(404)).to.be.rejectedWith(SuperRest.SuperRestAssertionError, /^Expected HTTP X-Request-Id header to be present\n/);
+      await expect(api.read('/users/3', { expectedStatus: 200 }).should.have.status(410)).to.be.rejectedWith(SuperRest.SuperRestAssertionError, /^Expected HTTP status code 410 to equal 200\n/);
+    });
+
+    it('should not apply the default expectations to polling tests', async () => {
+      const res = await api.read('/users/2', { eventually: { interval: 10, timeout: 100 } }).should.have.status(404);
+      expect(res.body).to.eql({ message: 'Not found' });
+    });
+
+    it('should use the named schemas of the instance that created the plugin', async () => {
+      expect(await api.read('/users/1')).to.matchSchema('user');
+      await expect(api.read('/users/2', { expectedStatus: 404 }).should.matchSchema('user')).to.be.rejectedWith(chai.AssertionError, /should have required property 'id'/);
+    });
+
+    it('should fail if the subject is not a response', () => {
+      expect(() => expect({ status: 'ok' }).to.have.status(200)).to.throw('Expected a SuperTest response, got an object without a status code');
+      expect(() => expect(42).to.have.status(200)).to.throw('Expected a SuperTest response, got 42');
+    });
+  });
+
+  describe('jest', () => {
+
+    let matchers;
+    beforeEach(() => {
+      matchers = api.jestMatchers();
+    });
+
+    it('should provide matchers for responses', () => {
+      expect(matchers).to.have.all.keys('toHaveContentType', 'toHaveHeader', 'toHaveStatus', 'toMatchResource', 'toMatchSchema', 'toRespondWithin');
+    });
+
+    it('should return the result of assertions', async () => {
+      const res = await api.read('/users/1');
+
+      expect(matchers.toHaveStatus.call({ isNot: false }, res, 200)).to.include({ pass: true, actual: 200, expected: 200 });
+      expect(matchers.toHaveHeader.call({ isNot: false }, res, 'ETag', /^"v\d+"$/)).to.include({ pass: true, actual: '"v1"', expected: '/^"v\\d+"$/' });
+      expect(matchers.toMatchSchema.call({ isNot: false }, res, 'user')).to.include({ pass: true });
+      expect(matchers.toMatchResource.call({ isNot: false }, res, { role: 'admin' })).to.include({ pass: true });
+
+      const result = matchers.toHaveStatus.call({ isNot: false }, res, [ 201, 204 ]);
+      expect(result).to.include({ pass: false, actual: 200 });
+      expect(result.expected).to.eql([ 201, 204 ]);
+      expect(result.message()).to.equal('Expected HTTP status code 200 to be one of 201, 204');
+    });
+
+    it('should describe failures of negated matchers', async () => {
+      const res = await api.read('/users/1');
+
+      const result = matchers.toHaveContentType.call({ isNot: true }, res, [ /json/, 'text/plain' ]);
+      expect(result.pass).to.equal(true);
+      expect(result.message()).to.equal('Expected HTTP Content-Type header "application/json; charset=utf-8" not to match any of /json/, "text/plain"');
+    });
+
+    it('should resolve tests that have not been awaited yet', async () => {
+      const result = await matchers.toMatchResource.call({ isNot: false }, api.read('/users/1'), { name: 'Jane Doe' });
+      expect(result.pass).to.equal(false);
+      expect(result.message()).to.equal('Expected HTTP response body {"id":1,"name":"John Doe","role":"admin"} to include {"name":"Jane Doe"}');
+
+      expect(await matchers.toHaveStatus.call({ isNot: false }, api.read('/users/3'), 410)).to.include({ pass: true, actual: 410 });
+      expect(await matchers.toHaveStatus.call({ isNot: false }, api.read('/users/3', { eventually: { interval: 10, timeout: 100 } }), 410)).to.include({ pass: true, actual: 410 });
+    });
+  });
+
+  describe('assert', () => {
+
+    let assertions;
+    beforeEach(() => {
+      assertions = api.assertions();
+    });
+
+    it('should make assertions on responses', async () => {
+      const res = await assertions.status(api.read('/users/1'), 200);
+
+      assertions.header(res, 'ETag', '"v1"');
+      assertions.contentType(res, /json/);
+      assertions.matchSchema(res, 'user');
+      assertions.matchResource(res, { id: 1 });
+      assertions.respondWithin(res, 5000);
+    });
+
+    it('should throw assertion errors', async () => {
+      const res = await api.read('/users/1');
+
+      expect(() => assertions.status(res, 204)).to.throw(assert.AssertionError, 'Expected HTTP status code 200 to equal 204').that.includes({ actual: 200, expected: 204, operator: 'status' });
+      await expect(assertions.header(api.read('/users/1'), 'Location', /^\/users/)).to.be.rejectedWith(assert.AssertionError, 'Expected missing HTTP Location header to match /^\\/users/');
+    });
+
+    it('should not apply the default expectations to tests that have not been awaited yet', async () => {
+      const res = await assertions.status(api.read('/users/2'), 404);
+      assertions.matchResource(res, { message: 'Not found' });
+      await expect(api.read('/users/2')).to.be.rejectedWith(SuperRest.SuperRestAssertionError, /^Expected HTTP status code 404 to equal 200\n/);
+    });
+
+    it('should not apply the default expectations to polling tests', async () => {
+      const res = await assertions.status(api.read('/users/2', { eventually: { interval: 10, timeout: 100 } }), 404);
+      assertions.matchResource(res, { message: 'Not found' });
+      await expect(api.read('/users/2', { eventually: { interval: 10, timeout: 100 } })).to.be.rejectedWith(SuperRest.SuperRestAssertionError, /Expected HTTP status code 404 to equal 200\n/);
+    });
+
+    it('should not check the response time of responses received without SuperREST', async () => {
+      const res = await api.read('/users/1');
+      delete res.duration;
+      expect(() => assertions.respondWithin(res, 1000)).to.throw('Cannot check the response time of a response that was not received through SuperREST');
+    });
+  });
+});
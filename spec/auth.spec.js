@@ -0,0 +1,179 @@
+/* istanbul ignore file */
+const bodyParser = require('body-parser');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const express = require('express');
+const { spy } = require('sinon');
+
+const SuperRest = require('../index');
+
+chai.use(chaiAsPromised);
+
+const expect = chai.expect;
+
+describe('authentication', () => {
+
+  let app;
+  beforeEach(() => {
+    app = express();
+    app.use(bodyParser.json());
+
+    app.post('/auth', (req, res) => {
+      if (req.get('Authorization')) {
+        return res.sendStatus(400);
+      } else if (req.body.password !== 'secret') {
+        return res.sendStatus(401);
+      }
+
+      res.set('Set-Cookie', [ 'session=abc; Path=/; HttpOnly', 'theme=dark' ]);
+      res.status(201).send({ token: `${req.body.username}-token` });
+    });
+
+    app.get('/whoami', (req, res) => res.send({
+      authorization: req.get('Authorization'),
+      apiKey: req.get('X-API-Key'),
+      cookie: req.get('Cookie')
+    }));
+
+    app.delete('/admin', (req, res) => {
+      const authorization = req.get('Authorization');
+      if (!authorization) {
+        res.sendStatus(401);
+      } else if (authorization !== 'Bearer admin-token') {
+        res.sendStatus(403);
+      } else {
+        res.sendStatus(204);
+      }
+    });
+  });
+
+  function whoami(helper, options) {
+    return helper.read('/whoami', options).then(res => res.body);
+  }
+
+  it('should make anonymous requests by default', async () => {
+    const helper = new SuperRest(app, { authProfiles: { admin: { bearer: 'admin-token' } } });
+    expect(await whoami(helper)).to.eql({});
+  });
+
+  it('should authenticate with a bearer token', async () => {
+    const helper = new SuperRest(app, { authProfiles: { admin: { bearer: 'admin-token' } } });
+    expect(await whoami(helper, { as: 'admin' })).to.eql({ authorization: 'Bearer admin-token' });
+  });
+
+  it('should authenticate with basic credentials', async () => {
+    const helper = new SuperRest(app, { authProfiles: { user: { basic: { username: 'jdoe', password: 'secret' } } } });
+    expect(await whoami(helper, { as: 'user' })).to.eql({ authorization: `Basic ${Buffer.from('jdoe:secret').toString('base64')}` });
+  });
+
+  it('should authenticate with an API key', async () => {
+    const helper = new SuperRest(app, {
+      authProfiles: {
+        service: { apiKey: 'key' },
+        custom: { apiKey: 'other-key', header: 'Authorization' }
+      }
+    });
+
+    expect(await whoami(helper, { as: 'service' })).to.eql({ apiKey: 'key' });
+    expect(await whoami(helper, { as: 'custom' })).to.eql({ authorization: 'other-key' });
+  });
+
+  it('should authenticate with arbitrary headers or an inline profile', async () => {
+    const helper = new SuperRest(app, { authProfiles: { custom: { headers: { 'X-API-Key': 'key', Authorization: 'Token foo' } } } });
+    expect(await whoami(helper, { as: 'custom' })).to.eql({ authorization: 'Token foo', apiKey: 'key' });
+    expect(await whoami(helper, { auth: { bearer: 'inline' } })).to.eql({ authorization: 'Bearer inline' });
+  });
+
+  it('should authenticate with the default profile unless disabled', async () => {
+    const helper = new SuperRest(app, {
+      authProfiles: {
+        admin: { bearer: 'admin-token' },
+        user: { bearer: 'user-token' }
+      },
+      defaultAuth: 'user'
+    });
+
+    expect(await whoami(helper)).to.eql({ authorization: 'Bearer user-token' });
+    expect(await whoami(helper, { as: 'admin' })).to.eql({ authorization: 'Bearer admin-token' });
+    expect(await whoami(helper, { auth: false })).to.eql({});
+  });
+
+  it('should log in lazily and cache the token', async () => {
+    const login = spy(api => api.create('/auth', { username: 'jdoe', password: 'secret' }, { auth: false }).then(res => res.body.token));
+    const helper = new SuperRest(app, { authProfiles: { user: { login } }, defaultAuth: 'user' });
+    expect(login.called).to.equal(false);
+
+    const [ first, second ] = await Promise.all([ whoami(helper), whoami(helper) ]);
+    expect(first).to.eql({ authorization: 'Bearer jdoe-token' });
+    expect(second).to.eql({ authorization: 'Bearer jdoe-token' });
+    expect(await whoami(helper)).to.eql({ authorization: 'Bearer jdoe-token' });
+    expect(login.args).to.eql([ [ helper ] ]);
+
+    helper.clearAuth('user');
+    await whoami(helper);
+    helper.clearAuth();
+    await whoami(helper);
+    expect(login.callCount).to.equal(3);
+  });
+
+  it('should log in with a cookie or headers', async () => {
+    const helper = new SuperRest(app, {
+      authProfiles: {
+        session: { login: api => api.create('/auth', { password: 'secret' }).then(res => ({ cookie: res.get('Set-Cookie') })) },
+        object: { login: () => ({ token: 'foo' }) },
+        headers: { login: () => Promise.resolve({ headers: { 'X-API-Key': 'key' } }) }
+      }
+    });
+
+    expect(await whoami(helper, { as: 'session' })).to.eql({ cookie: 'session=abc; theme=dark' });
+    expect(await whoami(helper, { as: 'object' })).to.eql({ authorization: 'Bearer foo' });
+    expect(await whoami(helper, { as: 'headers' })).to.eql({ apiKey: 'key' });
+  });
+
+  it('should fail and retry later if the login fails', async () => {
+    let password = 'wrong';
+    const helper = new SuperRest(app, { authProfiles: { user: { login: api => api.create('/auth', { username: 'jdoe', password }).then(res => res.body.token) } } });
+    await expect(whoami(helper, { as: 'user' })).to.be.rejectedWith('Expected HTTP status code 401 to equal 201');
+
+    password = 'secret';
+    expect(await whoami(helper, { as: 'user' })).to.eql({ authorization: 'Bearer jdoe-token' });
+  });
+
+  it('should fail if the login function returns invalid credentials', async () => {
+    const helper = new SuperRest(app, { authProfiles: { user: { login: () => 42 } } });
+    await expect(whoami(helper, { as: 'user' })).to.be.rejectedWith('Authentication login function must return a token, or an object with a "token", "cookie" or "headers" property (got 42)');
+  });
+
+  it('should fail with an unknown or invalid profile', () => {
+    const helper = new SuperRest(app, { authProfiles: { invalid: { header: 'X-Token' } } });
+    expect(() => helper.read('/whoami', { as: 'unknown' })).to.throw('Unknown authentication profile "unknown"');
+    expect(() => helper.read('/whoami', { as: 'invalid' })).to.throw('Authentication profile {"header":"X-Token"} must have a "bearer", "basic", "apiKey", "headers" or "login" property');
+    expect(() => new SuperRest(app, { authProfiles: { invalid: { password: 'secret' } } })).to.throw('Unknown option "password" given to the "authProfiles.invalid" option');
+  });
+
+  describe('expectAuthRequired', () => {
+    it('should assert that a route rejects anonymous and forbidden requests', async () => {
+      const helper = new SuperRest(app, {
+        authProfiles: {
+          admin: { bearer: 'admin-token' },
+          user: { bearer: 'user-token' },
+          guest: { bearer: 'guest-token' }
+        },
+        defaultAuth: 'admin'
+      });
+
+      const responses = await helper.expectAuthRequired('DELETE', '/admin', { forbidden: [ 'user', 'guest' ] });
+      expect(responses.map(res => res.status)).to.eql([ 401, 403, 403 ]);
+    });
+
+    it('should fail if a route does not require authentication', async () => {
+      const helper = new SuperRest(app);
+      await expect(helper.expectAuthRequired('GET', '/whoami')).to.be.rejectedWith('Expected HTTP status code 200 to equal 401');
+    });
+
+    it('should fail if a route allows a forbidden profile', async () => {
+      const helper = new SuperRest(app, { authProfiles: { admin: { bearer: 'admin-token' } } });
+      await expect(helper.expectAuthRequired('DELETE', '/admin', { forbidden: [ 'admin' ] })).to.be.rejectedWith('Expected HTTP status code 204 to equal 403');
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/* istanbul ignore file */
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const express = require('express');
+
+const SuperRest = require('../index');
+
+chai.use(chaiAsPromised);
+
+const expect = chai.expect;
+
+describe('Performance', () => {
+
+  let app;
+  let count;
+  let inProgress;
+  let maxInProgress;
+  beforeEach(() => {
+    count = 0;
+    inProgress = 0;
+    maxInProgress = 0;
+
+    app = express();
+
+    app.get('/fast', (req, res) => res.send({ ok: true }));
+    app.get('/slow', (req, res) => setTimeout(() => res.send({ ok: true }), 50));
+
+    app.get('/flaky', (req, res) => {
+      count++;
+      inProgress++;
+      maxInProgress = Math.max(maxInProgress, inProgress);
+
+      const status = count % 4 === 0 ? 500 : 200;
+      setTimeout(() => {
+        inProgress--;
+        res.status(status).send({ ok: status === 200 });
+      }, 5);
+    });
+  });
+
+  describe('maxDuration', () => {
+    it('should measure the duration of responses', async () => {
+      const res = await new SuperRest(app).read('/slow');
+      expect(res.duration).to.be.within(40, 5000);
+    });
+
+    it('should fail when a response exceeds the maximum duration', async () => {
+      const helper = new SuperRest(app, { maxDuration: 10 });
+      const err = await expect(helper.read('/slow')).to.be.rejectedWith(SuperRest.SuperRestAssertionError, /^Expected response time \d+ms to be at most 10ms\n/);
+      expect(err.expected).to.equal(10);
+      expect(err.actual).to.be.at.least(40);
+    });
+
+    it('should pass when responses are fast enough', async () => {
+      const helper = new SuperRest(app, { maxDuration: 10 });
+      await helper.read('/slow', { maxDuration: 5000 });
+      await helper.read('/slow', { maxDuration: false });
+    });
+
+    it('should fail with an invalid maximum duration', async () => {
+      await expect(new SuperRest(app).read('/fast', { maxDuration: -1 })).to.be.rejectedWith(/^Unsupported maximum duration -1; it must be a positive number of milliseconds or false\n/);
+    });
+  });
+
+  describe('bench', () => {
+    it('should report latency percentiles', async () => {
+      const report = await new SuperRest(app).bench('GET', '/slow', { requests: 4, concurrency: 2 });
+
+      expect(report).to.include({ requests: 4, concurrency: 2, failed: 0, errorRate: 0 });
+      expect(report.errors).to.eql([]);
+      expect(report.duration).to.be.within(90, 5000);
+      expect(report.throughput).to.be.above(0);
+      expect(report.latency).to.have.all.keys('min', 'max', 'mean', 'p50', 'p95', 'p99');
+      expect(report.latency.min).to.be.at.least(40);
+      expect(report.latency.min).to.be.at.most(report.latency.p50);
+      expect(report.latency.p50).to.be.at.most(report.latency.p95);
+      expect(report.latency.p95).to.be.at.most(report.latency.p99);
+      expect(report.latency.p99).to.equal(report.latency.max);
+    });
+
+    it('should report the error rate', async () => {
+      const report = await new SuperRest(app).bench('GET', '/flaky', { requests: 12, concurrency: 3, expectedContentType: /^application\/json/ });
+
+      expect(count).to.equal(12);
+      expect(maxInProgress).to.equal(3);
+      expect(report).to.include({ requests: 12, failed: 3, errorRate: 0.25 });
+      expect(report.errors).to.eql([ { count: 3, message: 'Expected HTTP status code 500 to equal 200' } ]);
+    });
+
+    it('should fail with invalid options', async () => {
+      const helper = new SuperRest(app);
+      await expect(helper.bench('GET', '/fast', { requests: 0 })).to.be.rejectedWith('Benchmark "requests" option must be a positive integer, got 0');
+      await expect(helper.bench('GET', '/fast', { concurrency: 1.5 })).to.be.rejectedWith('Benchmark "concurrency" option must be a positive integer, got 1.5');
+    });
+  });
+});
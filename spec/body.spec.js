@@ -0,0 +1,164 @@
+/* istanbul ignore file */
+const bodyParser = require('body-parser');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SuperRest = require('../index');
+
+chai.use(chaiAsPromised);
+
+const expect = chai.expect;
+
+describe('Body formats', () => {
+
+  let app;
+  let received;
+  beforeEach(() => {
+    received = undefined;
+
+    app = express();
+    app.use(bodyParser.json({ strict: false }));
+    app.use(bodyParser.urlencoded({ extended: false }));
+    app.use(bodyParser.text({ type: [ 'text/*', 'application/xml', 'multipart/form-data' ] }));
+    app.use(bodyParser.raw({ type: 'application/octet-stream' }));
+
+    app.post('/echo', (req, res) => {
+      received = { body: req.body, contentType: req.get('Content-Type') };
+      res.send({ ok: true });
+    });
+
+    app.get('/xml', (req, res) => res.type('application/atom+xml').send('<feed><title>News</title></feed>'));
+    app.get('/csv', (req, res) => res.type('text/csv').send('id,name\n1,John Doe'));
+  });
+
+  describe('request bodies', () => {
+    [ 0, false, '' ].forEach(body => {
+      it(`should send a falsy ${JSON.stringify(body)} body`, async () => {
+        await new SuperRest(app).create('/echo', body, { expectedStatus: 200, bodyType: 'json' });
+        expect(received.contentType).to.match(/^application\/json/);
+        expect(received.body).to.equal(body);
+      });
+    });
+
+    it('should send numbers and booleans as JSON by default', async () => {
+      await new SuperRest(app).create('/echo', 0, { expectedStatus: 200 });
+      expect(received.contentType).to.match(/^application\/json/);
+      expect(received.body).to.equal(0);
+    });
+
+    it('should not send a body when it is undefined or null', async () => {
+      await new SuperRest(app).create('/echo', undefined, { expectedStatus: 200 });
+      expect(received.contentType).to.equal(undefined);
+
+      await new SuperRest(app).create('/echo', null, { expectedStatus: 200, bodyType: 'json' });
+      expect(received.contentType).to.equal(undefined);
+    });
+
+    it('should send form data', async () => {
+      await new SuperRest(app).create('/echo', { name: 'John Doe', tags: [ 'a', 'b' ] }, { expectedStatus: 200, bodyType: 'form' });
+      expect(received.contentType).to.equal('application/x-www-form-urlencoded');
+      expect(received.body).to.eql({ name: 'John Doe', tags: [ 'a', 'b' ] });
+    });
+
+    it('should send multipart form data with files', async () => {
+
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'superrest-'));
+      const file = path.join(dir, 'notes.txt');
+      fs.writeFileSync(file, 'Some notes', 'utf8');
+
+      try {
+        await new SuperRest(app).create('/echo', {
+          name: 'John Doe',
+          avatar: { buffer: Buffer.from('fake image'), filename: 'avatar.png', contentType: 'image/png' },
+          notes: { file },
+          data: Buffer.from('raw data')
+        }, { expectedStatus: 200, bodyType: 'multipart' });
+      } finally {
+        fs.unlinkSync(file);
+        fs.rmdirSync(dir);
+      }
+
+      expect(received.contentType).to.match(/^multipart\/form-data; boundary=/);
+      expect(received.body).to.match(/Content-Disposition: form-data; name="name"\r\n\r\nJohn Doe\r\n/);
+      expect(received.body).to.match(/Content-Disposition: form-data; name="avatar"; filename="avatar.png"\r\nContent-Type: image\/png\r\n\r\nfake image\r\n/);
+      expect(received.body).to.match(/Content-Disposition: form-data; name="notes"; filename="notes.txt"\r\nContent-Type: text\/plain\r\n\r\nSome notes\r\n/);
+      expect(received.body).to.match(/Content-Disposition: form-data; name="data"; filename="data"\r\n/);
+    });
+
+    it('should send text and XML', async () => {
+      const helper = new SuperRest(app);
+
+      await helper.create('/echo', 'Hello', { expectedStatus: 200, bodyType: 'text' });
+      expect(received).to.eql({ body: 'Hello', contentType: 'text/plain' });
+
+      await helper.create('/echo', '<user><name>John Doe</name></user>', { expectedStatus: 200, bodyType: 'xml' });
+      expect(received).to.eql({ body: '<user><name>John Doe</name></user>', contentType: 'application/xml' });
+    });
+
+    it('should send raw buffers', async () => {
+      await new SuperRest(app).create('/echo', Buffer.from([ 1, 2, 3 ]), { expectedStatus: 200 });
+      expect(received.contentType).to.equal('application/octet-stream');
+      expect(received.body).to.eql(Buffer.from([ 1, 2, 3 ]));
+    });
+
+    it('should use the default body type given to the constructor', async () => {
+      await new SuperRest(app, { bodyType: 'form' }).create('/echo', { name: 'John Doe' }, { expectedStatus: 200 });
+      expect(received.contentType).to.equal('application/x-www-form-urlencoded');
+    });
+
+    it('should not override the Content-Type header', async () => {
+      await new SuperRest(app).create('/echo', 'Hello', { expectedStatus: 200, bodyType: 'text', headers: { 'Content-Type': 'text/markdown' } });
+      expect(received).to.eql({ body: 'Hello', contentType: 'text/markdown' });
+    });
+
+    it('should fail with an unsupported body type', () => {
+      expect(() => new SuperRest(app).create('/echo', {}, { bodyType: 'yaml' })).to.throw('Option "bodyType" given to SuperRest#create must be one of "json", "form", "multipart", "text", "xml", "raw", got "yaml"');
+    });
+
+    it('should fail with a body that does not match its type', () => {
+      const helper = new SuperRest(app);
+      expect(() => helper.create('/echo', 'foo', { bodyType: 'multipart' })).to.throw('Multipart request body must be an object, got "foo"');
+      expect(() => helper.create('/echo', 42, { bodyType: 'xml' })).to.throw('XML request body must be a string, got 42');
+      expect(() => helper.create('/echo', {}, { bodyType: 'raw' })).to.throw('Raw request body must be a Buffer or a string, got {}');
+    });
+  });
+
+  describe('response parsers', () => {
+
+    const parseFeed = text => ({ title: text.match(/<title>(.*)<\/title>/)[1] });
+
+    it('should parse responses with a custom parser', async () => {
+      const helper = new SuperRest(app, { parsers: { 'application/*+xml': parseFeed } });
+      const res = await helper.read('/xml', {
+        expectedContentType: /^application\/atom\+xml/,
+        schema: { type: 'object', properties: { title: { const: 'News' } }, required: [ 'title' ] }
+      });
+
+      expect(res.body).to.eql({ title: 'News' });
+    });
+
+    it('should pass the response to parsers', async () => {
+      const parser = (text, res) => ({ rows: text.split('\n').length, type: res.type });
+      const res = await new SuperRest(app, { parsers: { 'text/csv': parser } }).read('/csv', { expectedContentType: /^text\/csv/ });
+      expect(res.body).to.eql({ rows: 2, type: 'text/csv' });
+    });
+
+    it('should not parse other media types', async () => {
+      const res = await new SuperRest(app, { parsers: { 'text/csv': () => 'parsed' } }).read('/xml', { expectedContentType: /^application\/atom\+xml/ });
+      expect(res.body).to.eql({});
+      expect(res.text).to.equal('<feed><title>News</title></feed>');
+    });
+
+    it('should report parsing errors', async () => {
+      const parser = () => {
+        throw new Error('Unexpected token');
+      };
+
+      await expect(new SuperRest(app, { parsers: { 'text/csv': parser } }).read('/csv')).to.be.rejectedWith('Could not parse the text/csv response body: Unexpected token');
+    });
+  });
+});
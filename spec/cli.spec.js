@@ -0,0 +1,118 @@
+/* istanbul ignore file */
+const bodyParser = require('body-parser');
+const chai = require('chai');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spy } = require('sinon');
+
+const SuperRest = require('../index');
+const { run } = require('../lib/cli');
+
+const expect = chai.expect;
+
+describe('base URL and command-line interface', () => {
+
+  let baseUrl;
+  let server;
+  before(done => {
+
+    const app = express();
+    app.use(bodyParser.json());
+
+    app.post('/api/login', (req, res) => res.set('X-Token', `token-${req.body.username}`).send({}));
+
+    app.use('/api/users', (req, res, next) => req.get('Authorization') === 'Bearer token-jdoe' ? next() : res.sendStatus(401));
+    app.post('/api/users', (req, res) => res.status(201).set('Location', '/api/users/1').send({ id: 1, name: req.body.name }));
+    app.get('/api/users/1', (req, res) => res.send({ id: 1, name: 'John Doe' }));
+    app.get('/api/users/:id', (req, res) => res.status(404).send({ message: 'Not found' }));
+
+    server = app.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after(done => {
+    server.close(done);
+  });
+
+  const fixtures = path.join(__dirname, 'fixtures');
+
+  function runCli(...args) {
+    const stdout = spy();
+    const stderr = spy();
+    return run(args, { cwd: fixtures, stdout, stderr }).then(code => ({
+      code,
+      stderr: stderr.args.map(args => args[0]).join('\n'),
+      stdout: stdout.args.map(args => args[0]).join('\n')
+    }));
+  }
+
+  describe('base URL', () => {
+    it('should test a running API', async () => {
+      const helper = new SuperRest(`${baseUrl}/`, { pathPrefix: '/api', headers: { Authorization: 'Bearer token-jdoe' } });
+      const res = await helper.read('/users/1');
+      expect(res.body).to.eql({ id: 1, name: 'John Doe' });
+    });
+
+    it('should fail with a relative base URL', () => {
+      expect(() => new SuperRest('localhost:3000')).to.throw('Base URL "localhost:3000" must be an absolute HTTP or HTTPS URL');
+    });
+
+    it('should fail with a base URL that has a path', () => {
+      expect(() => new SuperRest(`${baseUrl}/api/`)).to.throw(`Base URL "${baseUrl}/api/" must not have a path; use the "pathPrefix" option instead (e.g. new SuperRest("${baseUrl}", { pathPrefix: "/api" }))`);
+      expect(() => new SuperRest(`${baseUrl}?tenant=acme`)).to.throw(`Base URL "${baseUrl}?tenant=acme" must not have a path`);
+    });
+  });
+
+  describe('superrest', () => {
+    it('should run scenarios and print TAP results', async () => {
+      const result = await runCli('scenario.yml', '--base-url', baseUrl, '-c', 'superrest.config.yml');
+      expect(result).to.eql({ code: 0, stderr: '', stdout: 'TAP version 13\n1..1\nok 1 - scenario.yml\n# pass 1\n# fail 0' });
+    });
+
+    it('should run the scenarios of the configuration file and report failures', async () => {
+      const result = await runCli(`--base-url=${baseUrl}`, '--config', 'superrest.config.yml');
+      expect(result.code).to.equal(1);
+      expect(result.stdout).to.match(/^TAP version 13\n1\.\.2\nok 1 - scenario\.yml\nnot ok 2 - Failing scenario\n  ---\n  file: "failing-scenario\.yml"\n  message: \|\n    Scenario step 1 "read a missing user" failed: Expected HTTP status code 404 to equal 200\n    \n    Request: GET \/api\/users\/42\n/);
+      expect(result.stdout).to.match(/\n  \.\.\.\n# pass 1\n# fail 1$/);
+    });
+
+    it('should write JUnit XML results to a file', async () => {
+
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'superrest-'));
+      const output = path.join(dir, 'results.xml');
+
+      try {
+        const result = await runCli('-u', baseUrl, '-c', 'superrest.config.yml', '-r', 'junit', '-o', output, 'failing-scenario.yml', 'missing.yml');
+        expect(result).to.eql({ code: 1, stderr: '', stdout: '' });
+
+        const xml = fs.readFileSync(output, 'utf8');
+        expect(xml).to.match(/^<\?xml version="1\.0" encoding="UTF-8"\?>\n<testsuite name="superrest" tests="2" failures="2" errors="0" time="\d+\.\d{3}">\n/);
+        expect(xml).to.match(/\n {2}<testcase classname="failing-scenario\.yml" name="Failing scenario" time="\d+\.\d{3}">\n {4}<failure message="Scenario step 1 &quot;read a missing user&quot; failed: Expected HTTP status code 404 to equal 200" type="SuperRestAssertionError"><!\[CDATA\[Scenario step 1/);
+        expect(xml).to.match(/\n {2}<testcase classname="missing\.yml" name="missing\.yml" time="\d+\.\d{3}">\n {4}<failure message="ENOENT: no such file or directory, open &apos;|.*" type="Error">/);
+        expect(xml).to.match(/<\/testsuite>\n$/);
+      } finally {
+        fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+        fs.rmdirSync(dir);
+      }
+    });
+
+    it('should print its usage', async () => {
+      const result = await runCli('--help');
+      expect(result.code).to.equal(0);
+      expect(result.stdout).to.match(/^Usage: superrest \[options\] \[scenario\.\.\.\]\n/);
+    });
+
+    it('should fail with invalid arguments', async () => {
+      expect((await runCli('--foo')).stderr).to.match(/^Unknown option --foo\n\nUsage: /);
+      expect((await runCli('-r', 'json')).stderr).to.match(/^Unknown reporter "json"; it must be "tap" or "junit"\n/);
+      expect((await runCli('-c')).stderr).to.match(/^Option -c requires a value\n/);
+      expect((await runCli('scenario.yml')).stderr).to.match(/^A base URL must be given with the --base-url option or the "baseUrl" property of the configuration file\n/);
+      expect((await runCli('-u', baseUrl)).stderr).to.match(/^No scenario files were given\n/);
+      expect(await runCli('-u', baseUrl, '-c', 'missing.yml')).to.include({ code: 2, stdout: '' }).and.have.property('stderr').that.match(/^ENOENT: no such file or directory/);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+/* istanbul ignore file */
+const bodyParser = require('body-parser');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const express = require('express');
+const _ = require('lodash');
+
+const SuperRest = require('../index');
+
+chai.use(chaiAsPromised);
+
+const expect = chai.expect;
+
+describe('conditional requests', () => {
+
+  function buildApp(options) {
+    options = options || {};
+
+    const app = express();
+    app.set('etag', false);
+    app.use(bodyParser.json());
+
+    const user = { name: 'John Doe', version: 1, updatedAt: new Date(Date.UTC(2017, 0, 1)) };
+    const etag = () => options.constantEtag ? '"constant"' : `"v${user.version}"`;
+
+    app.get('/api/user', (req, res) => {
+      res.set('Content-Type', 'application/json');
+      if (!options.noEtag) {
+        res.set('ETag', etag());
+      }
+
+      if (!options.noLastModified) {
+        res.set('Last-Modified', user.updatedAt.toUTCString());
+      }
+
+      // Express responds with 304 Not Modified if the request is fresh.
+      res.send(_.pick(user, 'name'));
+    });
+
+    app.put('/api/user', (req, res) => {
+      if (options.lockless || !req.get('If-Match') || req.get('If-Match') === etag()) {
+        user.name = req.body.name;
+        user.version++;
+        user.updatedAt = new Date(user.updatedAt.getTime() + 1000);
+        res.set('ETag', etag()).send(_.pick(user, 'name'));
+      } else {
+        res.status(412).send({ message: 'stale' });
+      }
+    });
+
+    return app;
+  }
+
+  describe('"conditional" option', () => {
+    it('should send the captured validators', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+      await helper.read('/user', { captureValidators: true });
+
+      const notModified = await helper.read('/user', { conditional: true, expectedStatus: 304 });
+      expect(notModified.body).to.eql({});
+
+      const updated = await helper.update('/user', { name: 'Jane Doe' }, { conditional: true });
+      expect(updated.body).to.eql({ name: 'Jane Doe' });
+
+      const rejected = await helper.update('/user', { name: 'Jim Doe' }, { conditional: true, expectedStatus: 412 });
+      expect(rejected.body).to.eql({ message: 'stale' });
+    });
+
+    it('should fail without captured validators', () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+      expect(() => helper.read('/user', { conditional: true })).to.throw('No ETag or Last-Modified header was captured for /api/user; use the "captureValidators" option to capture them');
+    });
+  });
+
+  describe('expectNotModified', () => {
+    it('should assert that a resource supports conditional GET requests', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api', expectedContentType: /^application\/json/ });
+      const responses = await helper.expectNotModified('/user');
+      expect(responses.map(res => res.status)).to.eql([ 200, 304, 304 ]);
+      expect(responses[1].request.header).to.include({ 'If-None-Match': '"v1"' });
+      expect(responses[2].request.header).to.include({ 'If-Modified-Since': 'Sun, 01 Jan 2017 00:00:00 GMT' });
+    });
+
+    it('should only send the validators of the resource', async () => {
+      const helper = new SuperRest(buildApp({ noEtag: true }), { pathPrefix: '/api' });
+      const responses = await helper.expectNotModified('/user');
+      expect(responses.map(res => res.status)).to.eql([ 200, 304 ]);
+    });
+
+    it('should fail if a resource has no validators', async () => {
+      const helper = new SuperRest(buildApp({ noEtag: true, noLastModified: true }), { pathPrefix: '/api' });
+      await expect(helper.expectNotModified('/user')).to.be.rejectedWith('Expected HTTP ETag or Last-Modified header to be present in the response to GET /api/user');
+    });
+  });
+
+  describe('expectOptimisticLocking', () => {
+    it('should assert that a resource is protected by optimistic locking', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+      const responses = await helper.expectOptimisticLocking('/user', { name: 'Jane Doe' });
+      expect(_.mapValues(responses, res => res.status)).to.eql({ read: 200, updated: 200, verified: 200, rejected: 412 });
+      expect(responses.verified.body).to.eql({ name: 'Jane Doe' });
+    });
+
+    it('should fail if a resource has no ETag', async () => {
+      const helper = new SuperRest(buildApp({ noEtag: true }), { pathPrefix: '/api' });
+      await expect(helper.expectOptimisticLocking('/user', { name: 'Jane Doe' })).to.be.rejectedWith('Expected HTTP ETag header to be present in the response to GET /api/user');
+    });
+
+    it('should fail if the ETag of a resource does not change when it is updated', async () => {
+      const helper = new SuperRest(buildApp({ constantEtag: true }), { pathPrefix: '/api' });
+      await expect(helper.expectOptimisticLocking('/user', { name: 'Jane Doe' })).to.be.rejectedWith('Expected HTTP ETag header "constant" to change after updating /api/user');
+    });
+
+    it('should fail if a stale ETag is accepted', async () => {
+      const helper = new SuperRest(buildApp({ lockless: true }), { pathPrefix: '/api' });
+      await expect(helper.expectOptimisticLocking('/user', { name: 'Jane Doe' })).to.be.rejectedWith('Expected HTTP status code 200 to equal 412');
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/* istanbul ignore file */
+const bodyParser = require('body-parser');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const express = require('express');
+const path = require('path');
+const { spy } = require('sinon');
+
+const SuperRest = require('../index');
+const ApiCoverage = require('../lib/coverage');
+
+chai.use(chaiAsPromised);
+
+const expect = chai.expect;
+
+describe('ApiCoverage', () => {
+
+  const openApiFile = path.join(__dirname, 'fixtures', 'openapi.yml');
+
+  let app;
+  beforeEach(() => {
+    app = express();
+    app.use(bodyParser.json());
+    app.post('/api/users', (req, res) => res.status(201).send({ id: 1, name: req.body.name }));
+    app.get('/api/users/:id', (req, res) => req.params.id === '500' ? res.status(500).send({ message: 'oops' }) : res.send({ id: 1, name: 'John Doe' }));
+    app.get('/api/undocumented', (req, res) => res.send({ undocumented: true }));
+  });
+
+  it('should be exposed by the SuperRest class', () => {
+    expect(SuperRest.ApiCoverage).to.equal(ApiCoverage);
+  });
+
+  it('should record requests made through a SuperRest instance and compare them with its OpenAPI document', async () => {
+    const helper = new SuperRest(app, { coverage: true, openApi: openApiFile, pathPrefix: '/api' });
+    expect(helper.coverage).to.be.an.instanceof(ApiCoverage);
+
+    await helper.create('/users', { name: 'John Doe' });
+    await helper.read('/users/1?include=all');
+    await helper.read('/users/2');
+    await helper.read('/undocumented', { openApi: false });
+    await expect(helper.read('/users/500', { expectedStatus: 500 })).to.be.rejectedWith('HTTP status code 500 is not documented');
+
+    expect(helper.coverage.report()).to.eql({
+      operations: [
+        { method: 'POST', path: '/users', statuses: [ 201 ], tested: true },
+        { method: 'GET', path: '/users/me', statuses: [], tested: false },
+        { method: 'GET', path: '/users/{id}', statuses: [ 200, 500 ], tested: true },
+        { method: 'DELETE', path: '/users/{id}', statuses: [], tested: false }
+      ],
+      untested: [ 'GET /users/me', 'DELETE /users/{id}' ],
+      undocumentedStatuses: [ 'GET /users/{id} 500' ],
+      unmatched: [ 'GET /undocumented 200' ],
+      tested: 2,
+      total: 4
+    });
+
+    expect(helper.coverage.format()).to.equal([
+      'API coverage: 2/4 operations tested (50.00%)',
+      '',
+      '  + POST /users (201)',
+      '  - GET /users/me',
+      '  + GET /users/{id} (200, 500)',
+      '  - DELETE /users/{id}',
+      '',
+      'Untested operations:',
+      '  GET /users/me',
+      '  DELETE /users/{id}',
+      '',
+      'Undocumented status codes:',
+      '  GET /users/{id} 500',
+      '',
+      'Requests to undocumented operations:',
+      '  GET /undocumented 200'
+    ].join('\n'));
+  });
+
+  it('should record requests made through a SuperRest instance into a shared tracker', async () => {
+    const coverage = new ApiCoverage({ routes: [ 'POST /users', { method: 'GET', path: '/users/:id', statuses: [ 200 ] } ] });
+    const helper1 = new SuperRest(app, { coverage, pathPrefix: '/api' });
+    const helper2 = new SuperRest(app, { coverage });
+
+    await helper1.create('/users', { name: 'John Doe' });
+    await helper2.read('/api/users/500', { expectedStatus: 500 });
+
+    const report = coverage.report();
+    expect(report.operations).to.eql([
+      { method: 'POST', path: '/users', statuses: [ 201 ], tested: true },
+      { method: 'GET', path: '/users/{id}', statuses: [], tested: false }
+    ]);
+    expect(report.unmatched).to.eql([ 'GET /api/users/500 500' ]);
+  });
+
+  it('should report undocumented status codes only for routes with documented status codes', () => {
+    const coverage = new ApiCoverage({ routes: [ 'GET /users', { method: 'GET', path: '/users/{id}', statuses: [ 200 ] } ] });
+    coverage.record({ method: 'get', path: '/users' }, { status: 500 });
+    coverage.record({ method: 'get', path: '/users/1' }, { status: 404 });
+    expect(coverage.report().undocumentedStatuses).to.eql([ 'GET /users/{id} 404' ]);
+  });
+
+  it('should reset recorded requests', () => {
+    const coverage = new ApiCoverage({ routes: [ 'GET /users' ] });
+    coverage.record({ method: 'GET', path: '/users' }, { status: 200 });
+    coverage.reset();
+    expect(coverage.report().untested).to.eql([ 'GET /users' ]);
+  });
+
+  it('should report all requests as unmatched without documented operations', () => {
+    const coverage = new ApiCoverage();
+    coverage.record({ method: 'GET', path: '/users' }, { status: 200 });
+    expect(coverage.format()).to.equal('API coverage: 0/0 operations tested (100.00%)\n\nRequests to undocumented operations:\n  GET /users 200');
+  });
+
+  it('should fail to construct a tracker with an invalid route', () => {
+    expect(() => new ApiCoverage({ routes: [ '/users' ] })).to.throw('Route "/users" must be a string like "GET /users/{id}" or an object with "method" and "path" properties');
+  });
+
+  describe('check', () => {
+
+    let coverage;
+    beforeEach(() => {
+      coverage = new ApiCoverage({ routes: [ 'GET /users', 'POST /users', { method: 'GET', path: '/users/{id}', statuses: [ 200 ] } ] });
+      coverage.record({ method: 'GET', path: '/users' }, { status: 200 });
+      coverage.record({ method: 'GET', path: '/users/1' }, { status: 200 });
+    });
+
+    it('should fail if an operation was not tested', () => {
+      expect(() => coverage.check()).to.throw('Expected at least 100% of the API operations to be tested but only 2/3 were; untested operations:\n  POST /users');
+    });
+
+    it('should pass if the minimum coverage is reached', () => {
+      expect(() => coverage.check({ minCoverage: 0.5 })).not.to.throw();
+    });
+
+    it('should fail if an undocumented status code was returned', () => {
+      coverage.record({ method: 'GET', path: '/users/2' }, { status: 404 });
+      expect(() => coverage.check({ minCoverage: 0 })).to.throw('Expected all HTTP status codes to be documented but these were not:\n  GET /users/{id} 404');
+      expect(() => coverage.check({ minCoverage: 0, undocumentedStatuses: true })).not.to.throw();
+    });
+
+    it('should fail if requested and a request matched no operation', () => {
+      coverage.record({ method: 'DELETE', path: '/users/1' }, { status: 204 });
+      expect(() => coverage.check({ minCoverage: 0 })).not.to.throw();
+      expect(() => coverage.check({ minCoverage: 0, unmatched: false })).to.throw('Expected all requests to match a documented operation but these did not:\n  DELETE /users/1 204');
+    });
+  });
+
+  describe('registerMochaHook', () => {
+    it('should register a hook that prints the coverage summary', () => {
+      const coverage = new ApiCoverage({ routes: [ 'GET /users' ] });
+      const after = spy();
+      const log = spy();
+
+      coverage.registerMochaHook({ after, log });
+      expect(after.calledOnce).to.equal(true);
+      expect(log.called).to.equal(false);
+
+      after.args[0][0]();
+      expect(log.args).to.eql([ [ coverage.format() ] ]);
+    });
+
+    it('should register a hook that checks the coverage requirements', () => {
+      const coverage = new ApiCoverage({ routes: [ 'GET /users' ] });
+      const after = spy();
+
+      coverage.registerMochaHook({ after, check: true, log: false });
+      expect(() => after.args[0][0]()).to.throw('Expected at least 100% of the API operations to be tested but only 0/1 were');
+    });
+  });
+});
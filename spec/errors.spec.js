@@ -0,0 +1,79 @@
+/* istanbul ignore file */
+const bodyParser = require('body-parser');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const express = require('express');
+const _ = require('lodash');
+
+const SuperRest = require('../index');
+const { SuperRestAssertionError } = SuperRest;
+
+chai.use(chaiAsPromised);
+
+const expect = chai.expect;
+
+describe('assertion errors', () => {
+
+  function buildApp() {
+
+    const app = express();
+    app.use(bodyParser.json());
+
+    app.post('/api/users', (req, res) => res.status(500).set('X-Request-Id', '42').send({ message: 'Oops' }));
+    app.get('/api/users', (req, res) => res.send(_.range(0, 200).map(id => ({ id }))));
+    app.get('/api/text', (req, res) => res.status(500).send('Internal Server Error'));
+
+    return app;
+  }
+
+  it('should describe the request and the response', async () => {
+    const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+    const err = await expect(helper.create('/users', { name: 'John Doe' }, { query: { notify: true } })).to.be.rejectedWith(SuperRestAssertionError);
+
+    expect(err.name).to.equal('SuperRestAssertionError');
+    expect(err.message).to.match(/^Expected HTTP status code 500 to equal 201\n\nRequest: POST \/api\/users\?notify=true\nRequest body: {"name":"John Doe"}\nResponse status: 500\nResponse headers:\n/);
+    expect(err.message).to.include('\n  x-request-id: 42\n');
+    expect(err.message).to.match(/\nResponse body: {"message":"Oops"}$/);
+
+    expect(err).to.include({ actual: 500, expected: 201, showDiff: true });
+    expect(err.failures).to.eql([ { actual: 500, check: 'status', expected: 201, message: 'Expected HTTP status code 500 to equal 201' } ]);
+    expect(err.request).to.include({ method: 'POST', path: '/api/users' });
+    expect(err.response).to.include({ status: 500 });
+    expect(err.response.body).to.eql({ message: 'Oops' });
+  });
+
+  it('should report all failed expectations', async () => {
+    const helper = new SuperRest(buildApp(), { expectedContentType: 'text/plain', pathPrefix: '/api' });
+    const err = await expect(helper.create('/users', {}, { expectedHeaders: { 'X-Request-Id': /^[a-z]+$/, 'X-Version': val => val }, schema: { type: 'array' } })).to.be.rejectedWith(SuperRestAssertionError);
+
+    expect(err.message).to.match(/^5 expectations failed:\n\* Expected HTTP status code 500 to equal 201\n\* Expected HTTP Content-Type header "application\/json; charset=utf-8" to equal "text\/plain"\n\* Expected HTTP X-Request-Id header "42" to match \/\^\[a-z\]\+\$\/\n\* Expected HTTP X-Version header \(missing\) to satisfy the expected header function\n\* Expected HTTP response body to match the JSON schema:\n  \* # should be array\n\nRequest: POST \/api\/users\n/);
+    expect(err.actual).to.eql({ status: 500, 'Content-Type': 'application/json; charset=utf-8', 'X-Request-Id': '42' });
+    expect(err.expected).to.eql({ status: 201, 'Content-Type': 'text/plain', 'X-Request-Id': '/^[a-z]+$/' });
+    expect(_.map(err.failures, 'check')).to.eql([ 'status', 'Content-Type', 'X-Request-Id', 'X-Version', 'body' ]);
+  });
+
+  it('should not show a diff for failures without an expected value', async () => {
+    const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+    const err = await expect(helper.create('/users', {}, { expectedStatus: 500, expectedLocation: true })).to.be.rejectedWith(SuperRestAssertionError);
+    expect(err.message).to.match(/^Expected HTTP Location header to be present\n/);
+    expect(err.showDiff).to.equal(false);
+    expect(err).not.to.have.property('expected');
+  });
+
+  it('should truncate long response bodies', async () => {
+    const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+    const err = await expect(helper.read('/users', { expectedStatus: 204 })).to.be.rejectedWith(SuperRestAssertionError);
+    expect(err.message).to.match(/\nResponse body: \[{"id":0},{"id":1},.{950,}\.\.\. \(\d+ more characters\)$/);
+  });
+
+  it('should show text response bodies', async () => {
+    const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+    const err = await expect(helper.read('/text')).to.be.rejectedWith(SuperRestAssertionError);
+    expect(err.message).to.match(/\nResponse body: Internal Server Error$/);
+  });
+
+  it('should be thrown without a request', () => {
+    const helper = new SuperRest(buildApp());
+    expect(() => helper.expect({ status: 404, get: () => undefined, headers: {}, body: {} }, {})).to.throw(SuperRestAssertionError, /^Expected HTTP status code 404 to equal 200\n\nResponse status: 404\nResponse headers:\nResponse body: {}$/);
+  });
+});
@@ -0,0 +1,183 @@
+/* istanbul ignore file */
+const bodyParser = require('body-parser');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const express = require('express');
+const _ = require('lodash');
+const { spy } = require('sinon');
+
+const SuperRest = require('../index');
+
+chai.use(chaiAsPromised);
+
+const expect = chai.expect;
+
+describe('cleanup and fixtures', () => {
+
+  let db;
+  let deleted;
+  beforeEach(() => {
+    db = { orgs: {}, users: {} };
+    deleted = [];
+  });
+
+  function buildApp(options) {
+    options = options || {};
+
+    const app = express();
+    app.use(bodyParser.json());
+
+    let nextId = 1;
+    app.post('/api/imports', (req, res) => res.status(202).send({ status: 'pending' }));
+
+    app.post('/api/:collection', (req, res) => {
+      if (!req.body.name) {
+        return res.status(422).send({ message: 'name is required' });
+      }
+
+      const id = nextId++;
+      db[req.params.collection][id] = _.extend({ id }, req.body);
+      if (options.location) {
+        res.set('Location', `/api/${req.params.collection}/${id}`);
+      }
+
+      res.status(201).send(db[req.params.collection][id]);
+    });
+
+    app.delete('/api/:collection/:id', (req, res) => {
+      if (options.forbidden && req.params.id === '1') {
+        return res.sendStatus(403);
+      }
+
+      deleted.push(`${req.params.collection}/${req.params.id}${req.get('X-Tenant') ? ` (${req.get('X-Tenant')})` : ''}`);
+      if (!db[req.params.collection][req.params.id]) {
+        return res.sendStatus(404);
+      }
+
+      delete db[req.params.collection][req.params.id];
+      res.sendStatus(204);
+    });
+
+    return app;
+  }
+
+  describe('cleanup', () => {
+    it('should delete the resources created with the "cleanup" option in reverse order', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+      await helper.create('/orgs', { name: 'Acme' }, { cleanup: true });
+      await helper.create('/users', { name: 'John Doe' }, { cleanup: true, headers: { 'X-Tenant': 'acme' } });
+      await helper.create('/users', { name: 'Jane Doe' });
+
+      const responses = await helper.cleanup();
+      expect(responses.map(res => res.status)).to.eql([ 204, 204 ]);
+      expect(deleted).to.eql([ 'users/2 (acme)', 'orgs/1' ]);
+      expect(db.users).to.have.all.keys('3');
+
+      expect(await helper.cleanup()).to.eql([]);
+    });
+
+    it('should not register failed creations or responses that do not identify a resource', async () => {
+      const helper = new SuperRest(buildApp(), { cleanup: true, pathPrefix: '/api' });
+      await helper.create('/users', {}, { expectedStatus: 422 });
+      await helper.create('/imports', { file: 'users.csv' }, { expectedStatus: 202 });
+      expect(helper.createdResources).to.eql([]);
+
+      await helper.create('/users', { name: 'John Doe' });
+      await helper.cleanup();
+      expect(deleted).to.eql([ 'users/1' ]);
+    });
+
+    it('should delete all created resources with the "cleanup" option given at construction', async () => {
+      const helper = new SuperRest(buildApp({ location: true }), { cleanup: true, pathPrefix: '/api' });
+      await helper.create('/orgs', { name: 'Acme' });
+      await helper.create('/users', { name: 'John Doe' }, { cleanup: false });
+      await helper.create('/users', { name: 'Jane Doe' });
+
+      await helper.cleanup();
+      expect(deleted).to.eql([ 'users/3', 'orgs/1' ]);
+    });
+
+    it('should not register resources that could not be created', async () => {
+      const helper = new SuperRest(buildApp(), { cleanup: true, pathPrefix: '/api' });
+      await expect(helper.create('/orgs', { name: 'Acme' }, { expectedStatus: 200 })).to.be.rejectedWith('Expected HTTP status code 201 to equal 200');
+      expect(helper.createdResources).to.eql([]);
+    });
+
+    it('should accept resources that were already deleted', async () => {
+      const helper = new SuperRest(buildApp(), { cleanup: true, pathPrefix: '/api' });
+      const res = await helper.create('/orgs', { name: 'Acme' });
+      await helper.delete(`/orgs/${res.body.id}`, undefined, { expectedStatus: 204 });
+
+      const responses = await helper.cleanup();
+      expect(responses.map(res => res.status)).to.eql([ 404 ]);
+    });
+
+    it('should attempt all deletions and report failures', async () => {
+      const helper = new SuperRest(buildApp({ forbidden: true }), { cleanup: true, pathPrefix: '/api' });
+      await helper.create('/orgs', { name: 'Acme' });
+      await helper.create('/orgs', { name: 'Umbrella' });
+
+      await expect(helper.cleanup()).to.be.rejectedWith('Could not clean up 1 of 2 created resources:\n* /orgs/1: Expected HTTP status code 403 to be one of 200, 202, 204, 404');
+      expect(deleted).to.eql([ 'orgs/2' ]);
+      expect(helper.createdResources).to.eql([]);
+    });
+
+    it('should register a hook that cleans up after each test', async () => {
+      const helper = new SuperRest(buildApp(), { cleanup: true, pathPrefix: '/api' });
+      const afterEach = spy();
+
+      helper.registerCleanupHook({ afterEach });
+      expect(afterEach.calledOnce).to.equal(true);
+
+      await helper.create('/orgs', { name: 'Acme' });
+      await afterEach.args[0][0]();
+      expect(deleted).to.eql([ 'orgs/1' ]);
+    });
+  });
+
+  describe('loadFixtures', () => {
+    it('should create fixtures in dependency order', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+      const fixtures = await helper.loadFixtures({
+        admin: { path: '/users', dependsOn: [ 'org' ], body: fixtures => ({ name: 'Admin', orgId: fixtures.org.id }) },
+        org: { path: '/orgs', body: { name: 'Acme' } },
+        user: { path: '/users', dependsOn: [ 'admin', 'org' ], body: fixtures => ({ name: 'John Doe', invitedBy: fixtures.admin.id }) }
+      });
+
+      expect(_.mapValues(fixtures, 'id')).to.eql({ admin: 2, org: 1, user: 3 });
+      expect(_.mapValues(fixtures, 'path')).to.eql({ admin: '/users/2', org: '/orgs/1', user: '/users/3' });
+      expect(fixtures.user.body).to.eql({ id: 3, name: 'John Doe', invitedBy: 2 });
+      expect(fixtures.user.res.status).to.equal(201);
+
+      await helper.cleanup();
+      expect(deleted).to.eql([ 'users/3', 'users/2', 'orgs/1' ]);
+    });
+
+    it('should not register fixtures for cleanup if disabled', async () => {
+      const helper = new SuperRest(buildApp({ location: true }), { pathPrefix: '/api' });
+      const fixtures = await helper.loadFixtures({ org: { path: '/orgs', body: { name: 'Acme' } } }, { cleanup: false });
+      expect(fixtures.org.path).to.equal('/api/orgs/1');
+      expect(helper.createdResources).to.eql([]);
+    });
+
+    it('should fail if a fixture has a circular dependency', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+      await expect(helper.loadFixtures({
+        a: { path: '/orgs', dependsOn: [ 'b' ] },
+        b: { path: '/orgs', dependsOn: [ 'c' ] },
+        c: { path: '/orgs', dependsOn: [ 'b' ] }
+      })).to.be.rejectedWith('Fixture "b" has a circular dependency: b -> c -> b');
+      expect(db.orgs).to.eql({});
+    });
+
+    it('should fail if a fixture depends on an unknown fixture', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+      await expect(helper.loadFixtures({ user: { path: '/users', dependsOn: [ 'org' ] } })).to.be.rejectedWith('Fixture "user" depends on unknown fixture "org"');
+    });
+
+    it('should fail if a fixture has no path', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+      await expect(helper.loadFixtures({ user: { body: {} } })).to.be.rejectedWith('Fixture "user" must have a "path" property');
+    });
+  });
+});
@@ -0,0 +1,257 @@
+/* istanbul ignore file */
+const bodyParser = require('body-parser');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const express = require('express');
+const fs = require('fs');
+const _ = require('lodash');
+const os = require('os');
+const path = require('path');
+const { spy } = require('sinon');
+
+const SuperRest = require('../index');
+const { HarRecorder } = SuperRest;
+
+chai.use(chaiAsPromised);
+
+const expect = chai.expect;
+
+describe('HAR recording and replay', () => {
+
+  let dir;
+  let file;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'superrest-'));
+    file = path.join(dir, 'session.har');
+  });
+
+  afterEach(() => {
+    fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+    fs.rmdirSync(dir);
+  });
+
+  function buildApp(options) {
+    options = options || {};
+
+    const app = express();
+    app.use(bodyParser.json());
+    app.use(bodyParser.urlencoded({ extended: false }));
+
+    let nextId = 1;
+    const users = {};
+
+    app.post('/api/login', (req, res) => res.send({ token: `token-${req.body.username}`, expiresIn: 3600 }));
+
+    app.post('/api/users', (req, res) => {
+      const id = nextId++;
+      users[id] = { id, name: req.body.name, createdAt: options.createdAt || new Date().toISOString() };
+      res.status(201).send(_.extend({}, users[id], options.extra));
+    });
+
+    app.get('/api/users', (req, res) => {
+      if (options.status) {
+        return res.sendStatus(options.status);
+      }
+
+      res.send(Object.values(users).filter(user => !req.query.name || user.name === req.query.name).map(user => _.extend({}, user, options.extra)));
+    });
+
+    app.get('/api/hello', (req, res) => res.send(`Hello ${req.get('X-Name')}`));
+
+    app.post('/api/forms', (req, res) => res.send({ type: req.get('Content-Type'), fields: req.body }));
+    app.post('/api/uploads', (req, res) => res.sendStatus(204));
+
+    return app;
+  }
+
+  async function recordSession(options) {
+    const helper = new SuperRest(buildApp({ createdAt: '2017-01-01T00:00:00.000Z' }), _.extend({ pathPrefix: '/api', record: { file } }, options));
+    await helper.create('/login', { username: 'jdoe', password: 'secret' }, { expectedStatus: 200, headers: { Authorization: 'Basic foo' } });
+    await helper.create('/users', { name: 'John Doe' });
+    await helper.read('/users', { query: { name: 'John Doe' } });
+    await helper.read('/hello', { headers: { 'X-Name': 'World' } });
+    helper.recorder.save();
+    return helper;
+  }
+
+  function readHar() {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  describe('recording', () => {
+    it('should record requests and responses in a HAR file', async () => {
+      const helper = await recordSession();
+      expect(helper.recorder).to.be.an.instanceof(HarRecorder);
+
+      const har = readHar();
+      expect(har.log.version).to.equal('1.2');
+      expect(har.log.creator).to.eql({ name: 'superrest', version: require('../package.json').version });
+      expect(har.log.entries).to.have.lengthOf(4);
+
+      const [ login, create, list, hello ] = har.log.entries;
+      expect(login.request).to.include({ method: 'POST', httpVersion: 'HTTP/1.1' });
+      expect(login.request.url).to.match(/^http:\/\/127\.0\.0\.1:\d+\/api\/login$/);
+      expect(login.request.headers).to.deep.include({ name: 'Authorization', value: '[redacted]' });
+      expect(login.request.postData).to.eql({ mimeType: 'application/json', text: '{"username":"jdoe","password":"secret"}' });
+      expect(login.response).to.include({ status: 200, statusText: 'OK' });
+      expect(login.response.content).to.include({ mimeType: 'application/json; charset=utf-8', text: '{"token":"token-jdoe","expiresIn":3600}' });
+      expect(new Date(login.startedDateTime).getTime()).to.be.closeTo(Date.now(), 5000);
+      expect(login.time).to.be.a('number');
+
+      expect(create.response.status).to.equal(201);
+      expect(list.request.queryString).to.eql([ { name: 'name', value: 'John Doe' } ]);
+      expect(list.request).not.to.have.property('postData');
+      expect(hello.response.content).to.include({ mimeType: 'text/html; charset=utf-8', text: 'Hello World' });
+    });
+
+    it('should redact headers and body properties', async () => {
+      await recordSession({ record: new HarRecorder({ file, redactBody: [ 'password', 'token' ], redactHeaders: [ 'X-Name' ] }) });
+
+      const [ login, , , hello ] = readHar().log.entries;
+      expect(login.request.headers).to.deep.include({ name: 'Authorization', value: 'Basic foo' });
+      expect(login.request.postData.text).to.equal('{"username":"jdoe","password":"[redacted]"}');
+      expect(login.response.content.text).to.equal('{"token":"[redacted]","expiresIn":3600}');
+      expect(hello.request.headers).to.deep.include({ name: 'X-Name', value: '[redacted]' });
+    });
+
+    it('should share the recorder with sessions', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api', record: { file } });
+      const session = helper.session();
+      expect(session.recorder).to.equal(helper.recorder);
+
+      await helper.read('/users');
+      await session.read('/hello', { headers: { 'X-Name': 'World' } });
+      helper.recorder.save();
+
+      expect(readHar().log.entries.map(entry => entry.request.url.replace(/^http:\/\/[^/]+/, ''))).to.eql([ '/api/users', '/api/hello' ]);
+    });
+
+    it('should record form bodies as they are sent', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api', record: new HarRecorder({ file, redactBody: [ 'password' ] }) });
+      await helper.create('/forms', { name: 'John Doe', tags: [ 'a', 'b' ], password: 'secret' }, { bodyType: 'form', expectedStatus: 200 });
+      await helper.create('/uploads', { name: 'avatar', file: Buffer.from('image') }, { bodyType: 'multipart', expectedStatus: 204 });
+      helper.recorder.save();
+
+      const [ form, upload ] = readHar().log.entries;
+      expect(form.request.postData).to.eql({
+        mimeType: 'application/x-www-form-urlencoded',
+        params: [
+          { name: 'name', value: 'John Doe' },
+          { name: 'tags', value: 'a' },
+          { name: 'tags', value: 'b' },
+          { name: 'password', value: '[redacted]' }
+        ],
+        text: 'name=John%20Doe&tags=a&tags=b&password=%5Bredacted%5D'
+      });
+
+      expect(upload.request.postData).to.eql({
+        mimeType: 'multipart/form-data',
+        params: [ { name: 'name', value: 'avatar' }, { name: 'file', fileName: 'file' } ]
+      });
+    });
+
+    it('should record malformed JSON bodies as they are', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api', record: new HarRecorder({ file, redactBody: [ 'password' ] }) });
+      await helper.create('/forms', '{"password":', { expectedStatus: 200, headers: { 'Content-Type': 'application/merge-patch+json' } });
+      helper.recorder.save();
+
+      const [ entry ] = readHar().log.entries;
+      expect(entry.request.postData).to.eql({ mimeType: 'application/merge-patch+json', text: '{"password":' });
+    });
+
+    it('should write the HAR file once all tests have run', async () => {
+      const recorder = new HarRecorder({ file });
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api', record: recorder });
+      const after = spy();
+      recorder.registerMochaHook({ after });
+      expect(after.calledOnce).to.equal(true);
+
+      await helper.read('/users');
+      expect(fs.existsSync(file)).to.equal(false);
+
+      after.firstCall.args[0]();
+      expect(readHar().log.entries).to.have.lengthOf(1);
+    });
+
+    it('should fail without a file', () => {
+      expect(() => new SuperRest(buildApp(), { record: {} })).to.throw('HAR recording requires a "file" option');
+    });
+  });
+
+  describe('replay', () => {
+    it('should replay a HAR file', async () => {
+      await recordSession({ record: new HarRecorder({ file, redactBody: [ 'token' ] }) });
+
+      const helper = new SuperRest(buildApp({ createdAt: '2017-01-01T00:00:00.000Z' }));
+      const responses = await helper.replay(file);
+      expect(responses.map(res => res.status)).to.eql([ 200, 201, 200, 200 ]);
+      expect(responses[3].text).to.equal('Hello World');
+    });
+
+    it('should report all responses that do not match', async () => {
+      await recordSession();
+
+      const helper = new SuperRest(buildApp());
+      const err = await expect(helper.replay(file)).to.be.rejectedWith(SuperRest.SuperRestAssertionError, /^2 expectations failed:\n\* Expected the response to HAR entry 2 \(POST \/api\/users\) to match the recorded response\n\* Expected the response to HAR entry 3 \(GET \/api\/users\?name=John%20Doe\) to match the recorded response$/);
+      expect(err.expected['HAR entry 2 (POST /api/users)']).to.eql({ status: 201, body: { id: 1, name: 'John Doe', createdAt: '2017-01-01T00:00:00.000Z' } });
+      expect(err.actual['HAR entry 2 (POST /api/users)'].body.createdAt).not.to.equal('2017-01-01T00:00:00.000Z');
+    });
+
+    it('should ignore the specified properties', async () => {
+      await recordSession();
+
+      const helper = new SuperRest(buildApp());
+      await helper.replay(file, { ignore: [ 'createdAt', '*.createdAt' ] });
+    });
+
+    it('should accept additional properties in partial mode', async () => {
+      await recordSession();
+
+      const app = () => buildApp({ createdAt: '2017-01-01T00:00:00.000Z', extra: { role: 'user' } });
+      await expect(new SuperRest(app()).replay(file)).to.be.rejectedWith('2 expectations failed');
+      await new SuperRest(app()).replay(file, { partial: true });
+    });
+
+    it('should detect status code changes', async () => {
+      await recordSession();
+
+      const helper = new SuperRest(buildApp({ status: 500 }));
+      await expect(helper.replay(file, { filter: entry => entry.request.method === 'GET', partial: true })).to.be.rejectedWith(/^Expected the response to HAR entry 3 \(GET \/api\/users\?name=John%20Doe\) to match the recorded response$/);
+    });
+
+    it('should replay form bodies', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api', record: { file } });
+      await helper.create('/forms', { name: 'John Doe', tags: [ 'a', 'b' ] }, { bodyType: 'form', expectedStatus: 200 });
+      await helper.create('/forms', 'name=Jane+Doe', { expectedStatus: 200 });
+      helper.recorder.save();
+
+      const responses = await new SuperRest(buildApp()).replay(file);
+      expect(responses.map(res => res.body.fields)).to.eql([ { name: 'John Doe', tags: [ 'a', 'b' ] }, { name: 'Jane Doe' } ]);
+      expect(responses[0].body.type).to.equal('application/x-www-form-urlencoded');
+    });
+
+    it('should not replay request bodies that were not recorded', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api', record: { file } });
+      await helper.create('/uploads', { file: Buffer.from('image') }, { bodyType: 'multipart', expectedStatus: 204 });
+      helper.recorder.save();
+
+      await expect(new SuperRest(buildApp()).replay(file)).to.be.rejectedWith('Cannot replay HAR entry 1 (POST /api/uploads): its multipart/form-data request body was not recorded');
+    });
+
+    it('should replay a HAR document', async () => {
+      await recordSession();
+
+      const helper = new SuperRest(buildApp());
+      const responses = await helper.replay(readHar(), { filter: entry => entry.request.url.match(/\/hello$/), expectedContentType: /^text\/html/ });
+      expect(responses).to.have.lengthOf(1);
+      expect(responses[0].text).to.equal('Hello World');
+
+      await expect(helper.replay(readHar(), { filter: entry => entry.request.url.match(/\/hello$/), headers: { 'X-Name': 'Bob' } })).to.be.rejectedWith('Expected the response to HAR entry 4 (GET /api/hello) to match the recorded response');
+    });
+
+    it('should fail with an invalid HAR document', async () => {
+      const helper = new SuperRest(buildApp());
+      await expect(helper.replay({ log: {} })).to.be.rejectedWith('HAR document must have a "log.entries" array');
+    });
+  });
+});
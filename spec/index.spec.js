@@ -5,6 +5,7 @@ const chaiAsPromised = require('chai-as-promised');
 const express = require('express');
 const _ = require('lodash');
 const methods = require('methods');
+const path = require('path');
 const { spy, stub } = require('sinon');
 
 const SuperRest = require('../index');
@@ -56,6 +57,13 @@ describe('superrest', () => {
     expect(() => helper.test('UNKNOWN', '/test', { foo: 'bar' })).to.throw('supertest has no "unknown" function');
   });
 
+  it('should check a response with the default expectations if no options are given', async () => {
+    const app = buildApp(app => app.get('/test', (req, res) => res.status(201).send({ resource: 'created' })));
+    const helper = new SuperRest(app);
+    const res = await helper.read('/test', { expectedStatus: false });
+    expect(() => helper.expect(res)).to.throw(SuperRest.SuperRestAssertionError, /^Expected HTTP status code 201 to equal 200\n/);
+  });
+
   describe('aliases', () => {
 
     function buildHelper(options) {
@@ -68,38 +76,38 @@ describe('superrest', () => {
     describe('create', () => {
       it('should test a create route', () => {
         const helper = buildHelper();
-        expect(helper.create('/test', { foo: 'bar' }, { baz: 'qux' })).to.equal('test');
-        expect(helper.test.args).to.eql([ [ 'POST', '/test', { foo: 'bar' }, { baz: 'qux', expectedStatus: 201 } ] ]);
+        expect(helper.create('/test', { foo: 'bar' }, { query: 'baz=qux' })).to.equal('test');
+        expect(helper.test.args).to.eql([ [ 'POST', '/test', { foo: 'bar' }, { query: 'baz=qux', expectedStatus: 201 } ] ]);
       });
 
       it('should test a create route with another expected status code', () => {
         const helper = buildHelper();
-        expect(helper.create('/test', { foo: 'bar' }, { baz: 'qux', expectedStatus: 200 })).to.equal('test');
-        expect(helper.test.args).to.eql([ [ 'POST', '/test', { foo: 'bar' }, { baz: 'qux', expectedStatus: 200 } ] ]);
+        expect(helper.create('/test', { foo: 'bar' }, { query: 'baz=qux', expectedStatus: 200 })).to.equal('test');
+        expect(helper.test.args).to.eql([ [ 'POST', '/test', { foo: 'bar' }, { query: 'baz=qux', expectedStatus: 200 } ] ]);
       });
     });
 
     describe('read', () => {
       it('should test a read route', () => {
         const helper = buildHelper();
-        expect(helper.read('/test', { foo: 'bar' })).to.equal('test');
-        expect(helper.test.args).to.eql([ [ 'GET', '/test', undefined, { foo: 'bar' } ] ]);
+        expect(helper.read('/test', { query: 'foo=bar' })).to.equal('test');
+        expect(helper.test.args).to.eql([ [ 'GET', '/test', undefined, { query: 'foo=bar' } ] ]);
       });
     });
 
     describe('retrieve', () => {
       it('should test a retrieve route', () => {
         const helper = buildHelper();
-        expect(helper.retrieve('/test', { foo: 'bar' })).to.equal('test');
-        expect(helper.test.args).to.eql([ [ 'GET', '/test', undefined, { foo: 'bar' } ] ]);
+        expect(helper.retrieve('/test', { query: 'foo=bar' })).to.equal('test');
+        expect(helper.test.args).to.eql([ [ 'GET', '/test', undefined, { query: 'foo=bar' } ] ]);
       });
     });
 
     describe('update', () => {
       it('should test an update route', () => {
         const helper = buildHelper();
-        expect(helper.update('/test', { foo: 'bar' }, { baz: 'qux' })).to.equal('test');
-        expect(helper.test.args).to.eql([ [ 'PUT', '/test', { foo: 'bar' }, { baz: 'qux' } ] ]);
+        expect(helper.update('/test', { foo: 'bar' }, { query: 'baz=qux' })).to.equal('test');
+        expect(helper.test.args).to.eql([ [ 'PUT', '/test', { foo: 'bar' }, { query: 'baz=qux' } ] ]);
       });
 
       it('should test an update route with no options', () => {
@@ -110,44 +118,44 @@ describe('superrest', () => {
 
       it('should test an update route with the HTTP method given at construction', () => {
         const helper = buildHelper({ updateMethod: 'PATCH' });
-        expect(helper.update('/test', { foo: 'bar' }, { baz: 'qux' })).to.equal('test');
-        expect(helper.test.args).to.eql([ [ 'PATCH', '/test', { foo: 'bar' }, { baz: 'qux' } ] ]);
+        expect(helper.update('/test', { foo: 'bar' }, { query: 'baz=qux' })).to.equal('test');
+        expect(helper.test.args).to.eql([ [ 'PATCH', '/test', { foo: 'bar' }, { query: 'baz=qux' } ] ]);
       });
 
       it('should test an update route with the HTTP method given to the method', () => {
         const helper = buildHelper();
-        expect(helper.update('/test', { foo: 'bar' }, { baz: 'qux', method: 'PATCH' })).to.equal('test');
-        expect(helper.test.args).to.eql([ [ 'PATCH', '/test', { foo: 'bar' }, { baz: 'qux', method: 'PATCH' } ] ]);
+        expect(helper.update('/test', { foo: 'bar' }, { query: 'baz=qux', method: 'PATCH' })).to.equal('test');
+        expect(helper.test.args).to.eql([ [ 'PATCH', '/test', { foo: 'bar' }, { query: 'baz=qux' } ] ]);
       });
 
       it('should test an update route with the HTTP method given to the method rather than the one given at construction', () => {
         const helper = buildHelper({ updateMethod: 'PATCH' });
-        expect(helper.update('/test', { foo: 'bar' }, { baz: 'qux', method: 'POST' })).to.equal('test');
-        expect(helper.test.args).to.eql([ [ 'POST', '/test', { foo: 'bar' }, { baz: 'qux', method: 'POST' } ] ]);
+        expect(helper.update('/test', { foo: 'bar' }, { query: 'baz=qux', method: 'POST' })).to.equal('test');
+        expect(helper.test.args).to.eql([ [ 'POST', '/test', { foo: 'bar' }, { query: 'baz=qux' } ] ]);
       });
     });
 
     describe('patch', () => {
       it('should test a patch route', () => {
         const helper = buildHelper();
-        expect(helper.patch('/test', { foo: 'bar' }, { baz: 'qux' })).to.equal('test');
-        expect(helper.test.args).to.eql([ [ 'PATCH', '/test', { foo: 'bar' }, { baz: 'qux' } ] ]);
+        expect(helper.patch('/test', { foo: 'bar' }, { query: 'baz=qux' })).to.equal('test');
+        expect(helper.test.args).to.eql([ [ 'PATCH', '/test', { foo: 'bar' }, { query: 'baz=qux' } ] ]);
       });
     });
 
     describe('delete', () => {
       it('should test a delete route', () => {
         const helper = buildHelper();
-        expect(helper.delete('/test', { foo: 'bar' }, { baz: 'qux' })).to.equal('test');
-        expect(helper.test.args).to.eql([ [ 'DELETE', '/test', { foo: 'bar' }, { baz: 'qux' } ] ]);
+        expect(helper.delete('/test', { foo: 'bar' }, { query: 'baz=qux' })).to.equal('test');
+        expect(helper.test.args).to.eql([ [ 'DELETE', '/test', { foo: 'bar' }, { query: 'baz=qux' } ] ]);
       });
     });
 
     describe('destroy', () => {
       it('should test a destroy route', () => {
         const helper = buildHelper();
-        expect(helper.destroy('/test', { foo: 'bar' }, { baz: 'qux' })).to.equal('test');
-        expect(helper.test.args).to.eql([ [ 'DELETE', '/test', { foo: 'bar' }, { baz: 'qux' } ] ]);
+        expect(helper.destroy('/test', { foo: 'bar' }, { query: 'baz=qux' })).to.equal('test');
+        expect(helper.test.args).to.eql([ [ 'DELETE', '/test', { foo: 'bar' }, { query: 'baz=qux' } ] ]);
       });
     });
   });
@@ -280,6 +288,599 @@ describe('superrest', () => {
       const helper = new SuperRest(app);
       await expect(helper.test('GET', '/test', undefined, { expectedStatus: 302 })).to.be.rejectedWith('Expected HTTP status code 200 to equal 302');
     });
+
+    describe('as an array', () => {
+      it('should test a route and match one of the status codes given to the method', async () => {
+        const app = buildApp(app => app.delete('/test', (req, res) => res.sendStatus(204)));
+        const helper = new SuperRest(app);
+        const res = await helper.test('DELETE', '/test', undefined, { expectedStatus: [ 200, 204 ] });
+        expect(res.status).to.equal(204);
+      });
+
+      it('should fail testing a route if the status code is not one of the expected ones', async () => {
+        const app = buildApp(app => app.delete('/test', (req, res) => res.sendStatus(202)));
+        const helper = new SuperRest(app);
+        await expect(helper.test('DELETE', '/test', undefined, { expectedStatus: [ 200, 204 ] })).to.be.rejectedWith('Expected HTTP status code 202 to be one of 200, 204');
+      });
+    });
+
+    describe('as a status class', () => {
+      it('should test a route and match the status class given to the method', async () => {
+        const app = buildApp(app => app.get('/test', (req, res) => res.status(404).send({ error: 'not found' })));
+        const helper = new SuperRest(app);
+        const res = await helper.test('GET', '/test', undefined, { expectedStatus: '4xx' });
+        expect(res.status).to.equal(404);
+      });
+
+      it('should fail testing a route if the status code is not in the expected class', async () => {
+        const app = buildApp(app => app.get('/test', (req, res) => res.status(500).send({ error: 'oops' })));
+        const helper = new SuperRest(app);
+        await expect(helper.test('GET', '/test', undefined, { expectedStatus: '4XX' })).to.be.rejectedWith('Expected HTTP status code 500 to be in the 4xx class');
+      });
+    });
+
+    describe('as a regexp', () => {
+      it('should test a route and match the status code regexp given to the method', async () => {
+        const app = buildApp(app => app.get('/test', (req, res) => res.status(201).send({ resource: 'created' })));
+        const helper = new SuperRest(app);
+        const res = await helper.test('GET', '/test', undefined, { expectedStatus: /^20[01]$/ });
+        expect(res.status).to.equal(201);
+      });
+
+      it('should fail testing a route if the status code does not match the expected regexp', async () => {
+        const app = buildApp(app => app.get('/test', (req, res) => res.status(202).send({ resource: 'accepted' })));
+        const helper = new SuperRest(app);
+        await expect(helper.test('GET', '/test', undefined, { expectedStatus: /^20[01]$/ })).to.be.rejectedWith('Expected HTTP status code 202 to match /^20[01]$/');
+      });
+    });
+
+    describe('as a function', () => {
+      it('should test a route and satisfy the status code function given to the method', async () => {
+        const app = buildApp(app => app.get('/test', (req, res) => res.status(203).send({ resource: 'retrieved' })));
+        const helper = new SuperRest(app);
+        const predicate = spy(status => status < 300);
+        const res = await helper.test('GET', '/test', undefined, { expectedStatus: predicate });
+        expect(res.status).to.equal(203);
+        expect(predicate.calledOnce).to.equal(true);
+        expect(predicate.args[0][0]).to.equal(203);
+        expect(predicate.args[0][1]).to.equal(res);
+      });
+
+      it('should fail testing a route if the status code does not satisfy the expected function', async () => {
+        const app = buildApp(app => app.get('/test', (req, res) => res.status(302).send({ resource: 'moved' })));
+        const helper = new SuperRest(app);
+        await expect(helper.test('GET', '/test', undefined, { expectedStatus: status => status < 300 })).to.be.rejectedWith('Expected HTTP status code 302 to satisfy the expected status function');
+      });
+    });
+
+    describe('as false', () => {
+      it('should test a route without checking the status code', async () => {
+        const app = buildApp(app => app.get('/test', (req, res) => res.status(500).send({ error: 'oops' })));
+        const helper = new SuperRest(app);
+        const res = await helper.test('GET', '/test', undefined, { expectedStatus: false });
+        expect(res.status).to.equal(500);
+      });
+    });
+
+    it('should fail testing a route if the expected status is not supported', async () => {
+      const app = buildApp(app => app.get('/test', (req, res) => res.send({ resource: 'retrieved' })));
+      const helper = new SuperRest(app);
+      await expect(helper.test('GET', '/test', undefined, { expectedStatus: 'ok' })).to.be.rejectedWith('Unsupported expected HTTP status "ok"');
+    });
+
+    it('should test a create route with a flexible status code', async () => {
+      const app = buildApp(app => app.post('/test', (req, res) => res.status(200).send({ resource: 'existing' })));
+      const helper = new SuperRest(app);
+      const res = await helper.create('/test', { foo: 'bar' }, { expectedStatus: [ 200, 201 ] });
+      expect(res.status).to.equal(200);
+    });
+
+    it('should fail testing a create route if the status code is not the default one', async () => {
+      const app = buildApp(app => app.post('/test', (req, res) => res.status(200).send({ resource: 'existing' })));
+      const helper = new SuperRest(app);
+      await expect(helper.create('/test', { foo: 'bar' })).to.be.rejectedWith('Expected HTTP status code 200 to equal 201');
+    });
+  });
+
+  describe('"expectedHeaders" option', () => {
+
+    function buildHeadersApp() {
+      return buildApp(app => app.get('/test', (req, res) => res.set({ 'Cache-Control': 'no-cache', 'X-Version': '2' }).send({ resource: 'retrieved' })));
+    }
+
+    it('should test a route and match the headers given at construction and to the method', async () => {
+      const helper = new SuperRest(buildHeadersApp(), { expectedHeaders: { 'Cache-Control': 'no-cache', 'X-Secret': false } });
+      const predicate = spy(value => value === '2');
+      const res = await helper.read('/test', { expectedHeaders: { 'X-Version': predicate, ETag: true, 'Content-Length': /^\d+$/ } });
+      expect(res.body).to.eql({ resource: 'retrieved' });
+      expect(predicate.args).to.eql([ [ '2', res ] ]);
+    });
+
+    it('should test a route without checking a header given at construction if set to null when calling the method', async () => {
+      const helper = new SuperRest(buildHeadersApp(), { expectedHeaders: { 'Cache-Control': 'no-store' } });
+      const res = await helper.read('/test', { expectedHeaders: { 'Cache-Control': null } });
+      expect(res.body).to.eql({ resource: 'retrieved' });
+    });
+
+    it('should fail testing a route if a header given at construction does not match', async () => {
+      const helper = new SuperRest(buildHeadersApp(), { expectedHeaders: { 'Cache-Control': 'no-store' } });
+      await expect(helper.read('/test')).to.be.rejectedWith('Expected HTTP Cache-Control header "no-cache" to equal "no-store"');
+    });
+
+    it('should fail testing a route if a header given to the method does not match', async () => {
+      const helper = new SuperRest(buildHeadersApp());
+      await expect(helper.read('/test', { expectedHeaders: { 'Cache-Control': /private/ } })).to.be.rejectedWith('Expected HTTP Cache-Control header "no-cache" to match /private/');
+      await expect(helper.read('/test', { expectedHeaders: { 'X-Missing': /foo/ } })).to.be.rejectedWith('Expected missing HTTP X-Missing header to match /foo/');
+      await expect(helper.read('/test', { expectedHeaders: { 'X-Missing': true } })).to.be.rejectedWith('Expected HTTP X-Missing header to be present');
+      await expect(helper.read('/test', { expectedHeaders: { 'X-Version': false } })).to.be.rejectedWith('Expected HTTP X-Version header "2" to be absent');
+      await expect(helper.read('/test', { expectedHeaders: { 'X-Version': value => value === '3' } })).to.be.rejectedWith('Expected HTTP X-Version header "2" to satisfy the expected header function');
+      await expect(helper.read('/test', { expectedHeaders: { 'X-Missing': value => value } })).to.be.rejectedWith('Expected HTTP X-Missing header (missing) to satisfy the expected header function');
+      await expect(helper.read('/test', { expectedHeaders: { 'X-Version': 2 } })).to.be.rejectedWith('Unsupported expected HTTP X-Version header 2');
+    });
+  });
+
+  describe('"expectedLocation" option', () => {
+
+    function buildLocationApp(location) {
+      return buildApp(app => {
+        app.post('/api/users', (req, res) => res.status(201).set('Location', location).send({ id: 42, name: req.body.name }));
+        app.get('/api/users/42', (req, res) => res.send({ id: 42, name: 'John Doe' }));
+      });
+    }
+
+    it('should test a create route and match a Location header pointing at the created resource', async () => {
+      const helper = new SuperRest(buildLocationApp('http://example.com/api/users/42'), { pathPrefix: '/api' });
+      const res = await helper.create('/users', { name: 'John Doe' }, { expectedLocation: true });
+      expect(res.body).to.eql({ id: 42, name: 'John Doe' });
+    });
+
+    it('should test a create route and match the Location header given to the method', async () => {
+      const helper = new SuperRest(buildLocationApp('/api/users/42'), { pathPrefix: '/api' });
+      const res = await helper.create('/users', { name: 'John Doe' }, { expectedLocation: '/api/users/42' });
+      expect(res.body).to.eql({ id: 42, name: 'John Doe' });
+    });
+
+    it('should fail testing a create route if the Location header does not point at the created resource', async () => {
+      const helper = new SuperRest(buildLocationApp('/api/users/4'), { pathPrefix: '/api' });
+      await expect(helper.create('/users', { name: 'John Doe' }, { expectedLocation: true })).to.be.rejectedWith('Expected HTTP Location header "/api/users/4" to point to the resource with id 42');
+      await expect(helper.create('/users', { name: 'John Doe' }, { expectedLocation: true, idProperty: 'name' })).to.be.rejectedWith('Expected HTTP Location header "/api/users/4" to point to the resource with name "John Doe"');
+    });
+
+    it('should fail testing a create route if the Location header is missing', async () => {
+      const helper = new SuperRest(buildApp(app => app.post('/users', (req, res) => res.status(201).send({ id: 42 }))));
+      await expect(helper.create('/users', { name: 'John Doe' }, { expectedLocation: true })).to.be.rejectedWith('Expected HTTP Location header to be present');
+    });
+
+    it('should follow the Location header of a response', async () => {
+      const helper = new SuperRest(buildLocationApp('http://example.com/api/users/42'), { pathPrefix: '/api' });
+      const created = await helper.create('/users', { name: 'John Doe' });
+      const res = await helper.followLocation(created);
+      expect(res.body).to.eql({ id: 42, name: 'John Doe' });
+    });
+
+    it('should not follow a missing Location header', async () => {
+      const helper = new SuperRest(buildApp(app => app.post('/users', (req, res) => res.status(201).send({ id: 42 }))));
+      const created = await helper.create('/users', { name: 'John Doe' });
+      expect(() => helper.followLocation(created)).to.throw('Cannot follow the missing HTTP Location header of a response with status code 201');
+    });
+  });
+
+  describe('"captureValidators" option', () => {
+    it('should capture the ETag and Last-Modified headers of a read route', async () => {
+      const lastModified = new Date(Date.UTC(2017, 0, 1)).toUTCString();
+      const app = buildApp(app => {
+        app.get('/api/test', (req, res) => res.set({ ETag: '"foo"', 'Last-Modified': lastModified }).send({ resource: 'retrieved' }));
+        app.get('/api/weak', (req, res) => res.set({ ETag: 'W/"bar"' }).send({ resource: 'retrieved' }));
+      });
+
+      const helper = new SuperRest(app, { pathPrefix: '/api' });
+      expect(helper.getValidators('/test')).to.equal(undefined);
+
+      await helper.read('/test', { captureValidators: true });
+      await helper.read('/weak', { captureValidators: true });
+      expect(helper.getValidators('/test')).to.eql({ etag: '"foo"', lastModified });
+      expect(helper.getValidators('/api/weak', { pathPrefix: false })).to.eql({ etag: 'W/"bar"' });
+    });
+
+    it('should fail testing a read route without ETag and Last-Modified headers', async () => {
+      const app = buildApp(app => app.set('etag', false).get('/test', (req, res) => res.send({ resource: 'retrieved' })));
+      const helper = new SuperRest(app);
+      await expect(helper.read('/test', { captureValidators: true })).to.be.rejectedWith('Expected HTTP ETag or Last-Modified header to be present in the response to GET /test');
+    });
+  });
+
+  describe('"schema" option', () => {
+
+    const userSchema = {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        name: { type: 'string' },
+        tags: { type: 'array', items: { type: 'string' } }
+      },
+      required: [ 'id', 'name' ]
+    };
+
+    it('should test a route and match the schema given to the method', async () => {
+      const app = buildApp(app => app.get('/test', (req, res) => res.send({ id: 1, name: 'John Doe' })));
+      const helper = new SuperRest(app);
+      const res = await helper.test('GET', '/test', undefined, { schema: userSchema });
+      expect(res.body).to.eql({ id: 1, name: 'John Doe' });
+    });
+
+    it('should test a route and match a named schema given at construction', async () => {
+      const app = buildApp(app => app.get('/test', (req, res) => res.send([ { id: 1, name: 'John Doe' } ])));
+      const helper = new SuperRest(app, {
+        schemas: {
+          user: userSchema,
+          users: { type: 'array', items: { $ref: 'user' } }
+        }
+      });
+
+      const res = await helper.test('GET', '/test', undefined, { schema: 'users' });
+      expect(res.body).to.eql([ { id: 1, name: 'John Doe' } ]);
+    });
+
+    it('should test a read route and match the schema given to the method', async () => {
+      const app = buildApp(app => app.get('/test', (req, res) => res.send({ id: 1, name: 'John Doe' })));
+      const helper = new SuperRest(app, { schemas: { user: userSchema } });
+      const res = await helper.read('/test', { schema: 'user' });
+      expect(res.body).to.eql({ id: 1, name: 'John Doe' });
+    });
+
+    it('should fail testing a route with all violations of the schema given to the method', async () => {
+      const app = buildApp(app => app.get('/test', (req, res) => res.send({ id: 'foo', tags: [ 'bar', 2 ] })));
+      const helper = new SuperRest(app);
+      await expect(helper.test('GET', '/test', undefined, { schema: userSchema })).to.be.rejectedWith([
+        'Expected HTTP response body to match the JSON schema:',
+        '* #/id should be integer',
+        '* # should have required property \'name\'',
+        '* #/tags/1 should be string'
+      ].join('\n'));
+    });
+
+    it('should fail testing a create route if the body does not match a named schema given at construction', async () => {
+      const app = buildApp(app => app.post('/test', (req, res) => res.status(201).send({ id: 1, name: 42 })));
+      const helper = new SuperRest(app, { schemas: { user: userSchema } });
+      await expect(helper.create('/test', { name: 42 }, { schema: 'user' })).to.be.rejectedWith('Expected HTTP response body to match the JSON schema:\n* #/name should be string');
+    });
+
+    it('should fail testing a route with an unknown named schema', async () => {
+      const app = buildApp(app => app.get('/test', (req, res) => res.send({ id: 1, name: 'John Doe' })));
+      const helper = new SuperRest(app);
+      await expect(helper.test('GET', '/test', undefined, { schema: 'user' })).to.be.rejectedWith('Unknown JSON schema "user"');
+    });
+  });
+
+  describe('"openApi" option', () => {
+
+    const openApiFile = path.join(__dirname, 'fixtures', 'openapi.yml');
+
+    function buildUsersApp() {
+      return buildApp(app => {
+        app.post('/api/users', (req, res) => req.body.name ? res.status(201).send(_.extend({ id: 1 }, req.body)) : res.status(422).send({ message: 'name is required' }));
+        app.get('/api/users/me', (req, res) => res.send({ id: 1, name: 'John Doe', nickname: null }));
+        app.get('/api/users/:id', (req, res) => {
+          if (req.params.id === '404') {
+            res.status(404).send({ message: 'not found' });
+          } else if (req.params.id === '500') {
+            res.status(500).send({ message: 'oops' });
+          } else if (req.params.id === 'invalid') {
+            res.send({ id: 'foo', name: 42 });
+          } else if (req.params.id === 'text') {
+            res.send('John Doe');
+          } else {
+            res.send({ id: parseInt(req.params.id, 10), name: 'John Doe' });
+          }
+        });
+        app.get('/api/undocumented', (req, res) => res.send({ undocumented: true }));
+      });
+    }
+
+    it('should test routes that comply with the OpenAPI document given at construction', async () => {
+      const helper = new SuperRest(buildUsersApp(), { openApi: openApiFile, pathPrefix: '/api' });
+
+      const created = await helper.create('/users', { name: 'John Doe' });
+      expect(created.body).to.eql({ id: 1, name: 'John Doe' });
+
+      const read = await helper.read('/users/1?include=all');
+      expect(read.body).to.eql({ id: 1, name: 'John Doe' });
+
+      const me = await helper.read('/users/me');
+      expect(me.body).to.eql({ id: 1, name: 'John Doe', nickname: null });
+
+      const notFound = await helper.read('/users/404', { expectedStatus: 404 });
+      expect(notFound.body).to.eql({ message: 'not found' });
+    });
+
+    it('should test a route that complies with an OpenAPI document object', async () => {
+      const app = buildApp(app => app.get('/test', (req, res) => res.send({ resource: 'retrieved' })));
+      const helper = new SuperRest(app, {
+        openApi: {
+          openapi: '3.0.0',
+          paths: {
+            '/test': {
+              get: {
+                responses: {
+                  200: { content: { 'application/*': { schema: { type: 'object', required: [ 'resource' ] } } } }
+                }
+              }
+            }
+          }
+        }
+      });
+
+      const res = await helper.read('/test');
+      expect(res.body).to.eql({ resource: 'retrieved' });
+    });
+
+    it('should verify the data type formats defined by OpenAPI without warnings', async () => {
+      const app = buildApp(app => app.get('/test', (req, res) => res.send({ count: Number(req.query.count), data: req.query.data, id: 'abc' })));
+      const warn = stub(console, 'warn');
+
+      let helper;
+      try {
+        helper = new SuperRest(app, {
+          openApi: {
+            openapi: '3.0.0',
+            paths: {
+              '/test': {
+                get: {
+                  responses: {
+                    200: {
+                      content: {
+                        'application/json': {
+                          schema: {
+                            type: 'object',
+                            properties: {
+                              count: { type: 'integer', format: 'int32' },
+                              data: { type: 'string', format: 'byte' },
+                              id: { type: 'string', format: 'x-custom' }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        });
+
+        await helper.read('/test', { query: { count: 42, data: 'aGVsbG8=' } });
+      } finally {
+        warn.restore();
+      }
+
+      expect(warn.called).to.equal(false);
+      await expect(helper.read('/test', { query: { count: 2 ** 31, data: 'not base64!' } })).to.be.rejectedWith([
+        'Expected HTTP response body to match the OpenAPI schema for GET /test 200:',
+        '* #/count should match format "int32"',
+        '* #/data should match format "byte"'
+      ].join('\n'));
+    });
+
+    it('should not verify an invalid request body rejected by the server', async () => {
+      const helper = new SuperRest(buildUsersApp(), { openApi: openApiFile, pathPrefix: '/api' });
+      const res = await helper.create('/users', { nickname: 'jdoe' }, { expectedStatus: 422 });
+      expect(res.body).to.eql({ message: 'name is required' });
+    });
+
+    it('should test an undocumented route if verification is disabled for the method', async () => {
+      const helper = new SuperRest(buildUsersApp(), { openApi: openApiFile, pathPrefix: '/api' });
+      const res = await helper.read('/undocumented', { openApi: false });
+      expect(res.body).to.eql({ undocumented: true });
+    });
+
+    it('should fail testing an undocumented route', async () => {
+      const helper = new SuperRest(buildUsersApp(), { openApi: openApiFile, pathPrefix: '/api' });
+      await expect(helper.read('/undocumented')).to.be.rejectedWith('No OpenAPI operation is documented for GET /undocumented');
+    });
+
+    it('should fail testing an undocumented method', async () => {
+      const helper = new SuperRest(buildUsersApp(), { openApi: openApiFile, pathPrefix: '/api' });
+      await expect(helper.update('/users/1', { name: 'Jane Doe' }, { expectedStatus: false })).to.be.rejectedWith('No OpenAPI operation is documented for PUT /users/1');
+    });
+
+    it('should fail testing a route with an undocumented status code', async () => {
+      const helper = new SuperRest(buildUsersApp(), { openApi: openApiFile, pathPrefix: '/api' });
+      await expect(helper.read('/users/500', { expectedStatus: 500 })).to.be.rejectedWith('HTTP status code 500 is not documented for OpenAPI operation GET /users/{id}');
+    });
+
+    it('should fail testing a route with an undocumented content type', async () => {
+      const helper = new SuperRest(buildUsersApp(), { openApi: openApiFile, pathPrefix: '/api' });
+      await expect(helper.read('/users/text')).to.be.rejectedWith('Expected HTTP Content-Type header "text/html; charset=utf-8" to match one of the media types documented for OpenAPI operation GET /users/{id} 200: application/json');
+    });
+
+    it('should fail testing a route with a response body that does not match the documented schema', async () => {
+      const helper = new SuperRest(buildUsersApp(), { openApi: openApiFile, pathPrefix: '/api' });
+      await expect(helper.read('/users/invalid')).to.be.rejectedWith([
+        'Expected HTTP response body to match the OpenAPI schema for GET /users/{id} 200:',
+        '* #/name should be string',
+        '* #/id should be integer'
+      ].join('\n'));
+    });
+
+    it('should fail testing a route with an accepted request body that does not match the documented schema', async () => {
+      const helper = new SuperRest(buildUsersApp(), { openApi: openApiFile, pathPrefix: '/api' });
+      await expect(helper.create('/users', { name: 'John Doe', nickname: 42 })).to.be.rejectedWith('Expected HTTP request body to match the OpenAPI schema for POST /users:\n* #/nickname should be string');
+    });
+
+    it('should fail testing a route with a missing required request body', async () => {
+      const app = buildApp(app => app.post('/users', (req, res) => res.status(201).send({ id: 1, name: 'John Doe' })));
+      const helper = new SuperRest(app, { openApi: openApiFile });
+      await expect(helper.create('/users')).to.be.rejectedWith('Expected a request body for OpenAPI operation POST /users');
+    });
+
+    it('should not require read-only properties in requests nor write-only properties in responses', async () => {
+      const app = buildApp(app => app.post('/accounts', (req, res) => res.status(201).send({ id: 1, name: req.body.name })));
+      const helper = new SuperRest(app, {
+        openApi: {
+          openapi: '3.0.0',
+          components: {
+            schemas: {
+              Account: {
+                type: 'object',
+                required: [ 'id', 'name', 'password' ],
+                properties: {
+                  id: { $ref: '#/components/schemas/Id' },
+                  name: { type: 'string' },
+                  password: { type: 'string', writeOnly: true }
+                }
+              },
+              Id: { type: 'integer', readOnly: true }
+            }
+          },
+          paths: {
+            '/accounts': {
+              post: {
+                requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Account' } } } },
+                responses: {
+                  201: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Account' } } } }
+                }
+              }
+            }
+          }
+        }
+      });
+
+      const res = await helper.create('/accounts', { name: 'jdoe', password: 'secret' });
+      expect(res.body).to.eql({ id: 1, name: 'jdoe' });
+
+      await expect(helper.create('/accounts', { password: 'secret' })).to.be.rejectedWith([
+        'Expected HTTP request body to match the OpenAPI schema for POST /accounts:',
+        '* # should have required property \'name\''
+      ].join('\n'));
+    });
+
+    it('should verify a request body against the schema of the media type it was sent as', async () => {
+      const app = buildApp(app => app.post('/search', (req, res) => res.send([])));
+      const helper = new SuperRest(app, {
+        openApi: {
+          openapi: '3.0.0',
+          paths: {
+            '/search': {
+              post: {
+                requestBody: {
+                  content: {
+                    'application/json': { schema: { type: 'object', required: [ 'query' ] } },
+                    'application/x-www-form-urlencoded': { schema: { type: 'object', required: [ 'q' ] } }
+                  }
+                },
+                responses: {
+                  200: { content: { 'application/json': { schema: { type: 'array' } } } }
+                }
+              }
+            }
+          }
+        }
+      });
+
+      await helper.create('/search', { query: 'foo' }, { expectedStatus: 200 });
+      await helper.create('/search', { q: 'foo' }, { bodyType: 'form', expectedStatus: 200 });
+
+      await expect(helper.create('/search', { query: 'foo' }, { bodyType: 'form', expectedStatus: 200 })).to.be.rejectedWith([
+        'Expected HTTP request body to match the OpenAPI schema for POST /search:',
+        '* # should have required property \'q\''
+      ].join('\n'));
+
+      await expect(helper.create('/search', 'foo', { bodyType: 'text', expectedStatus: 200 })).to.be.rejectedWith('Expected HTTP request Content-Type header "text/plain" to match one of the media types documented for OpenAPI operation POST /search: application/json, application/x-www-form-urlencoded');
+    });
+
+    it('should fail to construct a helper with an invalid OpenAPI document', () => {
+      expect(() => new SuperRest(buildApp(), { openApi: { openapi: '3.0.0' } })).to.throw('OpenAPI document must be an object with a "paths" property');
+    });
+  });
+
+  describe('"headers" option', () => {
+
+    function buildHeadersApp() {
+      return buildApp(app => app.get('/test', (req, res) => res.send(_.pick(req.headers, 'accept', 'x-tenant', 'x-trace-id'))));
+    }
+
+    it('should test a route with the headers given at construction', async () => {
+      const helper = new SuperRest(buildHeadersApp(), { headers: { Accept: 'application/json', 'X-Tenant': 'foo' } });
+      const res = await helper.test('GET', '/test');
+      expect(res.body).to.eql({ accept: 'application/json', 'x-tenant': 'foo' });
+    });
+
+    it('should test a route with the headers given to the method over the ones given at construction', async () => {
+      const helper = new SuperRest(buildHeadersApp(), { headers: { Accept: 'application/json', 'X-Tenant': 'foo' } });
+      const res = await helper.read('/test', { headers: { 'X-Tenant': 'bar', 'X-Trace-Id': '42' } });
+      expect(res.body).to.eql({ accept: 'application/json', 'x-tenant': 'bar', 'x-trace-id': '42' });
+    });
+
+    it('should test a route without a header given at construction if set to false when calling the method', async () => {
+      const helper = new SuperRest(buildHeadersApp(), { headers: { Accept: 'application/json', 'X-Tenant': 'foo' } });
+      const res = await helper.read('/test', { headers: { 'X-Tenant': false } });
+      expect(res.body).to.eql({ accept: 'application/json' });
+    });
+  });
+
+  describe('"query" option', () => {
+    it('should test a route with the query parameters given to the method', async () => {
+      const app = buildApp(app => app.get('/test', (req, res) => res.send({ url: req.url })));
+      const helper = new SuperRest(app);
+      const res = await helper.read('/test', { query: { search: 'John Doe', tags: [ 'a', 'b' ] } });
+      expect(res.body).to.eql({ url: '/test?search=John%20Doe&tags=a&tags=b' });
+    });
+
+    it('should test a route with a query string given to the method', async () => {
+      const app = buildApp(app => app.get('/test', (req, res) => res.send({ url: req.url })));
+      const helper = new SuperRest(app);
+      const res = await helper.read('/test?page=1', { query: 'sort=name' });
+      expect(res.body).to.eql({ url: '/test?page=1&sort=name' });
+    });
+  });
+
+  describe('"beforeRequest" and "afterResponse" options', () => {
+    it('should call the hooks given at construction in order', async () => {
+      const app = buildApp(app => app.post('/api/test', (req, res) => res.set('X-Request-Duration', '10').send(_.pick(req.headers, 'x-trace-id', 'x-tenant'))));
+
+      const calls = [];
+      const helper = new SuperRest(app, {
+        pathPrefix: '/api',
+        headers: { 'X-Tenant': 'foo' },
+        beforeRequest: [
+          (test, req, options) => {
+            calls.push([ 'before1', req, options ]);
+            return test.set('X-Trace-Id', '42');
+          },
+          (test, req) => {
+            calls.push([ 'before2', req.method ]);
+          }
+        ],
+        afterResponse: [
+          (res, req, options) => calls.push([ 'after1', res.body, req.path, options ]),
+          res => calls.push([ 'after2', res.get('X-Request-Duration') ])
+        ]
+      });
+
+      const res = await helper.test('POST', '/test', { foo: 'bar' }, { query: { baz: 'qux' } });
+      expect(res.body).to.eql({ 'x-trace-id': '42', 'x-tenant': 'foo' });
+      expect(calls).to.eql([
+        [ 'before1', { method: 'POST', path: '/api/test', query: { baz: 'qux' }, headers: { 'X-Tenant': 'foo' }, body: { foo: 'bar' } }, { query: { baz: 'qux' } } ],
+        [ 'before2', 'POST' ],
+        [ 'after1', { 'x-trace-id': '42', 'x-tenant': 'foo' }, '/api/test', { query: { baz: 'qux' } } ],
+        [ 'after2', '10' ]
+      ]);
+    });
+
+    it('should fail testing a route if an "afterResponse" hook throws an error', async () => {
+      const app = buildApp(app => app.get('/test', (req, res) => res.set('X-Request-Duration', '200').send({ resource: 'retrieved' })));
+      const helper = new SuperRest(app, {
+        afterResponse: [
+          res => {
+            if (parseInt(res.get('X-Request-Duration'), 10) > 100) {
+              throw new Error('Request took too long');
+            }
+          }
+        ]
+      });
+
+      await expect(helper.read('/test')).to.be.rejectedWith('Request took too long');
+    });
   });
 
   describe('"pathPrefix" option', () => {
@@ -0,0 +1,173 @@
+/* istanbul ignore file */
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const express = require('express');
+const { stub } = require('sinon');
+
+const SuperRest = require('../index');
+
+chai.use(chaiAsPromised);
+
+const expect = chai.expect;
+
+describe('Hypermedia links', () => {
+
+  let app;
+  let requests;
+  beforeEach(() => {
+    requests = [];
+
+    app = express();
+    app.use((req, res, next) => {
+      requests.push(`${req.method} ${req.url}`);
+      next();
+    });
+
+    app.get('/orders', (req, res) => {
+      const page = parseInt(req.query.page || '1', 10);
+      res.send({
+        _links: {
+          self: { href: `/orders?page=${page}` },
+          next: page < 2 ? { href: `/orders?page=${page + 1}` } : undefined,
+          find: { href: '/orders/{id}{?embed}', templated: true },
+          item: [ { href: '/orders/1' }, { href: '/orders/2' } ],
+          curies: [ { name: 'acme', href: 'https://docs.example.com/{rel}', templated: true } ],
+          help: { href: 'https://docs.example.com/orders' }
+        },
+        page
+      });
+    });
+
+    app.get('/orders/:id', (req, res) => {
+      if (req.params.id > 2) {
+        return res.sendStatus(404);
+      }
+
+      res.send({ id: parseInt(req.params.id, 10), embed: req.query.embed, _links: { self: { href: '/orders/1' } } });
+    });
+
+    app.get('/articles', (req, res) => {
+      res.set('Link', '</articles?page=2>; rel="next last"').type('application/vnd.api+json').send(JSON.stringify({
+        data: [],
+        links: { self: '/articles', prev: null, related: { href: '/authors' } }
+      }));
+    });
+
+    app.get('/articles/broken', (req, res) => res.send({ _links: { self: { href: '/articles/broken' }, author: {}, comments: { href: '/articles/broken/comments' } } }));
+    app.get('/authors', (req, res) => res.send([]));
+  });
+
+  describe('links option', () => {
+    it('should request the links of a HAL response', async () => {
+      const res = await new SuperRest(app).read('/orders', { links: true });
+
+      expect(res.body.page).to.equal(1);
+      expect(requests).to.eql([ 'GET /orders', 'GET /orders?page=1', 'GET /orders?page=2', 'GET /orders/1', 'GET /orders/2' ]);
+    });
+
+    it('should report broken links together', async () => {
+      const err = await expect(new SuperRest(app).read('/articles/broken', { links: true })).to.be.rejectedWith(SuperRest.SuperRestAssertionError, '2 expectations failed:\n* Expected the "author" link of the HAL _links to have an href, got undefined\n* Expected HTTP status code 404 to be in the 2xx class for the "comments" link /articles/broken/comments');
+      expect(err.failures).to.have.lengthOf(2);
+      expect(err.failures[1]).to.include({ actual: 404, check: 'comments link (status)', expected: '2xx' });
+      expect(requests).to.eql([ 'GET /articles/broken', 'GET /articles/broken', 'GET /articles/broken/comments' ]);
+    });
+
+    it('should request the links of Link headers and JSON:API responses', async () => {
+      const helper = new SuperRest(app, { links: { method: 'HEAD' } });
+      await helper.read('/articles', { expectedContentType: 'application/vnd.api+json; charset=utf-8' });
+      expect(requests).to.eql([ 'GET /articles', 'HEAD /articles?page=2', 'HEAD /articles', 'HEAD /authors' ]);
+    });
+
+    it('should only validate the specified relation types', async () => {
+      await new SuperRest(app).read('/orders?page=2', { links: { rels: [ 'self', 'next' ] } });
+      expect(requests).to.eql([ 'GET /orders?page=2', 'GET /orders?page=2' ]);
+    });
+
+    it('should check that the required links are advertised without requesting them', async () => {
+      const helper = new SuperRest(app, { links: { method: false, required: [ 'self', 'next' ] } });
+      await helper.read('/orders');
+      await expect(helper.read('/orders?page=2')).to.be.rejectedWith(SuperRest.SuperRestAssertionError, /^Expected the response to advertise a "next" link$/);
+      await expect(helper.read('/articles/broken')).to.be.rejectedWith(/^2 expectations failed:\n\* Expected the response to advertise a "next" link\n\* Expected the "author" link of the HAL _links to have an href, got undefined$/);
+      expect(requests).to.eql([ 'GET /orders', 'GET /orders?page=2', 'GET /articles/broken' ]);
+    });
+
+    it('should not verify links against the OpenAPI document nor record them', async () => {
+      const recorder = new SuperRest.HarRecorder({ file: 'links.har' });
+      stub(recorder, 'save');
+
+      const helper = new SuperRest(app, {
+        coverage: true,
+        links: true,
+        openApi: {
+          openapi: '3.0.0',
+          info: { title: 'Orders API', version: '1.0.0' },
+          paths: {
+            '/orders': { get: { responses: { 200: { description: 'A page of orders.', content: { 'application/json': { schema: { type: 'object' } } } } } } }
+          }
+        },
+        record: recorder
+      });
+
+      await helper.read('/orders');
+
+      expect(requests).to.eql([ 'GET /orders', 'GET /orders?page=1', 'GET /orders?page=2', 'GET /orders/1', 'GET /orders/2' ]);
+      expect(recorder.entries).to.have.lengthOf(1);
+      expect(recorder.entries[0].request.url).to.match(/\/orders$/);
+      expect(helper.coverage.report()).to.include({ tested: 1, total: 1 });
+      expect(helper.coverage.report().unmatched).to.eql([]);
+    });
+
+    it('should not validate links when disabled', async () => {
+      await new SuperRest(app, { links: true }).read('/orders', { links: false });
+      expect(requests).to.eql([ 'GET /orders' ]);
+    });
+
+    it('should fail with invalid link options', () => {
+      const helper = new SuperRest(app);
+      expect(() => helper.read('/orders', { links: { method: 'POST' } })).to.throw('Link validation method must be "GET", "HEAD" or false, got "POST"');
+      expect(() => helper.read('/orders', { links: { rel: [ 'self' ] } })).to.throw('Unknown option "rel" given to the "links" option; did you mean "rels"?');
+      expect(requests).to.eql([]);
+    });
+  });
+
+  describe('follow', () => {
+    it('should request a link by its relation type', async () => {
+      const helper = new SuperRest(app, { pathPrefix: '/api' });
+      const res = await helper.read('/orders', { pathPrefix: false });
+      const next = await helper.follow(res, 'next');
+      const item = await helper.follow(next, 'item');
+
+      expect(next.body.page).to.equal(2);
+      expect(item.body.id).to.equal(1);
+    });
+
+    it('should expand templated links', async () => {
+      const helper = new SuperRest(app);
+      const res = await helper.read('/orders');
+      const order = await helper.follow(res, 'find', { params: { id: 1, embed: 'items' } });
+
+      expect(order.body).to.include({ id: 1, embed: 'items' });
+      await helper.follow(res, 'find', { params: { id: 3 }, expectedStatus: 404 });
+      expect(requests.slice(-1)).to.eql([ 'GET /orders/3' ]);
+    });
+
+    it('should follow links of Link headers and JSON:API responses', async () => {
+      const helper = new SuperRest(app);
+      const res = await helper.read('/articles');
+      await helper.follow(res, 'related');
+      await helper.follow(res, 'last', { expectedContentType: /^application\/vnd\.api\+json/ });
+
+      expect(requests).to.eql([ 'GET /articles', 'GET /authors', 'GET /articles?page=2' ]);
+    });
+
+    it('should fail if the link cannot be followed', async () => {
+      const helper = new SuperRest(app);
+      const res = await helper.read('/orders?page=2');
+      expect(() => helper.follow(res, 'next')).to.throw('Cannot follow the "next" link of a response with status code 200 that does not advertise it (it advertises "self", "find", "item", "help")');
+      expect(() => helper.follow(res, 'help')).to.throw('Cannot follow the "help" link https://docs.example.com/orders to another host');
+
+      const broken = await helper.read('/articles/broken');
+      expect(() => helper.follow(broken, 'author')).to.throw('Cannot follow the "author" link of the HAL _links: it has no href');
+    });
+  });
+});
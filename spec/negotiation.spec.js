@@ -0,0 +1,110 @@
+/* istanbul ignore file */
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const express = require('express');
+
+const SuperRest = require('../index');
+
+chai.use(chaiAsPromised);
+
+const expect = chai.expect;
+
+describe('Content negotiation', () => {
+
+  let app;
+  beforeEach(() => {
+    app = express();
+
+    const report = { id: 1, total: 42 };
+
+    app.get('/reports/1', (req, res) => {
+      if (req.acceptsLanguages('fr', 'en') === 'fr') {
+        res.set('Content-Language', 'fr');
+      } else {
+        res.set('Content-Language', 'en');
+      }
+
+      res.format({
+        'application/json': () => res.send(report),
+        'application/hal+json': () => res.type('application/hal+json').send(JSON.stringify(Object.assign({ _links: { self: { href: '/reports/1' } } }, report))),
+        'text/csv': () => res.type('text/csv').send('id,total\n1,42'),
+        default: () => res.status(406).type('application/problem+json').send(JSON.stringify({ title: 'Not Acceptable' }))
+      });
+    });
+
+    app.get('/broken', (req, res) => res.send(report));
+  });
+
+  it('should check the Content-Type of each variant', async () => {
+    const helper = new SuperRest(app);
+    const responses = await helper.expectNegotiation('/reports/1', {
+      'application/json': /^application\/json/,
+      'application/hal+json': /^application\/hal\+json/,
+      'text/csv': 'text/csv; charset=utf-8'
+    }, { notAcceptable: [ 'application/xml', 'image/png' ] });
+
+    expect(responses.map(res => res.status)).to.eql([ 200, 200, 200, 406, 406 ]);
+    expect(responses[1].body._links).to.eql({ self: { href: '/reports/1' } });
+    expect(responses[2].text).to.equal('id,total\n1,42');
+  });
+
+  it('should check the Content-Language of each variant', async () => {
+    const helper = new SuperRest(app, { expectedContentType: /^application\/json/ });
+    await helper.expectNegotiation('/reports/1', [
+      { accept: 'application/json', acceptLanguage: 'fr', contentLanguage: 'fr' },
+      { accept: 'text/csv', acceptLanguage: 'de, en;q=0.5', contentType: /^text\/csv/, contentLanguage: 'en' },
+      { acceptLanguage: 'en', contentLanguage: 'en', schema: { type: 'object', required: [ 'total' ] } }
+    ], { notAcceptable: 'application/xml' });
+  });
+
+  it('should combine the options of the method with those of each variant', async () => {
+    const helper = new SuperRest(app);
+    const options = { expectedHeaders: { 'Content-Language': 'fr', ETag: true }, expectedStatus: [ 406, 200 ], headers: { 'Accept-Language': 'fr' } };
+
+    await helper.expectNegotiation('/reports/1', [
+      { accept: 'application/json', contentType: /^application\/json/ },
+      { accept: 'text/csv', acceptLanguage: 'en', contentType: /^text\/csv/, contentLanguage: 'en' }
+    ], options);
+
+    await expect(helper.expectNegotiation('/reports/1', [
+      { accept: 'application/json', contentType: /^application\/json/, expectedStatus: [ 201 ] }
+    ], options)).to.be.rejectedWith(SuperRest.SuperRestAssertionError, /^Expected HTTP status code 200 to be one of 201 with Accept: application\/json$/);
+  });
+
+  it('should report all variants that do not match', async () => {
+    const helper = new SuperRest(app);
+    const err = await expect(helper.expectNegotiation('/broken', {
+      'application/json': /^application\/json/,
+      'text/csv': /^text\/csv/
+    }, { notAcceptable: 'application/xml' })).to.be.rejectedWith(SuperRest.SuperRestAssertionError);
+
+    expect(err.message).to.equal([
+      '2 expectations failed:',
+      '* Expected HTTP Content-Type header "application/json; charset=utf-8" to match /^text\\/csv/ with Accept: text/csv',
+      '* Expected HTTP status code 200 to equal 406 with Accept: application/xml'
+    ].join('\n'));
+
+    expect(err.expected).to.eql({
+      'Accept: text/csv (Content-Type)': '/^text\\/csv/',
+      'Accept: application/xml (status)': 406
+    });
+  });
+
+  it('should fail with invalid variants', async () => {
+    await expect(new SuperRest(app).expectNegotiation('/reports/1', 'application/json')).to.be.rejectedWith('Negotiation variants must be an object or an array, got "application/json"');
+  });
+
+  describe('with several expected content types', () => {
+    it('should accept any of them', async () => {
+      const helper = new SuperRest(app, { expectedContentType: [ 'text/csv; charset=utf-8', /^application\/hal\+json/ ] });
+      await helper.read('/reports/1', { headers: { Accept: 'text/csv' } });
+      await helper.read('/reports/1', { headers: { Accept: 'application/hal+json' } });
+    });
+
+    it('should fail if none of them match', async () => {
+      const helper = new SuperRest(app);
+      const err = await expect(helper.read('/reports/1', { expectedContentType: [ 'text/csv', /^application\/hal\+json/ ] })).to.be.rejectedWith(/^Expected HTTP Content-Type header "application\/json; charset=utf-8" to match one of "text\/csv", \/\^application\\\/hal\\\+json\/\n/);
+      expect(err.expected).to.eql([ 'text/csv', '/^application\\/hal\\+json/' ]);
+    });
+  });
+});
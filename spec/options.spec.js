@@ -0,0 +1,150 @@
+/* istanbul ignore file */
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const express = require('express');
+const _ = require('lodash');
+
+const SuperRest = require('../index');
+
+chai.use(chaiAsPromised);
+
+const expect = chai.expect;
+
+describe('Options validation', () => {
+
+  let app;
+  beforeEach(() => {
+    app = express();
+    app.get('/test', (req, res) => res.send({ ok: true }));
+  });
+
+  describe('constructor', () => {
+    it('should accept valid options', () => {
+      const helper = new SuperRest(app, {
+        afterResponse: [ _.noop ],
+        coverage: new SuperRest.ApiCoverage(),
+        expectedContentType: /^application\/json/,
+        maxDuration: 100,
+        pathPrefix: '/api',
+        record: undefined,
+        updateMethod: null
+      });
+
+      expect(helper.pathPrefix).to.equal('/api');
+    });
+
+    it('should reject unknown options', () => {
+      expect(() => new SuperRest(app, { prefix: '/api' })).to.throw('Unknown option "prefix" given to the SuperRest constructor; did you mean "pathPrefix"?');
+      expect(() => new SuperRest(app, { updateMetod: 'PATCH' })).to.throw('Unknown option "updateMetod" given to the SuperRest constructor; did you mean "updateMethod"?');
+      expect(() => new SuperRest(app, { foo: 'bar' })).to.throw(/^Unknown option "foo" given to the SuperRest constructor$/);
+    });
+
+    it('should reject options of the wrong type', () => {
+      expect(() => new SuperRest(app, { pathPrefix: 42 })).to.throw('Option "pathPrefix" given to the SuperRest constructor must be a string, got 42');
+      expect(() => new SuperRest(app, { afterResponse: _.noop })).to.throw('Option "afterResponse" given to the SuperRest constructor must be an array of functions, got a function');
+      expect(() => new SuperRest(app, { afterResponse: [ 'foo' ] })).to.throw('Option "afterResponse" given to the SuperRest constructor must be an array of functions, got ["foo"]');
+      expect(() => new SuperRest(app, { coverage: new Date(0) })).to.throw('Option "coverage" given to the SuperRest constructor must be a boolean or an ApiCoverage, got a Date');
+      expect(() => new SuperRest(app, { expectedContentType: 42 })).to.throw('Option "expectedContentType" given to the SuperRest constructor must be a string, a RegExp, an array or a boolean, got 42');
+    });
+
+    it('should reject options that are not an object', () => {
+      expect(() => new SuperRest(app, '/api')).to.throw('Options given to the SuperRest constructor must be an object, got "/api"');
+    });
+
+    it('should validate nested options', () => {
+      expect(() => new SuperRest(app, {
+        authProfiles: { admin: { basic: { username: 'admin', password: 'secret' } }, user: { login: _.noop } },
+        errorFormat: { contentType: /json/, invalidFields: 'errors' },
+        pagination: { idProperty: 'uuid', strategy: 'cursor' },
+        polling: { interval: 10 },
+        record: { file: 'session.har', redactBody: [ 'password' ] },
+        snapshots: { dir: 'snapshots', update: false }
+      })).not.to.throw();
+
+      expect(() => new SuperRest(app, { pagination: { pagesize: 10 } })).to.throw('Unknown option "pagesize" given to the "pagination" option; did you mean "pageSize"?');
+      expect(() => new SuperRest(app, { polling: { interval: '1s' } })).to.throw('Option "interval" given to the "polling" option must be a number, got "1s"');
+      expect(() => new SuperRest(app, { snapshots: { directory: 'snapshots' } })).to.throw('Unknown option "directory" given to the "snapshots" option');
+      expect(() => new SuperRest(app, { errorFormat: { fields: 'errors' } })).to.throw('Unknown option "fields" given to the "errorFormat" option; did you mean "invalidFields"?');
+      expect(() => new SuperRest(app, { errorFormat: [ 'problem' ] })).to.throw('Option "errorFormat" given to the SuperRest constructor must be a string or an object, got ["problem"]');
+      expect(() => new SuperRest(app, { record: { file: 'session.har', redact: [ 'password' ] } })).to.throw('Unknown option "redact" given to the "record" option; did you mean "redactBody"?');
+      expect(() => new SuperRest(app, { authProfiles: { admin: 'secret' } })).to.throw('Option "admin" given to the "authProfiles" option must be an object, got "secret"');
+      expect(() => new SuperRest(app, { authProfiles: { admin: { basic: { user: 'admin' } } } })).to.throw('Unknown option "user" given to the "authProfiles.admin.basic" option');
+    });
+
+    it('should reject values that are not one of the accepted values', () => {
+      expect(() => new SuperRest(app, { bodyType: 'JSON' })).to.throw('Option "bodyType" given to the SuperRest constructor must be one of "json", "form", "multipart", "text", "xml", "raw", got "JSON"');
+    });
+  });
+
+  describe('methods', () => {
+    it('should reject unknown options', () => {
+      const helper = new SuperRest(app);
+      expect(() => helper.test('GET', '/test', undefined, { expectedStatusCode: 200 })).to.throw('Unknown option "expectedStatusCode" given to SuperRest#test; did you mean "expectedStatus"?');
+      expect(() => helper.create('/test', {}, { expectedStatusCode: 201 })).to.throw('Unknown option "expectedStatusCode" given to SuperRest#create; did you mean "expectedStatus"?');
+      expect(() => helper.read('/test', { cleanup: true })).to.throw('Unknown option "cleanup" given to SuperRest#read');
+      expect(() => helper.resource('/test', { expectedStatus: 200 })).to.throw('Unknown option "expectedStatus" given to SuperRest#resource');
+    });
+
+    it('should reject options of the wrong type', () => {
+      const helper = new SuperRest(app);
+      expect(() => helper.read('/test', { expectedLocation: 42 })).to.throw('Option "expectedLocation" given to SuperRest#read must be a boolean, a string, a RegExp or a function, got 42');
+      expect(() => helper.expectError('POST', '/test', {}, { invalidFields: 'name' })).to.throw('Option "invalidFields" given to SuperRest#expectError must be an array of strings, got "name"');
+    });
+
+    it('should validate nested options', () => {
+      const helper = new SuperRest(app);
+      expect(() => helper.read('/test', { eventually: { timout: 1000 } })).to.throw('Unknown option "timout" given to the "eventually" option; did you mean "timeout"?');
+      expect(() => helper.read('/test', { snapshot: { name: 'test', updated: true } })).to.throw('Unknown option "updated" given to the "snapshot" option; did you mean "update"?');
+      expect(() => helper.read('/test', { auth: { token: 'secret' } })).to.throw('Unknown option "token" given to the "auth" option');
+      expect(() => helper.expectError('POST', '/test', {}, { errorFormat: { code: 42 } })).to.throw('Option "code" given to the "errorFormat" option must be a string, got 42');
+      expect(() => helper.create('/test', {}, { bodyType: 'yaml' })).to.throw('Option "bodyType" given to SuperRest#create must be one of "json", "form", "multipart", "text", "xml", "raw", got "yaml"');
+    });
+
+    it('should accept the options specific to each method', async () => {
+      const helper = new SuperRest(app);
+      await helper.update('/test', undefined, { method: 'GET' });
+      await helper.paginate('/test', { strategy: 'offset', pageSize: 10, items: res => [ res.body ] });
+      expect(() => helper.resource('/test', { idProperty: 'uuid' })).not.to.throw();
+    });
+
+    it('should return a rejected promise from asynchronous methods given invalid options', async () => {
+      const helper = new SuperRest(app);
+      const res = await helper.read('/test');
+      await expect(helper.paginate('/test', { pageSise: 10 })).to.be.rejectedWith('Unknown option "pageSise" given to SuperRest#paginate; did you mean "pageSize"?');
+      await expect(helper.followJob(res, { until: true })).to.be.rejectedWith('Option "until" given to SuperRest#followJob must be a function, got true');
+      await expect(helper.bench('GET', '/test', { request: 10 })).to.be.rejectedWith('Unknown option "request" given to SuperRest#bench; did you mean "requests"?');
+      await expect(helper.loadFixtures({}, { cleanUp: true })).to.be.rejectedWith('Unknown option "cleanUp" given to SuperRest#loadFixtures; did you mean "cleanup"?');
+      await expect(helper.runScenario([], { variables: 42 })).to.be.rejectedWith('Option "variables" given to SuperRest#runScenario must be an object, got 42');
+      await expect(helper.replay({ log: { entries: [] } }, { partial: 'yes' })).to.be.rejectedWith('Option "partial" given to SuperRest#replay must be a boolean, got "yes"');
+      await expect(helper.resource('/test').lifecycle({}, {}, { pach: true })).to.be.rejectedWith('Unknown option "pach" given to Resource#lifecycle; did you mean "patch"?');
+    });
+
+    it('should reject the options of a method when they are passed to the test method', () => {
+      const helper = new SuperRest(app);
+      expect(() => helper.test('GET', '/test', undefined, { method: 'GET' })).to.throw('Unknown option "method" given to SuperRest#test');
+    });
+  });
+
+  describe('subclasses', () => {
+    it('should accept additional options that are declared', async () => {
+
+      class MySuperRest extends SuperRest {
+        expect(res, options, req) {
+          super.expect(res, options, req);
+          if (options.maxSize !== undefined && res.text.length > options.maxSize) {
+            throw new Error('Response is too large');
+          }
+        }
+      }
+
+      MySuperRest.constructorOptions = _.extend({}, SuperRest.constructorOptions, { tenant: 'string' });
+      MySuperRest.testOptions = _.extend({}, SuperRest.testOptions, { maxSize: 'number' });
+
+      const helper = new MySuperRest(app, { tenant: 'acme' });
+      await helper.read('/test', { maxSize: 100 });
+      await expect(helper.read('/test', { maxSize: 1 })).to.be.rejectedWith('Response is too large');
+      expect(() => helper.read('/test', { maxSize: '1kB' })).to.throw('Option "maxSize" given to MySuperRest#read must be a number, got "1kB"');
+      expect(() => new SuperRest(app, { tenant: 'acme' })).to.throw('Unknown option "tenant" given to the SuperRest constructor');
+    });
+  });
+});
@@ -0,0 +1,156 @@
+/* istanbul ignore file */
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const express = require('express');
+const _ = require('lodash');
+
+const SuperRest = require('../index');
+const { parseLinkHeader } = require('../lib/pagination');
+
+chai.use(chaiAsPromised);
+
+const expect = chai.expect;
+
+describe('pagination', () => {
+
+  const allItems = _.range(1, 6).map(id => ({ id, name: `Item ${id}` }));
+
+  function buildApp(options) {
+    options = options || {};
+
+    const app = express();
+
+    app.get('/api/items', (req, res) => {
+
+      const limit = parseInt(req.query.limit || '2', 10);
+      const offset = parseInt(req.query.offset || '0', 10);
+      const items = (options.items || allItems).filter(item => !req.query.min || item.id >= parseInt(req.query.min, 10));
+      const page = items.slice(options.overlap && offset ? offset - 1 : offset, offset + limit + (options.oversized ? 1 : 0));
+
+      if (!options.noLink && offset + limit < items.length) {
+        res.set('Link', `</api/items?offset=${offset + limit}&limit=${options.shortPages ? limit + 1 : limit}>; rel="next", </api/items?offset=0&limit=${limit}>; rel="first"`);
+      }
+
+      res.set('X-Total-Count', String(options.totalCount !== undefined ? options.totalCount + (offset ? 1 : 0) * (options.changingCount ? 1 : 0) : items.length));
+      res.send(page);
+    });
+
+    app.get('/api/cursor', (req, res) => {
+      const start = parseInt(req.query.cursor || '0', 10);
+      const limit = parseInt(req.query.limit || '2', 10);
+      res.send({
+        data: allItems.slice(start, start + limit),
+        meta: { next: start + limit < allItems.length ? String(start + limit) : null }
+      });
+    });
+
+    return app;
+  }
+
+  describe('parseLinkHeader', () => {
+    it('should parse a Link header', () => {
+      expect(parseLinkHeader('<https://example.com/items?page=2>; rel="next last"; title="Next page", </items?page=1>;rel=first;type=application/json')).to.eql([
+        { href: 'https://example.com/items?page=2', rel: [ 'next', 'last' ], title: 'Next page' },
+        { href: '/items?page=1', rel: [ 'first' ], type: 'application/json' }
+      ]);
+    });
+
+    it('should parse a missing Link header', () => {
+      expect(parseLinkHeader()).to.eql([]);
+    });
+  });
+
+  describe('with the "link" strategy', () => {
+    it('should walk all pages by following Link headers', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+      expect(await helper.paginate('/items', { pageSize: 2 })).to.eql(allItems);
+    });
+
+    it('should walk all pages of a resource', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+      expect(await helper.resource('/items').paginate({ pageSize: 3 })).to.eql(allItems);
+    });
+
+    it('should fail if an item is duplicated', async () => {
+      const helper = new SuperRest(buildApp({ overlap: true }), { pathPrefix: '/api' });
+      await expect(helper.paginate('/items')).to.be.rejectedWith('Expected item {"id":2,"name":"Item 2"} of page 2 not to be a duplicate of an item of page 1');
+    });
+
+    it('should fail if a value is duplicated', async () => {
+      const helper = new SuperRest(buildApp({ items: [ 'a', 'b', 'a' ], totalCount: 3 }), { pathPrefix: '/api' });
+      await expect(helper.paginate('/items')).to.be.rejectedWith('Expected item "a" of page 2 not to be a duplicate of an item of page 1');
+    });
+
+    it('should fail if a page is too large', async () => {
+      const helper = new SuperRest(buildApp({ oversized: true }), { pathPrefix: '/api' });
+      await expect(helper.paginate('/items', { pageSize: 2 })).to.be.rejectedWith('Expected page 1 to contain at most 2 items but it contains 3');
+    });
+
+    it('should fail if a page that is not the last one is too small', async () => {
+      const helper = new SuperRest(buildApp({ shortPages: true }), { pathPrefix: '/api' });
+      await expect(helper.paginate('/items', { pageSize: 2 })).to.be.rejectedWith('Expected page 2 to contain at most 2 items but it contains 3');
+      await expect(helper.paginate('/items', { limitParam: 'size', pageSize: 3 })).to.be.rejectedWith('Expected page 1 to contain 3 items since it is not the last page, but it contains 2');
+    });
+
+    it('should fail if the total count does not match', async () => {
+      const helper = new SuperRest(buildApp({ totalCount: 6 }), { pathPrefix: '/api' });
+      await expect(helper.paginate('/items')).to.be.rejectedWith('Expected the collection at /api/items to contain 6 items as indicated by the HTTP X-Total-Count header, but 5 were found in all pages');
+    });
+
+    it('should fail if the total count changes', async () => {
+      const helper = new SuperRest(buildApp({ totalCount: 5, changingCount: true }), { pathPrefix: '/api' });
+      await expect(helper.paginate('/items')).to.be.rejectedWith('Expected HTTP X-Total-Count header "6" of page 2 to equal "5" as in the previous pages');
+    });
+
+    it('should fail if there are too many pages', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+      await expect(helper.paginate('/items', { maxPages: 2 })).to.be.rejectedWith('Expected the collection at /api/items to have at most 2 pages');
+    });
+
+    it('should fail if a page fails the default assertions', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+      await expect(helper.paginate('/items', { expectedStatus: 206 })).to.be.rejectedWith('Expected HTTP status code 200 to equal 206');
+    });
+  });
+
+  describe('with the "offset" strategy', () => {
+    it('should walk all pages by incrementing the offset', async () => {
+      const helper = new SuperRest(buildApp({ noLink: true }), { pathPrefix: '/api', pagination: { strategy: 'offset', pageSize: 2 } });
+      expect(await helper.paginate('/items')).to.eql(allItems);
+    });
+
+    it('should keep the query parameters of the request', async () => {
+      const helper = new SuperRest(buildApp({ noLink: true }), { pathPrefix: '/api', pagination: { strategy: 'offset', pageSize: 2 } });
+      expect(await helper.paginate('/items', { query: 'min=2' })).to.eql(allItems.slice(1));
+      expect(await helper.paginate('/items', { query: { min: 3 } })).to.eql(allItems.slice(2));
+    });
+
+    it('should walk all pages until an empty page without a page size', async () => {
+      const helper = new SuperRest(buildApp({ noLink: true }), { pathPrefix: '/api', pagination: { strategy: 'offset' } });
+      expect(await helper.paginate('/items')).to.eql(allItems);
+    });
+  });
+
+  describe('with the "cursor" strategy', () => {
+    it('should walk all pages by sending the next cursor', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api', pagination: { strategy: 'cursor', items: 'data', nextCursor: 'meta.next' } });
+      expect(await helper.paginate('/cursor', { pageSize: 2 })).to.eql(allItems);
+    });
+
+    it('should walk all pages with custom functions', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+      expect(await helper.paginate('/cursor', { strategy: 'cursor', items: res => res.body.data, nextCursor: res => res.body.meta.next })).to.eql(allItems);
+    });
+
+    it('should fail if the items are not an array', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+      await expect(helper.paginate('/cursor', { strategy: 'cursor' })).to.be.rejectedWith('Expected the items of page 1 to be an array (use the "items" option if they are not the response body) but got {');
+    });
+  });
+
+  it('should fail with an unknown strategy', async () => {
+    const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+    await expect(helper.paginate('/items', { strategy: 'page' })).to.be.rejectedWith('Option "strategy" given to SuperRest#paginate must be one of "link", "offset", "cursor", got "page"');
+    expect(() => new SuperRest(buildApp(), { pagination: { strategy: 'page' } })).to.throw('Option "strategy" given to the "pagination" option must be one of "link", "offset", "cursor", got "page"');
+  });
+});
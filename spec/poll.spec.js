@@ -0,0 +1,156 @@
+/* istanbul ignore file */
+const bodyParser = require('body-parser');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const express = require('express');
+
+const SuperRest = require('../index');
+
+chai.use(chaiAsPromised);
+
+const expect = chai.expect;
+
+describe('Polling', () => {
+
+  let app;
+  let requests;
+  beforeEach(() => {
+    requests = [];
+
+    app = express();
+    app.use(bodyParser.json());
+    app.use((req, res, next) => {
+      requests.push({ path: req.path, time: Date.now() });
+      next();
+    });
+
+    app.get('/projections/1', (req, res) => {
+      const count = requests.filter(request => request.path === req.path).length;
+      if (count < 3) {
+        return res.sendStatus(404);
+      }
+
+      res.send({ id: 1, count });
+    });
+
+    app.get('/throttled', (req, res) => {
+      if (requests.length < 2) {
+        return res.set('Retry-After', '1').sendStatus(503);
+      }
+
+      res.send({ ok: true });
+    });
+
+    let jobPolls = 0;
+    app.post('/exports', (req, res) => res.status(202).set('Location', '/exports/1/status').set('Retry-After', '0').send({ status: 'pending' }));
+    app.post('/reports', (req, res) => res.status(202).set('Location', '/reports/1/status').send({ status: 'pending' }));
+
+    app.get('/exports/1/status', (req, res) => {
+      jobPolls++;
+      if (jobPolls < 3) {
+        return res.status(202).send({ status: 'running' });
+      }
+
+      res.status(303).set('Location', '/exports/1/file').send({ status: 'done' });
+    });
+
+    app.get('/exports/1/file', (req, res) => res.type('text/csv').send('id,name\n1,John Doe'));
+
+    app.get('/reports/1/status', (req, res) => {
+      jobPolls++;
+      res.send({ status: jobPolls < 2 ? 'running' : 'done', total: 42 });
+    });
+  });
+
+  describe('eventually', () => {
+    it('should make a request again until it succeeds', async () => {
+      const res = await new SuperRest(app).read('/projections/1', { eventually: { interval: 5 } });
+      expect(res.body).to.eql({ id: 1, count: 3 });
+      expect(requests).to.have.lengthOf(3);
+    });
+
+    it('should apply additional assertions to each attempt', async () => {
+      const res = await new SuperRest(app).read('/projections/1', { eventually: { interval: 5 }, expectedStatus: [ 200, 404 ] }).expect(res => {
+        if (res.status !== 200 || res.body.count < 4) {
+          throw new Error('Not yet');
+        }
+      });
+
+      expect(res.body.count).to.equal(4);
+    });
+
+    it('should fail with the error of the last attempt', async () => {
+      const err = await expect(new SuperRest(app).read('/projections/1', { eventually: { interval: 5, maxAttempts: 2 } })).to.be.rejectedWith(SuperRest.SuperRestAssertionError, /^Request did not succeed after 2 attempts in \d+ms: Expected HTTP status code 404 to equal 200\n/);
+      expect(err.expected).to.equal(200);
+      expect(requests).to.have.lengthOf(2);
+    });
+
+    it('should stop when the timeout elapses', async () => {
+      await expect(new SuperRest(app).read('/projections/1', { eventually: { interval: 50, timeout: 20 } })).to.be.rejectedWith(/^Request did not succeed after 1 attempt in \d+ms/);
+      expect(requests).to.have.lengthOf(1);
+    });
+
+    it('should increase the delay between attempts', async () => {
+      await new SuperRest(app).read('/projections/1', { eventually: { backoff: 3, interval: 10 } });
+      expect(requests[1].time - requests[0].time).to.be.at.least(9);
+      expect(requests[2].time - requests[1].time).to.be.at.least(29);
+    });
+
+    it('should wait as indicated by the Retry-After header', async () => {
+      await new SuperRest(app).read('/throttled', { eventually: { interval: 5 } });
+      expect(requests[1].time - requests[0].time).to.be.at.least(990);
+    });
+
+    it('should use the default polling options given to the constructor', async () => {
+      const helper = new SuperRest(app, { polling: { interval: 5, maxAttempts: 2 } });
+      await expect(helper.read('/projections/1', { eventually: true })).to.be.rejectedWith(/^Request did not succeed after 2 attempts/);
+      await helper.read('/projections/1', { eventually: { maxAttempts: 3 } });
+    });
+
+    it('should fail with invalid polling options', () => {
+      const helper = new SuperRest(app);
+      expect(() => helper.read('/projections/1', { eventually: { interval: -1 } })).to.throw('Polling option "interval" must be a positive number, got -1');
+      expect(() => helper.read('/projections/1', { eventually: { backoff: 0.5 } })).to.throw('Polling option "backoff" must be a number greater than or equal to 1, got 0.5');
+    });
+  });
+
+  describe('followJob', () => {
+    it('should follow the status monitor of a job until it completes', async () => {
+      const helper = new SuperRest(app, { expectedContentType: /^application\/json/ });
+      const res = await helper.create('/exports', {}, { expectedStatus: 202 });
+      const exported = await helper.followJob(res, { eventually: { interval: 5 }, expectedContentType: /^text\/csv/ });
+
+      expect(exported.text).to.equal('id,name\n1,John Doe');
+      expect(requests.map(request => request.path)).to.eql([ '/exports', '/exports/1/status', '/exports/1/status', '/exports/1/status', '/exports/1/file' ]);
+    });
+
+    it('should wait until the status monitor satisfies a function', async () => {
+      const helper = new SuperRest(app);
+      const res = await helper.create('/reports', {}, { expectedStatus: 202 });
+      const report = await helper.followJob(res, { eventually: { interval: 5 }, until: res => res.body.status === 'done' });
+
+      expect(report.body).to.eql({ status: 'done', total: 42 });
+    });
+
+    it('should fail if the job does not complete in time', async () => {
+      const helper = new SuperRest(app);
+      const res = await helper.create('/exports', {}, { expectedStatus: 202 });
+      await expect(helper.followJob(res, { eventually: { interval: 5, maxAttempts: 2 } })).to.be.rejectedWith(/^Request did not succeed after 2 attempts in \d+ms: Expected the asynchronous job to complete, but its status monitor still responds with HTTP status code 202$/);
+    });
+
+    it('should check the final response', async () => {
+      const helper = new SuperRest(app);
+      const res = await helper.create('/reports', {}, { expectedStatus: 202 });
+      await expect(helper.followJob(res, { eventually: { interval: 5 }, until: res => res.body.status === 'done', expectedStatus: 201 })).to.be.rejectedWith(/^Expected HTTP status code 200 to equal 201/);
+    });
+
+    it('should fail with a response that is not a 202 with a Location header', async () => {
+      const helper = new SuperRest(app);
+      const res = await helper.read('/projections/1', { eventually: { interval: 5 } });
+      await expect(helper.followJob(res)).to.be.rejectedWith('Expected HTTP status code 202 to follow an asynchronous job, got 200');
+
+      res.status = 202;
+      await expect(helper.followJob(res)).to.be.rejectedWith('Cannot follow an asynchronous job without an HTTP Location header in the 202 response');
+    });
+  });
+});
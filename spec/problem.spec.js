@@ -0,0 +1,125 @@
+/* istanbul ignore file */
+const bodyParser = require('body-parser');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const express = require('express');
+const _ = require('lodash');
+
+const SuperRest = require('../index');
+
+chai.use(chaiAsPromised);
+
+const expect = chai.expect;
+
+describe('error assertions', () => {
+
+  function buildApp() {
+
+    const app = express();
+    app.use(bodyParser.json());
+
+    app.post('/api/users', (req, res) => {
+      const invalidParams = _.difference([ 'name', 'email' ], _.keys(req.body)).map(name => ({ name, reason: 'is required' }));
+      res.status(422).set('Content-Type', 'application/problem+json').send(JSON.stringify({
+        type: 'https://example.com/problems/validation',
+        title: 'Your request is invalid',
+        code: 'validation',
+        'invalid-params': invalidParams
+      }));
+    });
+
+    app.post('/api/envelope', (req, res) => {
+      res.status(400).send({
+        error: {
+          code: 'E_INVALID',
+          details: [ 'name' ]
+        }
+      });
+    });
+
+    app.get('/api/text', (req, res) => res.status(422).set('Content-Type', 'application/problem+json').send('"oops"'));
+
+    return app;
+  }
+
+  describe('expectError', () => {
+    it('should assert that a request fails with problem details', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+      const res = await helper.expectError('POST', '/users', { email: 'jdoe@example.com' }, {
+        code: 'validation',
+        invalidFields: [ 'name' ],
+        type: /\/validation$/
+      });
+
+      expect(res.body.title).to.equal('Your request is invalid');
+    });
+
+    it('should compare invalid fields in any order', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+      await helper.expectError('POST', '/users', {}, { invalidFields: [ 'email', 'name' ] });
+    });
+
+    it('should fail if the status code does not match', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+      await expect(helper.expectError('POST', '/users', {}, { expectedStatus: 400 })).to.be.rejectedWith('Expected HTTP status code 422 to equal 400');
+    });
+
+    it('should fail if the response is not problem details', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+      await expect(helper.expectError('POST', '/envelope', {}, { expectedStatus: 400 })).to.be.rejectedWith('Expected HTTP Content-Type header "application/json; charset=utf-8" to match /^application\\/problem\\+json/');
+    });
+
+    it('should fail if the body is not an object', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+      await expect(helper.expectError('GET', '/text')).to.be.rejectedWith('Expected HTTP response body "oops" to be an error object');
+    });
+
+    it('should fail if the error code does not match', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+      await expect(helper.expectError('POST', '/users', {}, { code: 'conflict' })).to.be.rejectedWith('Expected error code "validation" (HTTP response body property "code") to equal "conflict"');
+    });
+
+    it('should fail if the error type does not match', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+      await expect(helper.expectError('POST', '/users', {}, { type: /\/conflict$/ })).to.be.rejectedWith('Expected error type "https://example.com/problems/validation" (HTTP response body property "type") to match /\\/conflict$/');
+    });
+
+    it('should fail if the invalid fields do not match', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+      await expect(helper.expectError('POST', '/users', { name: 'John Doe' }, { invalidFields: [ 'email', 'name' ] })).to.be.rejectedWith('Expected invalid fields ["email"] to equal ["email","name"]');
+    });
+
+    it('should fail if the invalid fields are missing', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+      await expect(helper.expectError('POST', '/users', {}, { errorFormat: { invalidFields: 'errors' }, invalidFields: [ 'name' ] })).to.be.rejectedWith('Expected HTTP response body property "errors" to be an array of invalid fields but got undefined');
+    });
+
+    it('should report all failed expectations together', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+      const err = await expect(helper.expectError('POST', '/users', {}, { code: 'conflict', expectedStatus: 409, invalidFields: [ 'name' ] })).to.be.rejectedWith(SuperRest.SuperRestAssertionError, [
+        '3 expectations failed:',
+        '* Expected HTTP status code 422 to equal 409',
+        '* Expected error code "validation" (HTTP response body property "code") to equal "conflict"',
+        '* Expected invalid fields ["email","name"] to equal ["name"]',
+        '',
+        'Request: POST /api/users'
+      ].join('\n'));
+
+      expect(err.actual).to.eql({ status: 422, 'error code': 'validation', 'invalid fields': [ 'email', 'name' ] });
+      expect(err.expected).to.eql({ status: 409, 'error code': 'conflict', 'invalid fields': [ 'name' ] });
+    });
+
+    it('should assert that a request fails with a custom error envelope', async () => {
+      const helper = new SuperRest(buildApp(), {
+        errorFormat: { code: 'error.code', contentType: /^application\/json/, invalidFields: 'error.details' },
+        pathPrefix: '/api'
+      });
+
+      await helper.expectError('POST', '/envelope', {}, { code: 'E_INVALID', expectedStatus: '4xx', invalidFields: [ 'name' ] });
+    });
+
+    it('should fail with an unsupported error format', () => {
+      expect(() => new SuperRest(buildApp(), { errorFormat: 'json' })).to.throw('Unsupported error format "json"; it must be "problem" or an object');
+    });
+  });
+});
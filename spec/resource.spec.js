@@ -0,0 +1,135 @@
+/* istanbul ignore file */
+const bodyParser = require('body-parser');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const express = require('express');
+const _ = require('lodash');
+const { stub } = require('sinon');
+
+const SuperRest = require('../index');
+const Resource = require('../lib/resource');
+
+chai.use(chaiAsPromised);
+
+const expect = chai.expect;
+
+describe('Resource', () => {
+
+  it('should be returned by the resource method of a SuperRest instance', () => {
+    const helper = new SuperRest(express());
+    const resource = helper.resource('/users', { idProperty: 'uid' });
+    expect(resource).to.be.an.instanceof(Resource);
+    expect(resource.api).to.equal(helper);
+    expect(resource.path).to.equal('/users');
+    expect(resource.idProperty).to.equal('uid');
+    expect(SuperRest.Resource).to.equal(Resource);
+  });
+
+  describe('methods', () => {
+
+    let helper, resource;
+    beforeEach(() => {
+      helper = new SuperRest(express());
+      _.each([ 'create', 'read', 'update', 'patch', 'delete' ], method => stub(helper, method).returns(method));
+      resource = helper.resource('/users');
+    });
+
+    it('should list the collection', () => {
+      expect(resource.list({ foo: 'bar' })).to.equal('read');
+      expect(helper.read.args).to.eql([ [ '/users', { foo: 'bar' } ] ]);
+    });
+
+    it('should create a resource in the collection', () => {
+      expect(resource.create({ name: 'John Doe' }, { foo: 'bar' })).to.equal('create');
+      expect(helper.create.args).to.eql([ [ '/users', { name: 'John Doe' }, { foo: 'bar' } ] ]);
+    });
+
+    it('should read a resource by identifier', () => {
+      expect(resource.read(42, { foo: 'bar' })).to.equal('read');
+      expect(helper.read.args).to.eql([ [ '/users/42', { foo: 'bar' } ] ]);
+    });
+
+    it('should update a resource by body', () => {
+      expect(resource.update({ id: 'a b' }, { name: 'Jane Doe' }, { foo: 'bar' })).to.equal('update');
+      expect(helper.update.args).to.eql([ [ '/users/a%20b', { name: 'Jane Doe' }, { foo: 'bar' } ] ]);
+    });
+
+    it('should patch a resource by response body', () => {
+      const res = { status: 201, body: { id: 1 }, get: () => undefined };
+      expect(resource.patch(res, { name: 'Jane Doe' })).to.equal('patch');
+      expect(helper.patch.args).to.eql([ [ '/users/1', { name: 'Jane Doe' }, undefined ] ]);
+    });
+
+    it('should destroy a resource by response Location header', () => {
+      const res = { status: 201, body: { id: 1 }, get: name => name === 'Location' ? 'http://example.com/api/people/1' : undefined };
+      expect(resource.destroy(res, { foo: 'bar' })).to.equal('delete');
+      expect(helper.delete.args).to.eql([ [ '/api/people/1', undefined, { foo: 'bar', pathPrefix: false } ] ]);
+    });
+
+    it('should not build a member path without an identifier', () => {
+      expect(() => resource.read({ name: 'John Doe' })).to.throw('Could not determine the identifier of a resource of /users (expected an "id" property or a Location header)');
+    });
+  });
+
+  describe('lifecycle', () => {
+
+    function buildApp(options) {
+      options = options || {};
+
+      const app = express();
+      app.use(bodyParser.json());
+
+      const users = {};
+      let nextId = 1;
+
+      app.post('/api/users', (req, res) => {
+        const user = _.extend({ id: nextId++ }, req.body);
+        users[user.id] = user;
+        if (options.location) {
+          res.set('Location', `/api/users/${user.id}`);
+        }
+
+        res.status(201).send(user);
+      });
+
+      app.get('/api/users/:id', (req, res) => users[req.params.id] ? res.send(users[req.params.id]) : res.sendStatus(404));
+
+      app.put('/api/users/:id', (req, res) => {
+        users[req.params.id] = _.extend({ id: parseInt(req.params.id, 10) }, options.ignoreUpdates ? {} : req.body);
+        res.send(users[req.params.id]);
+      });
+
+      app.patch('/api/users/:id', (req, res) => res.send(_.extend(users[req.params.id], req.body)));
+
+      app.delete('/api/users/:id', (req, res) => {
+        delete users[req.params.id];
+        res.sendStatus(options.deleteStatus || 204);
+      });
+
+      return app;
+    }
+
+    it('should test the full lifecycle of a resource', async () => {
+      const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+      const responses = await helper.resource('/users').lifecycle({ name: 'John Doe', age: 42 }, { age: 43 });
+      expect(responses.created.body).to.eql({ id: 1, name: 'John Doe', age: 42 });
+      expect(responses.read.body).to.eql({ id: 1, name: 'John Doe', age: 42 });
+      expect(responses.updated.body).to.eql({ id: 1, name: 'John Doe', age: 43 });
+      expect(responses.verified.body).to.eql({ id: 1, name: 'John Doe', age: 43 });
+      expect(responses.deleted.status).to.equal(204);
+      expect(responses.gone.status).to.equal(404);
+    });
+
+    it('should test the full lifecycle of a resource with a Location header and partial updates', async () => {
+      const helper = new SuperRest(buildApp({ location: true, deleteStatus: 200 }), { pathPrefix: '/api' });
+      const responses = await helper.resource('/users').lifecycle({ name: 'John Doe', age: 42 }, { age: 43 }, { patch: true });
+      expect(responses.verified.body).to.eql({ id: 1, name: 'John Doe', age: 43 });
+      expect(responses.deleted.status).to.equal(200);
+    });
+
+    it('should fail if an update is not persisted', async () => {
+      const helper = new SuperRest(buildApp({ ignoreUpdates: true }), { pathPrefix: '/api' });
+      await expect(helper.resource('/users').lifecycle({ name: 'John Doe' }, { name: 'Jane Doe' })).to.be.rejectedWith('Expected HTTP response body {"id":1} to include {"name":"Jane Doe"} after updating it');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/* istanbul ignore file */
+const bodyParser = require('body-parser');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const express = require('express');
+const path = require('path');
+
+const SuperRest = require('../index');
+
+chai.use(chaiAsPromised);
+
+const expect = chai.expect;
+
+describe('scenarios', () => {
+
+  function buildApp() {
+
+    const app = express();
+    app.use(bodyParser.json());
+
+    const users = {};
+
+    app.post('/api/login', (req, res) => res.set('X-Token', `token-${req.body.username}`).send({}));
+
+    app.use('/api/users', (req, res, next) => {
+      if (req.get('Authorization') !== 'Bearer token-jdoe') {
+        return res.sendStatus(401);
+      }
+
+      next();
+    });
+
+    app.post('/api/users', (req, res) => {
+      const id = Object.keys(users).length + 1;
+      users[id] = { id, name: req.body.name };
+      res.status(201).set('Location', `/api/users/${id}`).send(users[id]);
+    });
+
+    app.get('/api/users', (req, res) => res.send(Object.values(users).filter(user => !req.query.name || user.name === req.query.name)));
+
+    app.get('/api/users/:id', (req, res) => users[req.params.id] ? res.send(users[req.params.id]) : res.sendStatus(404));
+
+    app.put('/api/users/:id', (req, res) => {
+      users[req.params.id].name = req.body.name;
+      res.send(users[req.params.id]);
+    });
+
+    app.delete('/api/users/:id', (req, res) => {
+      delete users[req.params.id];
+      res.sendStatus(204);
+    });
+
+    return app;
+  }
+
+  it('should run a scenario from a YAML file', async () => {
+    const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+    const result = await helper.runScenario(path.join(__dirname, 'fixtures', 'scenario.yml'));
+    expect(result.variables).to.eql({ name: 'John Doe', token: 'token-jdoe', userId: 1, location: '/api/users/1' });
+    expect(result.responses.map(res => res.status)).to.eql([ 200, 201, 200 ]);
+  });
+
+  it('should run an array of steps with initial variables', async () => {
+    const helper = new SuperRest(buildApp(), { pathPrefix: '/api', headers: { Authorization: 'Bearer token-jdoe' } });
+    const result = await helper.runScenario([
+      { method: 'create', path: '/users', body: { name: '{{name}}' }, capture: { user: 'body' } },
+      { method: 'update', path: '/users/{{user.id}}', body: { name: '{{name}} Jr.' } },
+      { path: '/users', query: { name: '{{name}} Jr.' }, expect: { body: [ { id: '{{user.id}}' } ] }, capture: { count: 'body.length' } },
+      { method: 'destroy', path: '/users/{{user.id}}', expect: { status: 204 }, capture: { status: 'status' } },
+      { method: 'retrieve', path: '/users/{{user.id}}', expect: { status: 404, body: 'Not Found' }, options: { expectedContentType: /^text\/plain/ } }
+    ], { variables: { name: 'Jane Doe' } });
+
+    expect(result.variables).to.eql({ name: 'Jane Doe', user: { id: 1, name: 'Jane Doe' }, count: 1, status: 204 });
+  });
+
+  it('should fail if a step fails the default assertions', async () => {
+    const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+    await expect(helper.runScenario({ steps: [ { name: 'list users', path: '/users' } ] })).to.be.rejectedWith(SuperRest.SuperRestAssertionError, /^Scenario step 1 "list users" failed: Expected HTTP status code 401 to equal 200\n/);
+  });
+
+  it('should fail if the response body does not match', async () => {
+    const helper = new SuperRest(buildApp(), { pathPrefix: '/api', headers: { Authorization: 'Bearer token-jdoe' } });
+    await expect(helper.runScenario([ { path: '/users', expect: { body: [ { id: 1 } ] } } ])).to.be.rejectedWith('Scenario step 1 failed: Expected HTTP response body [] to include [{"id":1}]');
+  });
+
+  it('should fail if a variable is unknown', async () => {
+    const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+    await expect(helper.runScenario([ { path: '/users/{{id}}' } ])).to.be.rejectedWith('Scenario step 1 failed: unknown variable "id"');
+    await expect(helper.runScenario([ { path: '/users/{{ id }}/tags' } ])).to.be.rejectedWith('Scenario step 1 failed: unknown variable "id"');
+  });
+
+  it('should fail if a variable cannot be captured', async () => {
+    const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+    await expect(helper.runScenario([ { method: 'POST', path: '/login', body: {}, capture: { token: 'headers.X-Missing' } } ])).to.be.rejectedWith('Scenario step 1 failed: could not capture variable "token" from headers.X-Missing');
+    await expect(helper.runScenario([ { method: 'POST', path: '/login', body: {}, capture: { token: 'cookie' } } ])).to.be.rejectedWith('Scenario step 1 failed: unsupported capture expression "cookie" for variable "token"; it must be "status", "headers.<name>" or "body[.<path>]"');
+  });
+
+  it('should fail if a step is invalid', async () => {
+    const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+    await expect(helper.runScenario([ { url: '/users' } ])).to.be.rejectedWith('Scenario step 1 failed: unknown properties "url"');
+    await expect(helper.runScenario([ { name: 'foo' } ])).to.be.rejectedWith('Scenario step 1 "foo" failed: a step must have a "path" property');
+    await expect(helper.runScenario([ { path: '/users', expect: { code: 200 } } ])).to.be.rejectedWith('Scenario step 1 failed: unknown expectations "code"');
+  });
+
+  it('should fail if a scenario has no steps', async () => {
+    const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+    await expect(helper.runScenario({})).to.be.rejectedWith('Scenario must be an array of steps or an object with a "steps" array');
+  });
+});
@@ -0,0 +1,128 @@
+/* istanbul ignore file */
+const bodyParser = require('body-parser');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const express = require('express');
+
+const SuperRest = require('../index');
+
+chai.use(chaiAsPromised);
+
+const expect = chai.expect;
+
+describe('sessions', () => {
+
+  let app;
+  let notes;
+  beforeEach(() => {
+    notes = [];
+
+    app = express();
+    app.use(bodyParser.json());
+
+    app.post('/api/session', (req, res) => {
+      res.cookie('session', req.body.username, { httpOnly: true });
+      res.cookie('XSRF-TOKEN', `${req.body.username}-csrf`);
+      res.status(201).send({ username: req.body.username });
+    });
+
+    app.get('/api/session', (req, res) => {
+      const cookies = parseCookies(req.get('Cookie'));
+      return cookies.session ? res.send({ username: cookies.session }) : res.sendStatus(401);
+    });
+
+    app.post('/api/transfers', (req, res) => {
+      const cookies = parseCookies(req.get('Cookie'));
+      return cookies['XSRF-TOKEN'] && req.get('X-XSRF-TOKEN') === cookies['XSRF-TOKEN'] ? res.status(201).send(req.body) : res.sendStatus(403);
+    });
+
+    app.post('/api/notes', (req, res) => {
+      notes.push(req.body.text);
+      res.status(201).send({ id: notes.length, text: req.body.text });
+    });
+
+    app.delete('/api/notes/:id', (req, res) => {
+      if (!parseCookies(req.get('Cookie')).session) {
+        return res.sendStatus(401);
+      }
+
+      notes[req.params.id - 1] = undefined;
+      res.sendStatus(204);
+    });
+  });
+
+  it('should persist cookies across requests', async () => {
+    const api = new SuperRest(app, { pathPrefix: '/api' });
+    const session = api.session();
+    expect(session).to.be.an.instanceof(SuperRest);
+    expect(session.pathPrefix).to.equal('/api');
+
+    await session.create('/session', { username: 'jdoe' });
+    const res = await session.read('/session');
+    expect(res.body).to.eql({ username: 'jdoe' });
+
+    await api.read('/session', { expectedStatus: 401 });
+  });
+
+  it('should expose the stored cookies', async () => {
+    const session = new SuperRest(app, { pathPrefix: '/api' }).session();
+    expect(session.getCookies()).to.eql({});
+
+    await session.create('/session', { username: 'jdoe' });
+    expect(session.getCookies()).to.eql({ session: 'jdoe', 'XSRF-TOKEN': 'jdoe-csrf' });
+
+    const csrfToken = session.getCookies()['XSRF-TOKEN'];
+    await session.create('/transfers', { amount: 42 }).set('X-XSRF-TOKEN', csrfToken);
+    await session.create('/transfers', { amount: 42 }, { expectedStatus: 403 }).set('X-XSRF-TOKEN', 'forged');
+  });
+
+  it('should reset the stored cookies', async () => {
+    const session = new SuperRest(app, { pathPrefix: '/api' }).session();
+    await session.create('/session', { username: 'jdoe' });
+
+    session.resetSession();
+    expect(session.getCookies()).to.eql({});
+    await session.read('/session', { expectedStatus: 401 });
+  });
+
+  it('should create a session with overridden configuration sharing the OpenAPI document and coverage tracker', () => {
+    const api = new SuperRest(app, {
+      coverage: true,
+      openApi: { paths: {} },
+      pathPrefix: '/api'
+    });
+
+    const session = api.session({ pathPrefix: '/v2' });
+    expect(session.pathPrefix).to.equal('/v2');
+    expect(session.openApi).to.equal(api.openApi);
+    expect(session.coverage).to.equal(api.coverage);
+  });
+
+  it('should share the resources to clean up with sessions', async () => {
+    const api = new SuperRest(app, { pathPrefix: '/api' });
+    const session = api.session();
+    await session.create('/session', { username: 'jdoe' });
+
+    await session.create('/notes', { text: 'Buy milk' }, { cleanup: true });
+    expect(api.createdResources).to.have.lengthOf(1);
+
+    const responses = await api.cleanup();
+    expect(responses.map(res => res.status)).to.eql([ 204 ]);
+    expect(notes).to.eql([ undefined ]);
+    expect(session.createdResources).to.eql([]);
+  });
+
+  it('should not reset or expose the cookies of an instance that is not a session', () => {
+    const api = new SuperRest(app);
+    expect(() => api.resetSession()).to.throw('Only sessions created with the "session" method can be reset');
+    expect(() => api.getCookies()).to.throw('Only sessions created with the "session" method store cookies');
+  });
+});
+
+function parseCookies(header) {
+  return (header || '').split(/;\s*/).filter(cookie => cookie).reduce((memo, cookie) => {
+    const [ name, value ] = cookie.split('=');
+    memo[name] = value;
+    return memo;
+  }, {});
+}
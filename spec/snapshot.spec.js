@@ -0,0 +1,145 @@
+/* istanbul ignore file */
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const express = require('express');
+const fs = require('fs');
+const _ = require('lodash');
+const os = require('os');
+const path = require('path');
+
+const SuperRest = require('../index');
+
+chai.use(chaiAsPromised);
+
+const expect = chai.expect;
+
+describe('snapshots', () => {
+
+  const ci = process.env.CI;
+
+  let dir;
+  let user;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'superrest-'));
+    user = { id: 1, name: 'John Doe', createdAt: new Date().toISOString(), tags: [ { id: 2, name: 'admin' } ] };
+    delete process.env.CI;
+    delete process.env.SUPERREST_UPDATE_SNAPSHOTS;
+  });
+
+  afterEach(() => {
+    fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+    fs.rmdirSync(dir);
+    delete process.env.SUPERREST_UPDATE_SNAPSHOTS;
+
+    if (ci !== undefined) {
+      process.env.CI = ci;
+    }
+  });
+
+  function buildApp() {
+    const app = express();
+    app.get('/api/users/1', (req, res) => res.set('X-Request-Id', String(Math.random())).send(user));
+    app.get('/api/text', (req, res) => res.send('Hello World'));
+    return app;
+  }
+
+  function readSnapshot(name) {
+    return JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), 'utf8'));
+  }
+
+  it('should store a normalized response the first time', async () => {
+    const helper = new SuperRest(buildApp(), { pathPrefix: '/api', snapshots: { dir } });
+    await helper.read('/users/1', { snapshot: 'get user' });
+    expect(readSnapshot('get-user')).to.eql({
+      status: 200,
+      headers: { 'content-type': 'application/json; charset=utf-8' },
+      body: user
+    });
+  });
+
+  it('should compare a response with its snapshot', async () => {
+    const helper = new SuperRest(buildApp(), { pathPrefix: '/api', snapshots: { dir, redact: { 'body.createdAt': /^\d{4}-\d{2}-\d{2}T/ } } });
+    await helper.read('/users/1', { snapshot: 'user' });
+    expect(readSnapshot('user').body.createdAt).to.equal('[matches /^\\d{4}-\\d{2}-\\d{2}T/]');
+
+    user.createdAt = new Date(Date.now() + 1000).toISOString();
+    await helper.read('/users/1', { snapshot: 'user' });
+
+    user.name = 'Jane Doe';
+    const err = await expect(helper.read('/users/1', { snapshot: 'user' })).to.be.rejectedWith(SuperRest.SuperRestAssertionError, `Expected HTTP response to match snapshot "user" (${path.join(dir, 'user.json')}); set SUPERREST_UPDATE_SNAPSHOTS=1 to update it\n\nRequest: GET /api/users/1\n`);
+    expect(err.actual.body.name).to.equal('Jane Doe');
+    expect(err.expected.body.name).to.equal('John Doe');
+  });
+
+  it('should update snapshots in update mode', async () => {
+    const helper = new SuperRest(buildApp(), { pathPrefix: '/api', snapshots: { dir } });
+    await helper.read('/users/1', { snapshot: 'user' });
+
+    user.name = 'Jane Doe';
+    process.env.SUPERREST_UPDATE_SNAPSHOTS = '1';
+    await helper.read('/users/1', { snapshot: 'user' });
+    expect(readSnapshot('user').body.name).to.equal('Jane Doe');
+
+    user.name = 'Jim Doe';
+    process.env.SUPERREST_UPDATE_SNAPSHOTS = 'false';
+    await expect(helper.read('/users/1', { snapshot: 'user' })).to.be.rejectedWith('Expected HTTP response to match snapshot "user"');
+  });
+
+  it('should not create missing snapshots on CI unless in update mode', async () => {
+    const helper = new SuperRest(buildApp(), { pathPrefix: '/api', snapshots: { dir } });
+    process.env.CI = 'true';
+
+    const err = await expect(helper.read('/users/1', { snapshot: 'user' })).to.be.rejectedWith(SuperRest.SuperRestAssertionError, `Expected snapshot "user" (${path.join(dir, 'user.json')}) to exist; it is not created when the CI environment variable is set, unless SUPERREST_UPDATE_SNAPSHOTS=1 is set\n\nRequest: GET /api/users/1\n`);
+    expect(err.failures[0].actual.body.name).to.equal('John Doe');
+    expect(fs.existsSync(path.join(dir, 'user.json'))).to.equal(false);
+
+    await helper.read('/users/1', { snapshot: { name: 'user', update: true } });
+    expect(readSnapshot('user').body.name).to.equal('John Doe');
+    await helper.read('/users/1', { snapshot: 'user' });
+  });
+
+  it('should redact volatile values', async () => {
+    const helper = new SuperRest(buildApp(), { pathPrefix: '/api', snapshots: { dir, redact: { 'body.id': true } } });
+    const res = await helper.read('/users/1');
+    const normalized = helper.matchSnapshot(res, 'user', {
+      headers: [ 'Content-Type', 'X-Request-Id', 'X-Missing' ],
+      redact: {
+        'headers.x-request-id': '[request id]',
+        'body.tags.*.id': function isInteger(id) { return _.isInteger(id); },
+        'body.createdAt': value => !!value,
+        'body.missing.*': true
+      }
+    });
+
+    expect(normalized.headers).to.eql({ 'content-type': 'application/json; charset=utf-8', 'x-request-id': '[request id]' });
+    expect(normalized.body).to.eql({ id: '[redacted]', name: 'John Doe', createdAt: '[satisfies body.createdAt]', tags: [ { id: '[satisfies isInteger]', name: 'admin' } ] });
+    expect(readSnapshot('user')).to.eql(normalized);
+  });
+
+  it('should snapshot text responses with custom options', async () => {
+    const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+    await helper.read('/text', { snapshot: { name: 'text', dir: path.join(dir, 'text'), headers: [] } });
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'text', 'text.json'), 'utf8'))).to.eql({ status: 200, headers: {}, body: 'Hello World' });
+    fs.unlinkSync(path.join(dir, 'text', 'text.json'));
+    fs.rmdirSync(path.join(dir, 'text'));
+  });
+
+  it('should fail if a redacted value does not match', async () => {
+    const helper = new SuperRest(buildApp(), { pathPrefix: '/api', snapshots: { dir } });
+    const res = await helper.read('/users/1');
+    expect(() => helper.matchSnapshot(res, 'user', { redact: { 'body.id': /^[a-f0-9-]{36}$/ } })).to.throw('Expected 1 at body.id to match /^[a-f0-9-]{36}$/');
+    expect(() => helper.matchSnapshot(res, 'user', { redact: { 'body.name': _.isNumber } })).to.throw('Expected "John Doe" at body.name to satisfy the isNumber function');
+    expect(() => helper.matchSnapshot(res, 'user', { redact: { 'body.name': 42 } })).to.throw('Unsupported redaction 42 for body.name; it must be true, a string, a RegExp or a function');
+  });
+
+  it('should fail without a snapshot name', async () => {
+    const helper = new SuperRest(buildApp(), { pathPrefix: '/api', snapshots: { dir } });
+    const res = await helper.read('/users/1');
+    expect(() => helper.matchSnapshot(res, ' ')).to.throw('Snapshot name must be a non-empty string, got " "');
+  });
+
+  it('should fail without a snapshot directory', async () => {
+    const helper = new SuperRest(buildApp(), { pathPrefix: '/api' });
+    await expect(helper.read('/users/1', { snapshot: 'user' })).to.be.rejectedWith('Snapshots require a "dir" option (e.g. `path.join(__dirname, \'__snapshots__\')`)');
+  });
+});